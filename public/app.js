@@ -12,8 +12,14 @@ const state = {
   contacts: [],
   selectedContact: null,
   socket: null,
+  resetToken: null,
+  twoFactorChallenge: null,
+  useRecoveryCode: false,
+  organizations: [],
+  auditOffset: 0,
   chart: null,
-  chartDays: 30
+  chartDays: 30,
+  attachment: null
 };
 
 // Helpers DOM
@@ -24,16 +30,22 @@ const $$ = (sel) => document.querySelectorAll(sel);
 const api = {
   baseUrl: '/api',
 
+  refreshing: null,
+
   async request(endpoint, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
-    const headers = { 'Content-Type': 'application/json', ...options.headers };
+    const { retried, ...fetchOptions } = options;
+    // Com FormData o navegador define o Content-Type (multipart com boundary)
+    const headers = options.body instanceof FormData
+      ? { ...options.headers }
+      : { 'Content-Type': 'application/json', ...options.headers };
 
     if (state.token) {
       headers['Authorization'] = `Bearer ${state.token}`;
     }
 
     try {
-      const res = await fetch(url, { ...options, headers, credentials: 'include' });
+      const res = await fetch(url, { ...fetchOptions, headers, credentials: 'include' });
 
       let data;
       const contentType = res.headers.get('content-type');
@@ -44,6 +56,22 @@ const api = {
         throw new Error(`Erro ${res.status}: ${text || res.statusText}`);
       }
 
+      // Token de acesso vencido: renova a sessão com o refresh token e repete a chamada uma vez
+      if (res.status === 401 && !retried && ['token_expired', 'token_missing'].includes(data.code)) {
+        if (await api.refreshSession()) {
+          return api.request(endpoint, { ...options, retried: true });
+        }
+      }
+
+      if (res.status === 401 && !endpoint.startsWith('/auth/')) {
+        handleUnauthorized();
+      }
+
+      // Organização passou a exigir 2FA durante a sessão
+      if (res.status === 403 && data.code === 'two_factor_setup_required') {
+        showTwoFactor({ required: true });
+      }
+
       if (!res.ok) {
         throw new Error(data.error || data.message || `Erro ${res.status}: ${res.statusText}`);
       }
@@ -58,19 +86,60 @@ const api = {
     }
   },
 
+  /**
+   * Renova o token de acesso. Chamadas simultâneas compartilham a mesma renovação
+   * Retorna false se a sessão não puder ser renovada
+   */
+  refreshSession() {
+    if (!api.refreshing) {
+      api.refreshing = (async () => {
+        // Uma segunda tentativa cobre outra aba que renovou a sessão no mesmo instante
+        for (let attempt = 0; attempt < 2; attempt++) {
+          if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 1000));
+
+          const res = await fetch(`${api.baseUrl}/auth/refresh`, { method: 'POST', credentials: 'include' }).catch(() => null);
+          if (res?.ok) {
+            const { token } = await res.json();
+            state.token = token;
+            localStorage.setItem('oregon_token', token);
+            return true;
+          }
+        }
+        return false;
+      })().finally(() => { api.refreshing = null; });
+    }
+    return api.refreshing;
+  },
+
   // Auth
   login: (email, password) => api.request('/auth/login', { method: 'POST', body: JSON.stringify({ email, password }) }),
   register: (name, email, password, company) => api.request('/auth/register', { method: 'POST', body: JSON.stringify({ name, email, password, company }) }),
   logout: () => api.request('/auth/logout', { method: 'POST' }),
   getMe: () => api.request('/auth/me'),
+  forgotPassword: (email) => api.request('/auth/forgot-password', { method: 'POST', body: JSON.stringify({ email }) }),
+  resetPassword: (token, password) => api.request('/auth/reset-password', { method: 'POST', body: JSON.stringify({ token, password }) }),
+  changePassword: (currentPassword, newPassword) => api.request('/auth/change-password', { method: 'POST', body: JSON.stringify({ currentPassword, newPassword }) }),
+  verifyTwoFactorLogin: (challengeToken, code, recoveryCode) => api.request('/auth/login/2fa', { method: 'POST', body: JSON.stringify({ challengeToken, code, recoveryCode }) }),
+  getTwoFactor: () => api.request('/auth/2fa'),
+  setupTwoFactor: () => api.request('/auth/2fa/setup', { method: 'POST' }),
+  enableTwoFactor: (code) => api.request('/auth/2fa/enable', { method: 'POST', body: JSON.stringify({ code }) }),
+  disableTwoFactor: (password, code) => api.request('/auth/2fa/disable', { method: 'POST', body: JSON.stringify({ password, ...code }) }),
+  regenerateRecoveryCodes: (password, code) => api.request('/auth/2fa/recovery-codes', { method: 'POST', body: JSON.stringify({ password, ...code }) }),
+  getSessions: () => api.request('/auth/sessions'),
+  revokeSession: (id) => api.request(`/auth/sessions/${id}`, { method: 'DELETE' }),
+  revokeOtherSessions: () => api.request('/auth/sessions', { method: 'DELETE' }),
 
   // Instances
   getInstances: () => api.request('/instances'),
   createInstance: (name) => api.request('/instances', { method: 'POST', body: JSON.stringify({ name }) }),
   connectInstance: (id) => api.request(`/instances/${id}/connect`, { method: 'POST' }),
   disconnectInstance: (id) => api.request(`/instances/${id}/disconnect`, { method: 'POST' }),
+  retryInstance: (id) => api.request(`/instances/${id}/retry`, { method: 'POST' }),
   deleteInstance: (id) => api.request(`/instances/${id}`, { method: 'DELETE' }),
+  updateInstance: (id, data) => api.request(`/instances/${id}`, { method: 'PATCH', body: JSON.stringify(data) }),
   generateConnectLink: (id) => api.request(`/connect/${id}/connect-link`, { method: 'POST' }),
+  getConnectLinks: (id) => api.request(`/connect/${id}/connect-links`),
+  revokeConnectLink: (id, linkId) => api.request(`/connect/${id}/connect-links/${linkId}`, { method: 'DELETE' }),
 
   // Analytics
   getDashboard: (instanceId, startDate, endDate) => {
@@ -81,23 +150,69 @@ const api = {
     if (params.length) url += `?${params.join('&')}`;
     return api.request(url);
   },
+  getUptime: (instanceId, startDate, endDate) => {
+    const params = new URLSearchParams();
+    if (startDate) params.set('startDate', startDate);
+    if (endDate) params.set('endDate', endDate);
+    return api.request(`/analytics/uptime/${instanceId}?${params}`);
+  },
+  getGroupActivity: (instanceId, startDate, endDate) => {
+    const params = new URLSearchParams();
+    if (startDate) params.set('startDate', startDate);
+    if (endDate) params.set('endDate', endDate);
+    return api.request(`/analytics/groups/${instanceId}?${params}`);
+  },
   getContacts: (instanceId, limit = 50) => api.request(`/analytics/contacts/${instanceId}?limit=${limit}`),
   getConversation: (contactId) => api.request(`/analytics/conversation/${contactId}`),
   getPending: (instanceId) => api.request(`/analytics/pending/${instanceId}`),
-  sendMessage: (contactId, message) => api.request(`/analytics/send/${contactId}`, { method: 'POST', body: JSON.stringify({ message }) })
+  sendMessage: (contactId, message, file = null) => {
+    if (!file) {
+      return api.request(`/analytics/send/${contactId}`, { method: 'POST', body: JSON.stringify({ message }) });
+    }
+    const form = new FormData();
+    form.append('file', file);
+    if (message) form.append('message', message);
+    return api.request(`/analytics/send/${contactId}`, { method: 'POST', body: form });
+  },
+
+  // Auditoria
+  getAudit: (filters) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) params.set(key, value);
+    });
+    return api.request(`/audit?${params.toString()}`);
+  }
 };
 
 // ==================== Socket.IO ====================
 function initSocket() {
-  state.socket = io();
+  // O cookie httpOnly também autentica; o token cobre logins guardados no localStorage.
+  // `auth` como função lê o token mais recente a cada reconexão
+  state.socket = io({ auth: (cb) => cb(state.token ? { token: state.token } : {}) });
 
   state.socket.on('connect', () => {
     console.log('🔌 Socket conectado');
     if (state.selectedInstance) {
-      state.socket.emit('subscribe', { userId: state.user?.id, instanceId: state.selectedInstance });
+      state.socket.emit('subscribe', { instanceId: state.selectedInstance });
     }
   });
 
+  state.socket.on('connect_error', async (err) => {
+    console.error('Erro no socket:', err.message);
+    if (err.message === 'unauthorized') {
+      if (await api.refreshSession()) {
+        state.socket?.connect();
+      } else {
+        handleUnauthorized();
+      }
+    }
+  });
+
+  state.socket.on('subscribe-error', (data) => {
+    showToast(data.message || 'Acesso negado a esta conexão', 'error');
+  });
+
   state.socket.on('qr-code', (data) => {
     console.log('QR Code recebido:', data);
     if (data.qr) {
@@ -108,6 +223,17 @@ function initSocket() {
     }
   });
 
+  state.socket.on('pairing-code', (data) => {
+    if (String(data.instanceId) === String(state.selectedInstance)) {
+      showPairingCode(data.code);
+    }
+  });
+
+  state.socket.on('pairing-error', (data) => {
+    showToast(data.message || 'Erro ao gerar código de pareamento', 'error');
+    resetPairingForm();
+  });
+
   state.socket.on('connected', (data) => {
     showToast(`WhatsApp conectado: ${data.phone}`, 'success');
     closeModal('qrModal');
@@ -119,6 +245,11 @@ function initSocket() {
     loadInstances(); // Usa debounce automático
   });
 
+  state.socket.on('connection-failed', (data) => {
+    showToast(`Não foi possível reconectar: ${data.error}`, 'error');
+    loadInstances();
+  });
+
   state.socket.on('new-message', (data) => {
     console.log('[Socket] Nova mensagem recebida:', data);
 
@@ -137,6 +268,25 @@ function initSocket() {
     }
   });
 
+  state.socket.on('message-status', (data) => {
+    if (state.selectedContact !== data.contactId) return;
+
+    const bubble = document.querySelector(`.message-bubble[data-message-id="${CSS.escape(data.messageId)}"] .message-time`);
+    if (bubble) {
+      bubble.querySelector('.message-ticks')?.remove();
+      bubble.insertAdjacentHTML('beforeend', renderTicks(data.status));
+    }
+  });
+
+  // Edições e remoções: recarrega a conversa aberta para exibir o novo texto e as marcas
+  const reloadChangedConversation = (data) => {
+    if (state.selectedContact === data.contactId) {
+      loadConversation(state.selectedContact);
+    }
+  };
+  state.socket.on('message-edited', reloadChangedConversation);
+  state.socket.on('message-deleted', reloadChangedConversation);
+
   state.socket.on('new-lead', (data) => {
     showToast(`Novo lead: ${data.contactName || data.phone}`, 'info');
   });
@@ -155,7 +305,7 @@ function showView(viewId) {
   $$('.nav-item').forEach(n => n.classList.remove('active'));
   $(`.nav-item[data-view="${viewId}"]`)?.classList.add('active');
 
-  const titles = { dashboard: 'Dashboard', conversations: 'Conversas', instances: 'Conexões' };
+  const titles = { dashboard: 'Dashboard', conversations: 'Conversas', instances: 'Conexões', audit: 'Auditoria' };
   $('#pageTitle').textContent = titles[viewId] || 'Dashboard';
 
   if (viewId === 'dashboard' && state.selectedInstance) {
@@ -164,6 +314,8 @@ function showView(viewId) {
     loadContacts(state.selectedInstance);
   } else if (viewId === 'instances') {
     loadInstances();
+  } else if (viewId === 'audit') {
+    loadAudit();
   }
 }
 
@@ -188,23 +340,128 @@ async function loadDashboard() {
     $('#metricReturning').textContent = metrics.totals?.returningContacts || 0;
     $('#metricNewLeads').textContent = metrics.totals?.newContacts || 0;
 
+    // Entrega e leitura das mensagens enviadas
+    const receipts = metrics.receipts || {};
+    const formatRate = (rate) => rate === null || rate === undefined ? '-' : `${rate.toLocaleString('pt-BR')}%`;
+    $('#receiptsTracked').textContent = `${receipts.tracked || 0} enviadas`;
+    $('#receiptsDeliveryRate').textContent = formatRate(receipts.deliveryRate);
+    $('#receiptsReadRate').textContent = formatRate(receipts.readRate);
+    $('#receiptsTimeToRead').textContent = receipts.read ? receipts.avgTimeToReadFormatted : '-';
+    $('#receiptsFailed').textContent = receipts.failed || 0;
+
     // Atualiza gráfico
     updateChart(metrics.contactsByDay || []);
 
     // Carrega fila de mensagens pendentes (com identificação de follows)
     loadPendingQueue(state.selectedInstance);
 
+    loadUptime(state.selectedInstance, startDate, endDate);
+    loadGroupActivity(state.selectedInstance, startDate, endDate);
+
   } catch (err) {
     console.error('Erro ao carregar dashboard:', err);
   }
 }
 
+const CONNECTION_EVENT_LABELS = {
+  open: 'Conectado',
+  close: 'Desconectado',
+  qr: 'QR Code gerado',
+  qr_loop: 'Limite de QR Codes',
+  reconnect: 'Tentativa de reconexão',
+  failed: 'Reconexão esgotada'
+};
+
+async function loadUptime(instanceId, startDate, endDate) {
+  try {
+    const { uptime } = await api.getUptime(instanceId, startDate, endDate);
+
+    $('#uptimePercent').textContent = uptime.uptimePercent === null
+      ? 'Sem dados'
+      : `${uptime.uptimePercent.toLocaleString('pt-BR')}% online`;
+    $('#uptimeConnected').textContent = formatDuration(uptime.connectedSeconds);
+    $('#uptimeDisconnects').textContent = uptime.disconnects;
+    $('#uptimeReconnects').textContent = uptime.reconnectAttempts;
+    $('#uptimeQrCodes').textContent = uptime.qrCodes;
+
+    $('#uptimeReasons').innerHTML = uptime.reasons.length
+      ? uptime.reasons.map(r => `
+        <span class="uptime-reason">${escapeHtml(r.reason || 'Sem motivo')} <strong>${r.count}</strong></span>
+      `).join('')
+      : '';
+
+    const tbody = $('#uptimeEventsBody');
+    if (!uptime.events.length) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="3">
+            <div class="queue-empty">
+              <p>Nenhum evento de conexão no período</p>
+            </div>
+          </td>
+        </tr>
+      `;
+      return;
+    }
+
+    tbody.innerHTML = uptime.events.map(e => `
+      <tr>
+        <td><span class="time-cell">${new Date(e.createdAt).toLocaleString('pt-BR')}</span></td>
+        <td><span class="connection-event ${e.event}">${CONNECTION_EVENT_LABELS[e.event] || e.event}</span></td>
+        <td>${escapeHtml(e.reason || '-')}</td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Erro ao carregar disponibilidade:', err);
+  }
+}
+
+async function loadGroupActivity(instanceId, startDate, endDate) {
+  try {
+    const { enabled, totals, groups } = await api.getGroupActivity(instanceId, startDate, endDate);
+
+    $('#groupsCount').textContent = enabled ? `${groups.length} grupo(s)` : 'Monitoramento desativado';
+    $('#groupsActive').textContent = totals.activeGroups;
+    $('#groupsReceived').textContent = totals.messagesReceived;
+    $('#groupsSent').textContent = totals.messagesSent;
+    $('#groupsParticipants').textContent = totals.activeParticipants;
+
+    const tbody = $('#groupsBody');
+    if (!groups.length) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="4">
+            <div class="queue-empty">
+              <p>${enabled ? 'Nenhuma mensagem de grupo no período' : 'Ative "Monitorar grupos" na conexão para acompanhar os grupos'}</p>
+            </div>
+          </td>
+        </tr>
+      `;
+      return;
+    }
+
+    tbody.innerHTML = groups.map(g => `
+      <tr>
+        <td>
+          <div class="contact-name">${escapeHtml(g.subject)}</div>
+          <div class="contact-phone">${g.participantCount !== null ? `${g.participantCount} participantes · ` : ''}${g.activeParticipants} ativo(s)</div>
+        </td>
+        <td>${g.messagesReceived} recebidas · ${g.messagesSent} enviadas</td>
+        <td>${g.topParticipants.map(p => `<span class="uptime-reason">${escapeHtml(p.name)} <strong>${p.messages}</strong></span>`).join(' ') || '-'}</td>
+        <td><span class="time-cell">${formatTimeAgo(g.lastMessageAt)}</span></td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error('Erro ao carregar atividade dos grupos:', err);
+  }
+}
+
 async function loadPendingQueue(instanceId) {
   try {
     const { contacts } = await api.getContacts(instanceId, 20);
 
-    // Filtra contatos que receberam mensagem mas não respondemos
-    const pending = contacts.filter(c => !c.lastMessageFromMe && c.lastMessage);
+    // Filtra contatos que receberam mensagem mas não respondemos (grupos não entram na fila)
+    const pending = contacts.filter(c => c.conversationType !== 'group' && !c.lastMessageFromMe && c.lastMessage);
 
     $('#queueCount').textContent = `${pending.length} aguardando`;
 
@@ -374,10 +631,17 @@ async function loadContacts(instanceId) {
         <div class="contact-avatar-list">${initials}</div>
         <div class="contact-info">
           <div class="contact-row">
-            <span class="contact-name-list">${escapeHtml(c.name || c.phone)}</span>
+            <span class="contact-name-list">${c.pinned ? '📌 ' : ''}${c.conversationType === 'group' ? '👥 ' : ''}${escapeHtml(c.name || c.phone)}</span>
             <span class="contact-time">${formatTimeAgo(c.lastMessageAt)}</span>
           </div>
           <div class="contact-preview">${escapeHtml(c.lastMessage || '')}</div>
+          ${c.archived || c.labels?.length || c.conversationType === 'group' ? `
+          <div class="contact-labels">
+            ${c.conversationType === 'group' ? '<span class="contact-label archived">Grupo</span>' : ''}
+            ${c.archived ? '<span class="contact-label archived">Arquivada</span>' : ''}
+            ${(c.labels || []).map(l => `<span class="contact-label">${escapeHtml(l.name)}</span>`).join('')}
+          </div>
+          ` : ''}
         </div>
       </div>
       `;
@@ -393,6 +657,8 @@ async function loadContacts(instanceId) {
 }
 
 async function selectContact(contactId) {
+  // Um anexo escolhido vale só para a conversa em que foi escolhido
+  if (state.attachment && state.selectedContact !== contactId) setAttachment(null);
   state.selectedContact = contactId;
 
   $$('.contact-item').forEach(c => c.classList.remove('active'));
@@ -401,7 +667,9 @@ async function selectContact(contactId) {
   const contact = state.contacts.find(c => c.id === contactId);
   if (contact) {
     $('#chatContactName').textContent = contact.name || contact.phone;
-    $('#chatContactPhone').textContent = contact.phone;
+    $('#chatContactPhone').textContent = contact.conversationType === 'group'
+      ? `Grupo${contact.participantCount !== null ? ` · ${contact.participantCount} participantes` : ''}`
+      : contact.phone;
     const initials = (contact.name || contact.phone).substring(0, 2).toUpperCase();
     $('#chatAvatar').textContent = initials;
   }
@@ -416,9 +684,10 @@ async function loadConversation(contactId) {
     const container = $('#chatMessages');
     const inputContainer = $('#chatInputContainer');
 
-    // Mostra o campo de input quando um contato está selecionado
+    // Mostra o campo de input quando um contato está selecionado (viewers só leem)
     if (inputContainer) {
-      inputContainer.style.display = 'block';
+      const instance = state.instances.find(i => i.id === state.selectedInstance);
+      inputContainer.style.display = canSendMessages(instance) ? 'block' : 'none';
     }
 
     if (!messages.length) {
@@ -431,9 +700,11 @@ async function loadConversation(contactId) {
     }
 
     container.innerHTML = messages.map(m => `
-      <div class="message-bubble ${m.fromMe ? 'sent' : 'received'}">
-        ${escapeHtml(m.body)}
-        <div class="message-time">${formatMessageTime(m.timestamp)}</div>
+      <div class="message-bubble ${m.fromMe ? 'sent' : 'received'}${m.deletedAt ? ' deleted' : ''}" data-message-id="${escapeHtml(m.messageId || '')}">
+        ${m.participant ? `<div class="message-participant">${escapeHtml(m.participantName || m.participant)}</div>` : ''}
+        ${m.media ? renderMedia(m.media) : ''}
+        ${m.media && isMediaPlaceholder(m.body) ? '' : escapeHtml(m.body)}
+        <div class="message-time">${formatMessageTime(m.timestamp)}${renderRevisionMarkers(m)}${m.fromMe ? renderTicks(m.status) : ''}</div>
       </div>
     `).join('');
 
@@ -445,21 +716,97 @@ async function loadConversation(contactId) {
 }
 
 /**
- * Envia uma mensagem para o contato selecionado
+ * Arquivo de mídia da mensagem, servido por /api/media/:id (o cookie de sessão autentica)
  */
-async function sendMessage(message) {
-  if (!state.selectedContact || !message.trim()) {
+function renderMedia(media) {
+  const url = escapeHtml(media.url);
+  const type = media.mimetype || '';
+
+  if (/^image\/(jpeg|png|gif|webp)$/.test(type)) {
+    return `<a href="${url}" target="_blank" rel="noopener"><img class="message-media" src="${url}" loading="lazy" alt=""></a>`;
+  }
+  if (type.startsWith('video/')) {
+    return `<video class="message-media" src="${url}" controls preload="metadata"></video>`;
+  }
+  if (type.startsWith('audio/')) {
+    return `<audio class="message-audio" src="${url}" controls preload="none"></audio>`;
+  }
+
+  const size = media.size >= 1024 * 1024
+    ? `${(media.size / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(media.size / 1024))} KB`;
+  return `<a class="message-document" href="${url}" target="_blank" rel="noopener">📄 ${escapeHtml(media.fileName || 'Arquivo')} <span>${size}</span></a>`;
+}
+
+// Texto registrado para mídia sem legenda (extractMessageBody no SessionManager), dispensável quando o arquivo é exibido
+const MEDIA_PLACEHOLDERS = new Set(['[📷 Imagem]', '[🎥 Vídeo]', '[🎵 Áudio]', '[📄 Documento]', '[😀 Sticker]']);
+
+function isMediaPlaceholder(body) {
+  return MEDIA_PLACEHOLDERS.has(body);
+}
+
+/**
+ * Marcas "editada" (com as versões anteriores no título) e "apagada"; o texto exibido é o último
+ */
+function renderRevisionMarkers(m) {
+  let markers = '';
+  if (m.editedAt) {
+    const previous = (m.revisions || []).map(r => `• ${r.body}`).join('\n');
+    markers += `<span class="message-marker" title="${escapeHtml(previous ? `Versões anteriores:\n${previous}` : 'Editada')}">editada</span>`;
+  }
+  if (m.deletedAt) {
+    markers += `<span class="message-marker" title="Apagada para todos em ${formatMessageTime(m.deletedAt)}">apagada</span>`;
+  }
+  return markers;
+}
+
+const TICK_LABELS = {
+  error: 'Erro no envio',
+  pending: 'Enviando',
+  server: 'Enviada',
+  delivered: 'Entregue',
+  read: 'Lida',
+  played: 'Reproduzida'
+};
+
+/**
+ * Tiques de status de uma mensagem enviada (sem status: mensagem anterior ao rastreamento)
+ */
+function renderTicks(status) {
+  if (!status) return '';
+  const symbol = { error: '⚠', pending: '🕓', server: '✓' }[status] || '✓✓';
+  return `<span class="message-ticks ${status}" title="${TICK_LABELS[status] || status}">${symbol}</span>`;
+}
+
+/**
+ * Arquivo escolhido para o próximo envio (null para só texto)
+ */
+function setAttachment(file) {
+  state.attachment = file;
+  $('#attachmentInput').value = '';
+  $('#chatAttachment').style.display = file ? 'inline-flex' : 'none';
+  $('#chatAttachmentName').textContent = file ? `📎 ${file.name}` : '';
+  $('#messageInput').placeholder = file ? 'Legenda (opcional)...' : 'Digite sua mensagem...';
+}
+
+/**
+ * Envia uma mensagem (ou o arquivo anexado, com a mensagem como legenda) para o contato selecionado
+ */
+async function sendMessage(message, file = null) {
+  if (!state.selectedContact || (!message.trim() && !file)) {
     return;
   }
 
   const inputContainer = $('#chatInputContainer');
   const messageInput = $('#messageInput');
   const sendBtn = $('#sendMessageBtn');
+  const attachBtn = $('#attachBtn');
 
   try {
     // Desabilita o input enquanto envia
     inputContainer.classList.add('sending');
     sendBtn.disabled = true;
+    attachBtn.disabled = true;
     messageInput.disabled = true;
 
     // Adiciona a mensagem na interface imediatamente (otimista)
@@ -469,6 +816,7 @@ async function sendMessage(message) {
     tempMessage.id = tempId;
     tempMessage.className = 'message-bubble sent';
     tempMessage.innerHTML = `
+      ${file ? `<div class="message-document">📎 ${escapeHtml(file.name)}</div>` : ''}
       ${escapeHtml(message)}
       <div class="message-time">Enviando...</div>
     `;
@@ -476,19 +824,23 @@ async function sendMessage(message) {
     container.scrollTop = container.scrollHeight;
 
     // Envia via API
-    const response = await api.sendMessage(state.selectedContact, message);
+    const response = await api.sendMessage(state.selectedContact, message.trim(), file);
 
     // Atualiza a mensagem com o horário correto
     const sentMessage = document.getElementById(tempId);
     if (sentMessage) {
+      // Os tiques seguintes chegam pelo evento message-status
+      sentMessage.dataset.messageId = response.messageId || '';
       sentMessage.innerHTML = `
-        ${escapeHtml(message)}
-        <div class="message-time">${formatMessageTime(response.timestamp)}</div>
+        ${response.media ? renderMedia(response.media) : ''}
+        ${response.media && !message.trim() ? '' : escapeHtml(message)}
+        <div class="message-time">${formatMessageTime(response.timestamp)}${renderTicks('pending')}</div>
       `;
     }
 
     // Limpa o input
     messageInput.value = '';
+    if (file) setAttachment(null);
 
     // Atualiza a lista de contatos
     loadContacts(state.selectedInstance);
@@ -503,6 +855,7 @@ async function sendMessage(message) {
   } finally {
     inputContainer.classList.remove('sending');
     sendBtn.disabled = false;
+    attachBtn.disabled = false;
     messageInput.disabled = false;
     messageInput.focus();
   }
@@ -551,14 +904,30 @@ async function loadInstances(immediate = false) {
             <span class="instance-status ${i.status}">${getStatusText(i.status)}</span>
           </div>
           <div class="instance-phone">${i.phone || 'Não conectado'}</div>
+          <div class="instance-org">${escapeHtml(i.organization_name || '')} · ${getRoleText(i.member_role)}</div>
+          ${i.status === 'failed' && i.last_error ? `<div class="instance-error">${escapeHtml(i.last_error)}</div>` : ''}
+          ${canManageInstance(i) ? `
+          <label class="instance-option" title="Agenda, conversas arquivadas/fixadas e etiquetas do celular">
+            <input type="checkbox" ${i.app_state_sync ? 'checked' : ''} onchange="toggleAppStateSync('${i.id}', this)">
+            Sincronizar agenda e etiquetas do celular
+          </label>
+          <label class="instance-option" title="Registra as conversas de grupos, fora das métricas de atendimento">
+            <input type="checkbox" ${i.group_sync ? 'checked' : ''} onchange="toggleGroupSync('${i.id}', this)">
+            Monitorar grupos
+          </label>
           <div class="instance-actions">
             ${i.status === 'connected'
           ? `<button class="btn btn-secondary" onclick="disconnectInstance('${i.id}')">Desconectar</button>`
-          : `<button class="btn btn-primary" onclick="connectInstance('${i.id}')">Conectar</button>`
+          : i.status === 'failed'
+            ? `<button class="btn btn-primary" onclick="retryInstance('${i.id}')">Tentar novamente</button>`
+            : `<button class="btn btn-primary" onclick="connectInstance('${i.id}')">Conectar</button>`
         }
             <button class="btn btn-secondary btn-sm" onclick="generateConnectLink('${i.id}')" title="Gerar Link">
               🔗
             </button>
+            <button class="btn btn-secondary btn-sm" onclick="showConnectLinks('${i.id}')" title="Links gerados">
+              📋
+            </button>
             <button class="btn btn-secondary btn-sm" onclick="deleteInstance('${i.id}')" title="Remover">
               <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
                 <path d="M6 2V4M10 2V4M3 4H13M12 4V13C12 14.1046 11.1046 15 10 15H6C4.89543 15 4 14.1046 4 13V4H12Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
@@ -566,6 +935,7 @@ async function loadInstances(immediate = false) {
               </svg>
             </button>
           </div>
+          ` : ''}
         </div>
       `).join('');
     } catch (err) {
@@ -622,10 +992,11 @@ async function connectInstance(id) {
     }
 
     // Se inscreve na instância ANTES de iniciar a conexão (importante para receber o QR code)
-    state.socket.emit('subscribe', { userId: state.user?.id, instanceId: id });
+    state.socket.emit('subscribe', { instanceId: id });
     state.selectedInstance = id;
 
     // Mostra o modal primeiro
+    setPairingMode(false);
     showModal('qrModal');
 
     // Limpa o QR container e mostra loading
@@ -667,6 +1038,51 @@ async function disconnectInstance(id) {
   }
 }
 
+async function retryInstance(id) {
+  try {
+    await api.retryInstance(id);
+    showToast('Reconectando...', 'info');
+    loadInstances(true);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function toggleAppStateSync(id, checkbox) {
+  const enabled = checkbox.checked;
+  if (!enabled && !confirm('Os nomes da agenda e as etiquetas sincronizados serão apagados. Continuar?')) {
+    checkbox.checked = true;
+    return;
+  }
+
+  checkbox.disabled = true;
+  try {
+    await api.updateInstance(id, { appStateSync: enabled });
+    showToast(enabled ? 'Sincronização do celular ativada' : 'Sincronização do celular desativada', 'success');
+    loadInstances(true);
+  } catch (err) {
+    checkbox.checked = !enabled;
+    showToast(err.message, 'error');
+  } finally {
+    checkbox.disabled = false;
+  }
+}
+
+async function toggleGroupSync(id, checkbox) {
+  const enabled = checkbox.checked;
+  checkbox.disabled = true;
+  try {
+    await api.updateInstance(id, { groupSync: enabled });
+    showToast(enabled ? 'Monitoramento de grupos ativado' : 'Monitoramento de grupos desativado', 'success');
+    loadInstances(true);
+  } catch (err) {
+    checkbox.checked = !enabled;
+    showToast(err.message, 'error');
+  } finally {
+    checkbox.disabled = false;
+  }
+}
+
 async function deleteInstance(id) {
   if (!confirm('Deseja remover esta conexão?')) return;
   try {
@@ -685,6 +1101,44 @@ function showQRCode(qrBase64) {
   container.innerHTML = `<img src="${qrBase64}" alt="QR Code" style="max-width: 100%; height: auto; border-radius: 8px;">`;
 }
 
+/**
+ * Alterna o modal de conexão entre QR Code e código de pareamento (número de telefone)
+ */
+function setPairingMode(enabled) {
+  $('#qrSection').style.display = enabled ? 'none' : '';
+  $('#pairingSection').style.display = enabled ? '' : 'none';
+  $('#btnTogglePairing').textContent = enabled ? 'Conectar com QR Code' : 'Conectar com número de telefone';
+  $('#pairingCode').style.display = 'none';
+  resetPairingForm();
+}
+
+function resetPairingForm() {
+  const button = $('#pairingForm button[type="submit"]');
+  button.disabled = false;
+  button.textContent = 'Gerar código';
+}
+
+function requestPairingCode() {
+  const phoneNumber = $('#pairingPhone').value.replace(/\D/g, '');
+  if (!state.socket?.connected || !state.selectedInstance) {
+    showToast('Conexão em tempo real indisponível. Recarregue a página.', 'error');
+    return;
+  }
+
+  const button = $('#pairingForm button[type="submit"]');
+  button.disabled = true;
+  button.textContent = 'Gerando código...';
+
+  state.socket.emit('request-pairing-code', { instanceId: state.selectedInstance, phoneNumber });
+}
+
+function showPairingCode(code) {
+  const display = $('#pairingCode');
+  display.textContent = code;
+  display.style.display = '';
+  resetPairingForm();
+}
+
 async function generateConnectLink(instanceId) {
   try {
     const { connectLink, instance } = await api.generateConnectLink(instanceId);
@@ -759,6 +1213,78 @@ function showConnectLinkModal(link, instance) {
   document.body.appendChild(modal);
 }
 
+// Lista os links de conexão gerados para a instância
+async function showConnectLinks(instanceId) {
+  try {
+    const { links } = await api.getConnectLinks(instanceId);
+    const instance = state.instances.find(i => i.id === instanceId);
+
+    document.getElementById('connectLinksModal')?.remove();
+
+    const statusText = { active: 'Ativo', expired: 'Expirado', revoked: 'Revogado', exhausted: 'Esgotado' };
+    const rows = links.length
+      ? links.map(l => `
+        <tr>
+          <td><code>${escapeHtml(l.tokenPrefix)}…</code></td>
+          <td>${escapeHtml(l.createdBy || '-')}</td>
+          <td>${new Date(l.expiresAt).toLocaleString('pt-BR')}</td>
+          <td>${l.useCount}/${l.maxUses}</td>
+          <td><span class="link-status ${l.status}">${statusText[l.status] || l.status}</span></td>
+          <td>${l.status === 'active'
+            ? `<button class="btn btn-secondary btn-sm" onclick="revokeConnectLink('${instanceId}', ${l.id})">Revogar</button>`
+            : ''}</td>
+        </tr>
+      `).join('')
+      : '<tr><td colspan="6" style="text-align: center; color: var(--text-secondary);">Nenhum link gerado</td></tr>';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'connectLinksModal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 720px;">
+        <div class="modal-header">
+          <h3>Links de Conexão${instance ? ` - ${escapeHtml(instance.name)}` : ''}</h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+              <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body">
+          <table class="queue-table links-table">
+            <thead>
+              <tr>
+                <th>Token</th>
+                <th>Criado por</th>
+                <th>Expira em</th>
+                <th>Usos</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function revokeConnectLink(instanceId, linkId) {
+  if (!confirm('Revogar este link? O cliente não conseguirá mais usá-lo.')) return;
+  try {
+    await api.revokeConnectLink(instanceId, linkId);
+    showToast('Link revogado', 'success');
+    showConnectLinks(instanceId);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
 // Função para copiar o link com feedback visual
 function copyConnectLink(link) {
   navigator.clipboard.writeText(link).then(() => {
@@ -791,22 +1317,428 @@ function copyConnectLink(link) {
   });
 }
 
-// Sem autenticação - acesso direto
-async function checkAuth() {
-  // Usuário fictício para manter compatibilidade
-  state.user = { id: 1, name: 'Usuário', email: 'usuario@oregon.com' };
-  hideLoginPage();
-  initApp();
+// ==================== Audit ====================
+const AUDIT_PAGE_SIZE = 50;
+
+const AUDIT_ACTION_LABELS = {
+  'auth.register': 'Cadastro',
+  'auth.login': 'Login',
+  'auth.login_failed': 'Falha de login',
+  'auth.logout': 'Logout',
+  'auth.password_reset_requested': 'Redefinição de senha solicitada',
+  'auth.password_reset': 'Senha redefinida',
+  'auth.password_change': 'Senha alterada',
+  'auth.two_factor_failed': 'Código de 2FA inválido',
+  'auth.two_factor_enable': '2FA ativado',
+  'auth.two_factor_disable': '2FA desativado',
+  'auth.recovery_codes_regenerate': 'Códigos de recuperação gerados',
+  'organization.require_two_factor': 'Exigência de 2FA alterada',
+  'session.revoke': 'Sessão encerrada',
+  'session.revoke_all': 'Outras sessões encerradas',
+  'api_key.create': 'Chave de API criada',
+  'api_key.revoke': 'Chave de API revogada',
+  'instance.create': 'Conexão criada',
+  'instance.connect': 'Conexão iniciada',
+  'instance.disconnect': 'Conexão desconectada',
+  'instance.delete': 'Conexão removida',
+  'instance.app_state_sync': 'Sincronização do celular alterada',
+  'instance.group_sync': 'Monitoramento de grupos alterado',
+  'instance.media_retention': 'Retenção de mídia alterada',
+  'instance.reconnect_policy': 'Política de reconexão alterada',
+  'instance.retry': 'Nova tentativa de conexão',
+  'connect_link.create': 'Link de conexão gerado',
+  'connect_link.revoke': 'Link de conexão revogado',
+  'connect_link.open': 'Link de conexão aberto',
+  'message.send': 'Mensagem enviada',
+  'organization.create': 'Organização criada',
+  'organization.rename': 'Organização renomeada',
+  'member.add': 'Membro adicionado',
+  'member.role_change': 'Papel alterado',
+  'member.remove': 'Membro removido'
+};
+
+async function loadOrganizations() {
+  try {
+    const { organizations } = await api.getMe();
+    state.organizations = organizations || [];
+  } catch (err) {
+    state.organizations = [];
+  }
+
+  const adminOrgs = state.organizations.filter(o => hasRole(o.role, 'admin'));
+  $('#navAudit').classList.toggle('hidden', adminOrgs.length === 0);
+  $('#auditOrganization').innerHTML = '<option value="">Todas as organizações</option>' +
+    adminOrgs.map(o => `<option value="${o.id}">${escapeHtml(o.name)}</option>`).join('');
 }
 
-async function login(email, password) {
+async function loadAudit(append = false) {
+  state.auditOffset = append ? state.auditOffset + AUDIT_PAGE_SIZE : 0;
+
+  try {
+    const { entries } = await api.getAudit({
+      organizationId: $('#auditOrganization').value,
+      action: $('#auditAction').value,
+      startDate: $('#startDate').value,
+      endDate: $('#endDate').value,
+      limit: AUDIT_PAGE_SIZE,
+      offset: state.auditOffset
+    });
+
+    const tbody = $('#auditBody');
+    const rows = entries.map(entry => `
+      <tr>
+        <td>${new Date(entry.createdAt).toLocaleString('pt-BR')}</td>
+        <td>${escapeHtml(entry.actorLabel || '-')}<br><small>${escapeHtml(getAuditActorText(entry.actorType))}</small></td>
+        <td><span class="audit-action">${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</span></td>
+        <td>${escapeHtml(entry.targetType ? `${entry.targetType} ${entry.targetId || ''}` : '-')}</td>
+        <td class="audit-details">${escapeHtml(formatAuditDetails(entry.details))}</td>
+        <td>${escapeHtml(entry.ip || '-')}</td>
+      </tr>
+    `).join('');
+
+    if (append) {
+      tbody.insertAdjacentHTML('beforeend', rows);
+    } else {
+      tbody.innerHTML = rows || `
+        <tr>
+          <td colspan="6">
+            <div class="queue-empty">
+              <p>Nenhum registro encontrado</p>
+            </div>
+          </td>
+        </tr>
+      `;
+    }
+
+    $('#btnAuditMore').classList.toggle('hidden', entries.length < AUDIT_PAGE_SIZE);
+  } catch (err) {
+    showToast(err.message || 'Erro ao carregar auditoria', 'error');
+  }
+}
+
+function getAuditActorText(actorType) {
+  return { user: 'Usuário', api_key: 'Chave de API', connect_link: 'Link de conexão', anonymous: 'Anônimo' }[actorType] || actorType;
+}
+
+function formatAuditDetails(details) {
+  if (!details) return '';
+  return Object.entries(details)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+    .join(' · ');
+}
+
+// ==================== Two-Factor ====================
+function renderTwoFactorModal(title, body, { closable = true } = {}) {
+  document.getElementById('twoFactorModal')?.remove();
+
+  const modal = document.createElement('div');
+  modal.className = 'modal active';
+  modal.id = 'twoFactorModal';
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 480px;">
+      <div class="modal-header">
+        <h3>${title}</h3>
+        ${closable ? `
+        <button class="modal-close" onclick="this.closest('.modal').remove()">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+            <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          </svg>
+        </button>` : ''}
+      </div>
+      <div class="modal-body">${body}</div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+  return modal;
+}
+
+/**
+ * Abre o gerenciamento do 2FA. Com `required`, o modal não pode ser fechado
+ * até o cadastro ser concluído (organização exige 2FA)
+ */
+async function showTwoFactor({ required = false } = {}) {
+  if (required && document.getElementById('twoFactorModal')?.dataset.required) return;
+
+  try {
+    const status = await api.getTwoFactor();
+
+    if (!status.enabled) {
+      const modal = renderTwoFactorModal('Verificação em duas etapas', `
+        <p class="login-form-hint">
+          ${required
+            ? 'Sua organização exige verificação em duas etapas. Ative-a para continuar usando o dashboard.'
+            : 'Proteja sua conta pedindo um código do app autenticador (Google Authenticator, Authy, 1Password...) a cada login.'}
+        </p>
+        <button class="btn btn-primary btn-block" onclick="startTwoFactorSetup(${required})">Ativar</button>
+        ${required ? '<button class="link-btn" onclick="logout()">Sair</button>' : ''}
+      `, { closable: !required });
+      if (required) modal.dataset.required = 'true';
+      return;
+    }
+
+    renderTwoFactorModal('Verificação em duas etapas', `
+      <p class="login-form-hint">
+        Ativa desde ${new Date(status.enabledAt).toLocaleDateString('pt-BR')}.
+        Códigos de recuperação restantes: <strong>${status.recoveryCodesRemaining}</strong>.
+      </p>
+      <form id="twoFactorManageForm">
+        <div class="form-group">
+          <label for="twoFactorManagePassword">Senha</label>
+          <input type="password" id="twoFactorManagePassword" required>
+        </div>
+        <div class="form-group">
+          <label for="twoFactorManageCode">Código do app ou de recuperação</label>
+          <input type="text" id="twoFactorManageCode" autocomplete="one-time-code" required>
+        </div>
+        <button type="button" class="btn btn-secondary btn-block" onclick="regenerateRecoveryCodes()">Gerar novos códigos de recuperação</button>
+        ${status.required
+          ? '<p class="login-form-hint">Uma das suas organizações exige verificação em duas etapas, então ela não pode ser desativada.</p>'
+          : '<button type="button" class="btn btn-secondary btn-block" style="margin-top: 8px;" onclick="disableTwoFactor()">Desativar</button>'}
+      </form>
+    `);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function startTwoFactorSetup(required = false) {
+  try {
+    const { secret, qrCode } = await api.setupTwoFactor();
+
+    const modal = renderTwoFactorModal('Ativar verificação em duas etapas', `
+      <p class="login-form-hint">Escaneie o QR Code com o app autenticador e digite o código gerado.</p>
+      <div class="qr-container"><img src="${qrCode}" alt="QR Code do app autenticador"></div>
+      <p class="login-form-hint">Ou digite a chave manualmente: <code>${escapeHtml(secret)}</code></p>
+      <form id="twoFactorEnableForm">
+        <div class="form-group">
+          <label for="twoFactorEnableCode">Código de verificação</label>
+          <input type="text" id="twoFactorEnableCode" placeholder="000000" inputmode="numeric" autocomplete="one-time-code" required>
+        </div>
+        <button type="submit" class="btn btn-primary btn-block">Confirmar</button>
+      </form>
+    `, { closable: !required });
+    if (required) modal.dataset.required = 'true';
+
+    $('#twoFactorEnableForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await enableTwoFactor($('#twoFactorEnableCode').value, required);
+    });
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function enableTwoFactor(code, required = false) {
   try {
-    const { user, token } = await api.login(email, password);
-    state.user = user;
+    const { recoveryCodes, token } = await api.enableTwoFactor(code.trim());
     state.token = token;
     localStorage.setItem('oregon_token', token);
-    hideLoginPage();
+    showRecoveryCodes(recoveryCodes, required);
+    showToast('Verificação em duas etapas ativada', 'success');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+function showRecoveryCodes(codes, required = false) {
+  const modal = renderTwoFactorModal('Códigos de recuperação', `
+    <p class="login-form-hint">
+      Guarde estes códigos em local seguro. Cada um pode ser usado uma única vez se você perder o acesso ao app autenticador.
+      Eles não serão exibidos novamente.
+    </p>
+    <pre class="recovery-codes">${codes.map(escapeHtml).join('\n')}</pre>
+    <button class="btn btn-primary btn-block" id="btnRecoveryCodesDone">Já guardei os códigos</button>
+  `, { closable: false });
+
+  modal.querySelector('#btnRecoveryCodesDone').addEventListener('click', () => {
+    modal.remove();
+    // Cadastro exigido no login: o dashboard ainda não foi iniciado
+    if (required && !state.socket) initApp();
+  });
+}
+
+// Código informado no gerenciamento: 6 dígitos = app; senão, código de recuperação
+function readTwoFactorManageCode() {
+  const value = $('#twoFactorManageCode').value.trim();
+  return /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+}
+
+async function regenerateRecoveryCodes() {
+  const password = $('#twoFactorManagePassword').value;
+  if (!password || !$('#twoFactorManageCode').value.trim()) {
+    showToast('Informe a senha e um código', 'error');
+    return;
+  }
+
+  try {
+    const { recoveryCodes } = await api.regenerateRecoveryCodes(password, readTwoFactorManageCode());
+    showRecoveryCodes(recoveryCodes);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function disableTwoFactor() {
+  const password = $('#twoFactorManagePassword').value;
+  if (!password || !$('#twoFactorManageCode').value.trim()) {
+    showToast('Informe a senha e um código', 'error');
+    return;
+  }
+  if (!confirm('Desativar a verificação em duas etapas?')) return;
+
+  try {
+    await api.disableTwoFactor(password, readTwoFactorManageCode());
+    document.getElementById('twoFactorModal')?.remove();
+    showToast('Verificação em duas etapas desativada', 'success');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ==================== Sessions ====================
+async function showSessions() {
+  try {
+    const { sessions } = await api.getSessions();
+
+    document.getElementById('sessionsModal')?.remove();
+
+    const rows = sessions.map(s => `
+      <tr>
+        <td>${escapeHtml(s.device)}${s.current ? ' <span class="link-status active">Esta sessão</span>' : ''}</td>
+        <td>${escapeHtml(s.ip || '-')}</td>
+        <td>${s.lastSeenAt ? new Date(s.lastSeenAt).toLocaleString('pt-BR') : '-'}</td>
+        <td>${new Date(s.createdAt).toLocaleString('pt-BR')}</td>
+        <td>${s.current
+          ? ''
+          : `<button class="btn btn-secondary btn-sm" onclick="revokeSession(${s.id})">Encerrar</button>`}</td>
+      </tr>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'sessionsModal';
+    modal.innerHTML = `
+      <div class="modal-content" style="max-width: 720px;">
+        <div class="modal-header">
+          <h3>Sessões ativas</h3>
+          <button class="modal-close" onclick="this.closest('.modal').remove()">
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
+              <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body">
+          <table class="queue-table links-table">
+            <thead>
+              <tr>
+                <th>Dispositivo</th>
+                <th>IP</th>
+                <th>Último acesso</th>
+                <th>Login</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          ${sessions.length > 1
+            ? '<button class="btn btn-secondary btn-block" style="margin-top: 16px;" onclick="revokeOtherSessions()">Encerrar todas as outras sessões</button>'
+            : ''}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function revokeSession(id) {
+  if (!confirm('Encerrar esta sessão? O dispositivo precisará fazer login novamente.')) return;
+  try {
+    await api.revokeSession(id);
+    showToast('Sessão encerrada', 'success');
+    showSessions();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function revokeOtherSessions() {
+  if (!confirm('Encerrar todas as outras sessões? Apenas este dispositivo continuará conectado.')) return;
+  try {
+    await api.revokeOtherSessions();
+    showToast('Outras sessões encerradas', 'success');
+    showSessions();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function checkAuth() {
+  // Link de redefinição de senha recebido por email
+  const resetToken = new URLSearchParams(window.location.search).get('reset_token');
+  if (resetToken) {
+    state.resetToken = resetToken;
+    showLoginPage();
+    showLoginForm('reset');
+    return;
+  }
+
+  state.token = localStorage.getItem('oregon_token');
+
+  try {
+    // O cookie httpOnly também é aceito, então tenta mesmo sem token salvo
+    const { user, twoFactorSetupRequired } = await api.getMe();
+    startApp(user, state.token, twoFactorSetupRequired);
+  } catch (err) {
+    state.token = null;
+    localStorage.removeItem('oregon_token');
+    showLoginPage();
+  }
+}
+
+// Sessão expirada ou token inválido: volta para o login
+function handleUnauthorized() {
+  if (!state.user) return;
+  state.user = null;
+  state.token = null;
+  localStorage.removeItem('oregon_token');
+  state.socket?.disconnect();
+  state.socket = null;
+  document.getElementById('twoFactorModal')?.remove();
+  showLoginPage();
+  showToast('Sessão expirada. Faça login novamente.', 'error');
+}
+
+// Entra no dashboard; se a organização exige 2FA ainda não ativado, abre o cadastro antes
+function startApp(user, token, twoFactorSetupRequired = false) {
+  state.user = user;
+  state.token = token;
+  if (token) localStorage.setItem('oregon_token', token);
+  hideLoginPage();
+
+  if (twoFactorSetupRequired) {
+    showTwoFactor({ required: true });
+  } else {
     initApp();
+  }
+}
+
+async function login(email, password) {
+  try {
+    const result = await api.login(email, password);
+
+    if (result.twoFactorRequired) {
+      state.twoFactorChallenge = result.challengeToken;
+      setRecoveryCodeMode(false);
+      showLoginForm('twoFactor');
+      $('#twoFactorCode').focus();
+      return;
+    }
+
+    startApp(result.user, result.token, result.twoFactorSetupRequired);
   } catch (err) {
     const message = err?.message || 'Erro ao fazer login';
     console.error('Login error:', err);
@@ -817,11 +1749,7 @@ async function login(email, password) {
 async function register(name, email, password, company) {
   try {
     const { user, token } = await api.register(name, email, password, company);
-    state.user = user;
-    state.token = token;
-    localStorage.setItem('oregon_token', token);
-    hideLoginPage();
-    initApp();
+    startApp(user, token);
   } catch (err) {
     const message = err?.message || 'Erro ao cadastrar';
     console.error('Register error:', err);
@@ -829,14 +1757,91 @@ async function register(name, email, password, company) {
   }
 }
 
+async function verifyTwoFactorLogin(value) {
+  try {
+    const { user, token, twoFactorSetupRequired } = state.useRecoveryCode
+      ? await api.verifyTwoFactorLogin(state.twoFactorChallenge, null, value)
+      : await api.verifyTwoFactorLogin(state.twoFactorChallenge, value, null);
+
+    state.twoFactorChallenge = null;
+    $('#twoFactorCode').value = '';
+    startApp(user, token, twoFactorSetupRequired);
+  } catch (err) {
+    showToast(err.message || 'Código inválido', 'error');
+  }
+}
+
+function setRecoveryCodeMode(enabled) {
+  state.useRecoveryCode = enabled;
+  $('#twoFactorCode').value = '';
+  $('#twoFactorCode').placeholder = enabled ? 'xxxxx-xxxxx' : '000000';
+  $('#twoFactorCode').inputMode = enabled ? 'text' : 'numeric';
+  $('#twoFactorLabel').textContent = enabled ? 'Código de recuperação' : 'Código de verificação';
+  $('#twoFactorHint').textContent = enabled
+    ? 'Digite um dos códigos de recuperação gerados ao ativar a verificação em duas etapas.'
+    : 'Digite o código de 6 dígitos do seu app autenticador.';
+  $('#btnUseRecoveryCode').textContent = enabled ? 'Usar código do app autenticador' : 'Usar código de recuperação';
+}
+
 async function logout() {
   try { await api.logout(); } catch (e) { }
   state.user = null;
   state.token = null;
   localStorage.removeItem('oregon_token');
+  state.socket?.disconnect();
+  state.socket = null;
+  document.getElementById('twoFactorModal')?.remove();
   showLoginPage();
 }
 
+// Alterna entre os formulários da tela de login (login, register, forgot, reset)
+function showLoginForm(name) {
+  $$('.login-form').forEach(f => f.classList.remove('active'));
+  $(`#${name}Form`).classList.add('active');
+
+  const isTab = name === 'login' || name === 'register';
+  $('.login-tabs').style.display = isTab ? '' : 'none';
+  $$('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === name));
+}
+
+async function forgotPassword(email) {
+  try {
+    const { message } = await api.forgotPassword(email);
+    showToast(message, 'success');
+    showLoginForm('login');
+  } catch (err) {
+    showToast(err.message || 'Erro ao solicitar redefinição', 'error');
+  }
+}
+
+async function resetPassword(password, confirmation) {
+  if (password !== confirmation) {
+    showToast('As senhas não conferem', 'error');
+    return;
+  }
+
+  try {
+    const { message } = await api.resetPassword(state.resetToken, password);
+    state.resetToken = null;
+    history.replaceState(null, '', window.location.pathname);
+    showToast(message, 'success');
+    showLoginForm('login');
+  } catch (err) {
+    showToast(err.message || 'Erro ao redefinir senha', 'error');
+  }
+}
+
+async function changePassword(currentPassword, newPassword) {
+  try {
+    const { message } = await api.changePassword(currentPassword, newPassword);
+    showToast(message, 'success');
+    closeModal('changePasswordModal');
+    $('#changePasswordForm').reset();
+  } catch (err) {
+    showToast(err.message || 'Erro ao alterar senha', 'error');
+  }
+}
+
 function showLoginPage() {
   $('#loginPage').classList.remove('hidden');
 }
@@ -864,6 +1869,16 @@ function formatTime(seconds) {
   return `${h}h ${m}min`;
 }
 
+function formatDuration(totalSeconds) {
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}min`;
+  return `${minutes}min`;
+}
+
 function formatTimeAgo(dateStr) {
   if (!dateStr) return '';
   const diff = (Date.now() - new Date(dateStr).getTime()) / 1000;
@@ -878,7 +1893,31 @@ function formatMessageTime(dateStr) {
 }
 
 function getStatusText(status) {
-  return { connected: 'Conectado', disconnected: 'Desconectado', connecting: 'Conectando...' }[status] || status;
+  return {
+    connected: 'Conectado',
+    disconnected: 'Desconectado',
+    connecting: 'Conectando...',
+    qr_required: 'Aguardando QR Code',
+    failed: 'Falhou'
+  }[status] || status;
+}
+
+const ROLE_LEVELS = { viewer: 0, agent: 1, admin: 2, owner: 3 };
+
+function hasRole(role, minRole) {
+  return role in ROLE_LEVELS && ROLE_LEVELS[role] >= ROLE_LEVELS[minRole];
+}
+
+function canManageInstance(instance) {
+  return hasRole(instance?.member_role, 'admin');
+}
+
+function canSendMessages(instance) {
+  return hasRole(instance?.member_role, 'agent');
+}
+
+function getRoleText(role) {
+  return { owner: 'Dono', admin: 'Administrador', agent: 'Atendente', viewer: 'Visualizador' }[role] || role || '';
 }
 
 function escapeHtml(text) {
@@ -901,6 +1940,7 @@ function showToast(message, type = 'info') {
 // ==================== Init ====================
 async function initApp() {
   initSocket();
+  loadOrganizations();
   await loadInstances(true); // Carrega imediatamente na inicialização
 
   // Restaura a instância selecionada do localStorage
@@ -908,7 +1948,7 @@ async function initApp() {
   if (savedInstance && state.instances.some(i => i.id === savedInstance)) {
     state.selectedInstance = savedInstance;
     $('#instanceSelect').value = savedInstance;
-    state.socket?.emit('subscribe', { userId: state.user?.id, instanceId: savedInstance });
+    state.socket?.emit('subscribe', { instanceId: savedInstance });
     loadDashboard();
   }
 
@@ -937,7 +1977,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Persiste a seleção no localStorage
     if (state.selectedInstance) {
       localStorage.setItem('oregon_selected_instance', state.selectedInstance);
-      state.socket?.emit('subscribe', { userId: state.user?.id, instanceId: state.selectedInstance });
+      state.socket?.emit('subscribe', { instanceId: state.selectedInstance });
       loadDashboard();
     } else {
       localStorage.removeItem('oregon_selected_instance');
@@ -945,7 +1985,18 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 
   // Filter button
-  $('#btnFilter').addEventListener('click', loadDashboard);
+  $('#btnFilter').addEventListener('click', () => {
+    if ($('#auditView').classList.contains('active')) {
+      loadAudit();
+    } else {
+      loadDashboard();
+    }
+  });
+
+  // Audit filters
+  $('#auditOrganization').addEventListener('change', () => loadAudit());
+  $('#auditAction').addEventListener('change', () => loadAudit());
+  $('#btnAuditMore').addEventListener('click', () => loadAudit(true));
 
   // Chart filter buttons
   $$('.filter-btn').forEach(btn => {
@@ -979,12 +2030,40 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Login tabs
   $$('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      $$('.tab-btn').forEach(b => b.classList.remove('active'));
-      $$('.login-form').forEach(f => f.classList.remove('active'));
-      btn.classList.add('active');
-      $(`#${btn.dataset.tab}Form`).classList.add('active');
-    });
+    btn.addEventListener('click', () => showLoginForm(btn.dataset.tab));
+  });
+
+  // Esqueci minha senha
+  $('#btnForgotPassword').addEventListener('click', () => showLoginForm('forgot'));
+  $$('[data-back-to-login]').forEach(btn => {
+    btn.addEventListener('click', () => showLoginForm('login'));
+  });
+
+  $('#forgotForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await forgotPassword($('#forgotEmail').value);
+  });
+
+  // Segunda etapa do login (2FA)
+  $('#twoFactorForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await verifyTwoFactorLogin($('#twoFactorCode').value.trim());
+  });
+  $('#btnUseRecoveryCode').addEventListener('click', () => setRecoveryCodeMode(!state.useRecoveryCode));
+
+  $('#resetForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await resetPassword($('#resetPassword').value, $('#resetPasswordConfirm').value);
+  });
+
+  // Alterar senha
+  $('#btnChangePassword').addEventListener('click', () => showModal('changePasswordModal'));
+  $('#btnSessions').addEventListener('click', showSessions);
+  $('#btnTwoFactor').addEventListener('click', () => showTwoFactor());
+  $('#closeChangePasswordModal').addEventListener('click', () => closeModal('changePasswordModal'));
+  $('#changePasswordForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await changePassword($('#currentPassword').value, $('#newPassword').value);
   });
 
   // Logout
@@ -997,16 +2076,27 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // QR Modal
   $('#closeQrModal').addEventListener('click', () => closeModal('qrModal'));
+  $('#btnTogglePairing').addEventListener('click', () => {
+    setPairingMode($('#pairingSection').style.display === 'none');
+  });
+  $('#pairingForm').addEventListener('submit', (e) => { e.preventDefault(); requestPairingCode(); });
 
   // Send message form
   $('#sendMessageForm').addEventListener('submit', async (e) => {
     e.preventDefault();
     const message = $('#messageInput').value;
-    if (message.trim()) {
-      await sendMessage(message);
+    if (message.trim() || state.attachment) {
+      await sendMessage(message, state.attachment);
     }
   });
 
+  // Anexo de arquivo (imagem, vídeo, áudio ou documento)
+  $('#attachBtn').addEventListener('click', () => $('#attachmentInput').click());
+  $('#attachmentInput').addEventListener('change', (e) => {
+    if (e.target.files[0]) setAttachment(e.target.files[0]);
+  });
+  $('#removeAttachmentBtn').addEventListener('click', () => setAttachment(null));
+
   // Contact search
   $('#searchContact').addEventListener('input', (e) => {
     const search = e.target.value.toLowerCase();
@@ -1024,5 +2114,16 @@ document.addEventListener('DOMContentLoaded', () => {
 // Global functions
 window.connectInstance = connectInstance;
 window.disconnectInstance = disconnectInstance;
+window.retryInstance = retryInstance;
+window.toggleAppStateSync = toggleAppStateSync;
+window.toggleGroupSync = toggleGroupSync;
 window.deleteInstance = deleteInstance;
 window.generateConnectLink = generateConnectLink;
+window.showConnectLinks = showConnectLinks;
+window.revokeConnectLink = revokeConnectLink;
+window.revokeSession = revokeSession;
+window.startTwoFactorSetup = startTwoFactorSetup;
+window.regenerateRecoveryCodes = regenerateRecoveryCodes;
+window.disableTwoFactor = disableTwoFactor;
+window.logout = logout;
+window.revokeOtherSessions = revokeOtherSessions;
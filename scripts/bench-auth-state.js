@@ -0,0 +1,94 @@
+/**
+ * Mede a leitura e a gravação das chaves do Signal no auth_state com muitas instâncias conectando juntas
+ * Compara o acesso antigo (uma query por chave) com o atual em lote (getMany/setMany)
+ * e confere que os dois devolvem os mesmos dados
+ *
+ * Uso: npm run bench:auth-state
+ *      BENCH_SESSIONS=100 BENCH_KEYS=300 npm run bench:auth-state
+ * Roda no banco configurado (SQLite local ou PostgreSQL com DATABASE_URL) e apaga as chaves criadas no fim
+ */
+import 'dotenv/config';
+import crypto from 'crypto';
+import { initializeDatabase, authStateQueries, closeDatabase, isPostgres } from '../src/db/database.js';
+
+const SESSIONS = parseInt(process.env.BENCH_SESSIONS) || 50;
+const KEYS_PER_SESSION = parseInt(process.env.BENCH_KEYS) || 200;
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+
+const sessionIds = (phase) => Array.from({ length: SESSIONS }, (_, i) => `bench-${RUN_ID}-${phase}-${i}`);
+const keyNames = Array.from({ length: KEYS_PER_SESSION }, (_, i) => `session-55119${String(i).padStart(8, '0')}.0`);
+
+// Valor com o tamanho aproximado de uma sessão do Signal serializada
+const fakeValue = () => JSON.stringify({ record: crypto.randomBytes(512).toString('base64') });
+
+async function timed(label, fn) {
+  const startedAt = process.hrtime.bigint();
+  await fn();
+  const ms = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  console.log(`  ${label.padEnd(34)} ${ms.toFixed(0).padStart(7)} ms`);
+  return ms;
+}
+
+// Todas as sessões ao mesmo tempo, como no boot com muitas instâncias
+const forAllSessions = (ids, fn) => Promise.all(ids.map(fn));
+
+async function checkConsistency() {
+  const [sessionId] = sessionIds('check');
+  const entries = keyNames.slice(0, 50).map((key, i) => ({ key, value: i % 5 === 0 ? null : fakeValue() }));
+
+  // Grava tudo uma vez e depois sobrescreve/remove em lote
+  await authStateQueries.setMany(sessionId, keyNames.slice(0, 50).map(key => ({ key, value: fakeValue() })));
+  await authStateQueries.setMany(sessionId, entries);
+
+  const batched = new Map((await authStateQueries.getMany(sessionId, keyNames.slice(0, 50)))
+    .map(row => [row.data_key, row.data_value]));
+
+  for (const { key, value } of entries) {
+    const single = (await authStateQueries.get(sessionId, key))?.data_value ?? null;
+    if (single !== value || (batched.get(key) ?? null) !== value) {
+      throw new Error(`Divergência na chave ${key}`);
+    }
+  }
+
+  await authStateQueries.deleteAll(sessionId);
+  console.log('  getMany/setMany conferem com get/set (50 chaves, 10 removidas)');
+}
+
+async function main() {
+  await initializeDatabase();
+
+  console.log(`\nBanco: ${isPostgres ? 'PostgreSQL' : 'SQLite'} · ${SESSIONS} sessões × ${KEYS_PER_SESSION} chaves\n`);
+
+  await checkConsistency();
+
+  const perKey = sessionIds('per-key');
+  const batched = sessionIds('batched');
+  const values = keyNames.map(key => ({ key, value: fakeValue() }));
+
+  console.log('\nGravação (keys.set):');
+  const writeBefore = await timed('uma query por chave (antes)', () => forAllSessions(perKey, sessionId =>
+    Promise.all(values.map(({ key, value }) => authStateQueries.set(sessionId, key, value)))
+  ));
+  const writeAfter = await timed('lote em transação (setMany)', () => forAllSessions(batched, sessionId =>
+    authStateQueries.setMany(sessionId, values)
+  ));
+
+  console.log('\nLeitura (keys.get):');
+  const readBefore = await timed('uma query por chave (antes)', () => forAllSessions(perKey, sessionId =>
+    Promise.all(keyNames.map(key => authStateQueries.get(sessionId, key)))
+  ));
+  const readAfter = await timed('lote (getMany)', () => forAllSessions(batched, sessionId =>
+    authStateQueries.getMany(sessionId, keyNames)
+  ));
+
+  console.log(`\nGravação ${(writeBefore / writeAfter).toFixed(1)}× mais rápida · leitura ${(readBefore / readAfter).toFixed(1)}× mais rápida\n`);
+
+  await forAllSessions([...perKey, ...batched], sessionId => authStateQueries.deleteAll(sessionId));
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => closeDatabase());
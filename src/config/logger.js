@@ -3,7 +3,7 @@ import pino from 'pino';
 const isProduction = process.env.NODE_ENV === 'production';
 
 export const logger = pino({
-  level: isProduction ? 'info' : 'debug',
+  level: process.env.LOG_LEVEL || (isProduction ? 'info' : 'debug'),
   transport: isProduction ? undefined : {
     target: 'pino-pretty',
     options: {
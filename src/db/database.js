@@ -5,6 +5,8 @@ const isPostgres = !!process.env.DATABASE_URL;
 
 let db;
 let query;
+let transaction;
+let closeDatabase;
 
 if (isPostgres) {
   // ==================== POSTGRESQL (Produção/Railway) ====================
@@ -33,6 +35,29 @@ if (isPostgres) {
     }
   };
 
+  // Executa vários comandos de forma atômica em uma única conexão
+  transaction = async (statements) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const { text, params } of statements) {
+        await client.query(text, params);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error(`Erro na transação PG: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Espera as queries em andamento e fecha as conexões do pool
+  closeDatabase = async () => {
+    await pool.end();
+  };
+
   db = pool;
   logger.info('Usando PostgreSQL (DATABASE_URL detectada)');
 
@@ -42,16 +67,21 @@ if (isPostgres) {
   const sqliteDb = new Database('oregon.db');
   sqliteDb.pragma('journal_mode = WAL');
 
-  // Wrapper para simular interface do pg
+  // Converte $1, $2... para ?
+  const toSqlite = (text, params) => {
+    let sqliteText = text;
+    if (params && params.length > 0) {
+      for (let i = params.length; i >= 1; i--) {
+        sqliteText = sqliteText.replace(new RegExp(`\\$${i}`, 'g'), '?');
+      }
+    }
+    return sqliteText;
+  };
+
+  // Wrapper para simular interface do pg (rowCount = linhas alteradas)
   query = async (text, params = []) => {
     try {
-      // Converte $1, $2... para ?
-      let sqliteText = text;
-      if (params && params.length > 0) {
-        for (let i = params.length; i >= 1; i--) {
-          sqliteText = sqliteText.replace(new RegExp(`\\$${i}`, 'g'), '?');
-        }
-      }
+      const sqliteText = toSqlite(text, params);
 
       // Detecta tipo de query
       const isSelect = sqliteText.trim().toUpperCase().startsWith('SELECT');
@@ -64,10 +94,10 @@ if (isPostgres) {
         // Remove RETURNING clause para SQLite
         const withoutReturning = sqliteText.replace(/RETURNING\s+\*/gi, '').replace(/RETURNING\s+\w+/gi, '');
         const info = sqliteDb.prepare(withoutReturning).run(...params);
-        return { rows: [{ id: info.lastInsertRowid }] };
+        return { rows: [{ id: info.lastInsertRowid }], rowCount: info.changes };
       } else {
-        sqliteDb.prepare(sqliteText).run(...params);
-        return { rows: [] };
+        const info = sqliteDb.prepare(sqliteText).run(...params);
+        return { rows: [], rowCount: info.changes };
       }
     } catch (error) {
       logger.error(`Erro na query SQLite: ${error.message}`);
@@ -75,12 +105,92 @@ if (isPostgres) {
     }
   };
 
+  // better-sqlite3 é síncrono: a transação inteira roda sem ceder a vez a outras queries
+  transaction = async (statements) => {
+    try {
+      sqliteDb.transaction(() => {
+        for (const { text, params = [] } of statements) {
+          sqliteDb.prepare(toSqlite(text, params)).run(...params);
+        }
+      })();
+    } catch (error) {
+      logger.error(`Erro na transação SQLite: ${error.message}`);
+      throw error;
+    }
+  };
+
+  closeDatabase = async () => {
+    sqliteDb.close();
+  };
+
   db = sqliteDb;
   logger.info('Usando SQLite local (oregon.db)');
 }
 
 let isInitialized = false;
 
+/**
+ * Adiciona uma coluna caso ainda não exista (bancos criados antes da coluna)
+ */
+async function addColumnIfMissing(table, column, definition) {
+  if (isPostgres) {
+    await query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+    return;
+  }
+
+  const result = await query(`SELECT name FROM pragma_table_info('${table}')`);
+  if (!result.rows.some(row => row.name === column)) {
+    await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Converte datas do banco (Date do PostgreSQL ou texto UTC do SQLite) em milissegundos
+ */
+export function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  return new Date(String(value).replace(' ', 'T') + (String(value).endsWith('Z') ? '' : 'Z')).getTime();
+}
+
+/**
+ * Cria um workspace pessoal para usuários sem organização
+ * e vincula instâncias antigas ao workspace do dono
+ */
+async function backfillOrganizations() {
+  const orphanUsers = await query(`
+    SELECT u.id, u.name, u.company FROM users u
+    WHERE NOT EXISTS (SELECT 1 FROM organization_members m WHERE m.user_id = u.id)
+  `);
+
+  for (const user of orphanUsers.rows) {
+    const org = await query(
+      isPostgres
+        ? `INSERT INTO organizations (name) VALUES ($1) RETURNING id`
+        : `INSERT INTO organizations (name) VALUES (?) RETURNING id`,
+      [user.company || user.name]
+    );
+    await query(
+      isPostgres
+        ? `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, 'owner')`
+        : `INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, 'owner')`,
+      [org.rows[0].id, user.id]
+    );
+  }
+
+  if (orphanUsers.rows.length > 0) {
+    logger.info(`Workspaces pessoais criados para ${orphanUsers.rows.length} usuário(s)`);
+  }
+
+  await query(`
+    UPDATE instances SET organization_id = (
+      SELECT m.organization_id FROM organization_members m
+      WHERE m.user_id = instances.user_id AND m.role = 'owner'
+      ORDER BY m.id ASC LIMIT 1
+    )
+    WHERE organization_id IS NULL
+  `);
+}
+
 /**
  * Inicializa as tabelas do banco de dados
  */
@@ -177,6 +287,236 @@ export async function initializeDatabase() {
         )
       `);
 
+      await query(`
+        CREATE TABLE IF NOT EXISTS organizations (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS organization_members (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          role TEXT NOT NULL DEFAULT 'viewer',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(organization_id, user_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL,
+          key_hash TEXT UNIQUE NOT NULL,
+          scopes TEXT NOT NULL DEFAULT '',
+          expires_at TIMESTAMP,
+          last_used_at TIMESTAMP,
+          last_used_ip TEXT,
+          revoked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          used_at TIMESTAMP,
+          requested_ip TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS connect_tokens (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          token_prefix TEXT NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          max_uses INTEGER NOT NULL DEFAULT 5,
+          use_count INTEGER NOT NULL DEFAULT 0,
+          last_used_at TIMESTAMP,
+          revoked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id SERIAL PRIMARY KEY,
+          organization_id INTEGER,
+          actor_user_id INTEGER,
+          actor_type TEXT NOT NULL,
+          actor_label TEXT,
+          action TEXT NOT NULL,
+          target_type TEXT,
+          target_id TEXT,
+          ip TEXT,
+          user_agent TEXT,
+          details TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          refresh_token_hash TEXT UNIQUE NOT NULL,
+          previous_token_hash TEXT,
+          rotated_at TIMESTAMP,
+          user_agent TEXT,
+          ip TEXT,
+          expires_at TIMESTAMP NOT NULL,
+          last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          revoked_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          code_hash TEXT NOT NULL,
+          used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS message_store (
+          id SERIAL PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          remote_jid TEXT NOT NULL,
+          message_id TEXT NOT NULL,
+          from_me INTEGER NOT NULL DEFAULT 0,
+          message_data TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(session_id, remote_jid, message_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS connection_events (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          event TEXT NOT NULL,
+          status_code INTEGER,
+          reason TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS synced_contacts (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          phone TEXT NOT NULL,
+          name TEXT,
+          archived INTEGER NOT NULL DEFAULT 0,
+          pinned INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, phone)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS labels (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          label_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          color INTEGER,
+          deleted INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, label_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS chat_labels (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          phone TEXT NOT NULL,
+          label_id TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, phone, label_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS session_leases (
+          session_id TEXT PRIMARY KEY,
+          owner_id TEXT NOT NULL,
+          expires_at BIGINT NOT NULL,
+          acquired_at BIGINT NOT NULL,
+          qr TEXT,
+          qr_updated_at BIGINT
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS group_metadata (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          group_jid TEXT NOT NULL,
+          subject TEXT,
+          participant_count INTEGER NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, group_jid)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS message_status_history (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          message_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          participant TEXT,
+          status_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS media (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+          media_type TEXT NOT NULL,
+          mimetype TEXT,
+          file_name TEXT,
+          size BIGINT NOT NULL,
+          sha256 TEXT NOT NULL,
+          storage_key TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS message_revisions (
+          id SERIAL PRIMARY KEY,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+          body TEXT,
+          edited_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
       // Índices PostgreSQL
       await query(`CREATE INDEX IF NOT EXISTS idx_contacts_instance ON contacts(instance_id)`);
       await query(`CREATE INDEX IF NOT EXISTS idx_messages_contact ON messages(contact_id)`);
@@ -269,80 +609,432 @@ export async function initializeDatabase() {
         )
       `);
 
-      // Índices SQLite
-      await query(`CREATE INDEX IF NOT EXISTS idx_contacts_instance ON contacts(instance_id)`);
-      await query(`CREATE INDEX IF NOT EXISTS idx_messages_contact ON messages(contact_id)`);
-      await query(`CREATE INDEX IF NOT EXISTS idx_auth_state_session ON auth_state(session_id)`);
-    }
+      await query(`
+        CREATE TABLE IF NOT EXISTS organizations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
 
-    isInitialized = true;
-    logger.info('Banco de dados inicializado com sucesso!');
-  } catch (error) {
-    logger.error(`Erro ao inicializar banco de dados: ${error.message}`);
-    throw error;
-  }
-}
+      await query(`
+        CREATE TABLE IF NOT EXISTS organization_members (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          organization_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          role TEXT NOT NULL DEFAULT 'viewer',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(organization_id, user_id)
+        )
+      `);
 
-// ==================== USER QUERIES ====================
-export const userQueries = {
-  create: async (email, password, name, company) => {
-    if (isPostgres) {
-      const result = await query(
-        `INSERT INTO users (email, password, name, company) VALUES ($1, $2, $3, $4) RETURNING id`,
-        [email, password, name, company]
-      );
-      return result.rows[0];
-    } else {
-      const result = await query(
-        `INSERT INTO users (email, password, name, company) VALUES (?, ?, ?, ?)`,
-        [email, password, name, company]
-      );
-      return result.rows[0];
-    }
-  },
+      await query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL,
+          key_hash TEXT UNIQUE NOT NULL,
+          scopes TEXT NOT NULL DEFAULT '',
+          expires_at DATETIME,
+          last_used_at DATETIME,
+          last_used_ip TEXT,
+          revoked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
 
-  findByEmail: async (email) => {
-    const result = await query(`SELECT * FROM users WHERE email = ${isPostgres ? '$1' : '?'}`, [email]);
-    return result.rows[0];
-  },
+      await query(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at DATETIME NOT NULL,
+          used_at DATETIME,
+          requested_ip TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
 
-  findById: async (id) => {
-    const result = await query(
-      `SELECT id, email, name, company, created_at FROM users WHERE id = ${isPostgres ? '$1' : '?'}`,
-      [id]
-    );
-    return result.rows[0];
-  },
+      await query(`
+        CREATE TABLE IF NOT EXISTS connect_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL,
+          created_by INTEGER,
+          token_prefix TEXT NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at DATETIME NOT NULL,
+          max_uses INTEGER NOT NULL DEFAULT 5,
+          use_count INTEGER NOT NULL DEFAULT 0,
+          last_used_at DATETIME,
+          revoked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
 
-  updatePassword: async (id, password) => {
-    await query(
-      isPostgres
-        ? `UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+      await query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          organization_id INTEGER,
+          actor_user_id INTEGER,
+          actor_type TEXT NOT NULL,
+          actor_label TEXT,
+          action TEXT NOT NULL,
+          target_type TEXT,
+          target_id TEXT,
+          ip TEXT,
+          user_agent TEXT,
+          details TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          refresh_token_hash TEXT UNIQUE NOT NULL,
+          previous_token_hash TEXT,
+          rotated_at DATETIME,
+          user_agent TEXT,
+          ip TEXT,
+          expires_at DATETIME NOT NULL,
+          last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          revoked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          code_hash TEXT NOT NULL,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS message_store (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          remote_jid TEXT NOT NULL,
+          message_id TEXT NOT NULL,
+          from_me INTEGER NOT NULL DEFAULT 0,
+          message_data TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(session_id, remote_jid, message_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS connection_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL,
+          event TEXT NOT NULL,
+          status_code INTEGER,
+          reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS synced_contacts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          name TEXT,
+          archived INTEGER NOT NULL DEFAULT 0,
+          pinned INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, phone)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS labels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL,
+          label_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          color INTEGER,
+          deleted INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, label_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS chat_labels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          label_id TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, phone, label_id)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS session_leases (
+          session_id TEXT PRIMARY KEY,
+          owner_id TEXT NOT NULL,
+          expires_at INTEGER NOT NULL,
+          acquired_at INTEGER NOT NULL,
+          qr TEXT,
+          qr_updated_at INTEGER
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS group_metadata (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          group_jid TEXT NOT NULL,
+          subject TEXT,
+          participant_count INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(instance_id, group_jid)
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS message_status_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          message_id TEXT NOT NULL,
+          status TEXT NOT NULL,
+          participant TEXT,
+          status_at DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS media (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+          media_type TEXT NOT NULL,
+          mimetype TEXT,
+          file_name TEXT,
+          size INTEGER NOT NULL,
+          sha256 TEXT NOT NULL,
+          storage_key TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await query(`
+        CREATE TABLE IF NOT EXISTS message_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          instance_id TEXT NOT NULL REFERENCES instances(id) ON DELETE CASCADE,
+          message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+          body TEXT,
+          edited_at DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Índices SQLite
+      await query(`CREATE INDEX IF NOT EXISTS idx_contacts_instance ON contacts(instance_id)`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_messages_contact ON messages(contact_id)`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_auth_state_session ON auth_state(session_id)`);
+    }
+
+    // Migrações de colunas adicionadas após a criação das tabelas
+    await addColumnIfMissing('instances', 'organization_id', 'INTEGER');
+    await addColumnIfMissing('users', 'totp_secret', 'TEXT');
+    await addColumnIfMissing('users', 'totp_enabled_at', 'TIMESTAMP');
+    await addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+    await addColumnIfMissing('organizations', 'require_two_factor', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing('instances', 'app_state_sync', 'INTEGER NOT NULL DEFAULT 0');
+    // Política de reconexão por instância (NULL = padrão do servidor) e motivo da falha
+    await addColumnIfMissing('instances', 'reconnect_max_attempts', 'INTEGER');
+    await addColumnIfMissing('instances', 'reconnect_base_delay_ms', 'INTEGER');
+    await addColumnIfMissing('instances', 'reconnect_max_delay_ms', 'INTEGER');
+    await addColumnIfMissing('instances', 'reconnect_jitter_percent', 'INTEGER');
+    await addColumnIfMissing('instances', 'last_error', 'TEXT');
+    // Grupos: monitoramento opcional por instância; conversas 'direct' (1:1) ou 'group'
+    await addColumnIfMissing('instances', 'group_sync', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing('contacts', 'conversation_type', "TEXT NOT NULL DEFAULT 'direct'");
+    await addColumnIfMissing('messages', 'participant', 'TEXT');
+    await addColumnIfMissing('messages', 'participant_name', 'TEXT');
+    // Confirmações das mensagens enviadas: último status e quando foram entregues/lidas
+    await addColumnIfMissing('messages', 'status', 'TEXT');
+    await addColumnIfMissing('messages', 'delivered_at', 'TIMESTAMP');
+    await addColumnIfMissing('messages', 'read_at', 'TIMESTAMP');
+    // Dias de retenção dos arquivos de mídia (NULL = padrão do servidor)
+    await addColumnIfMissing('instances', 'media_retention_days', 'INTEGER');
+    // Mensagens editadas (texto anterior em message_revisions) e apagadas para todos (texto original mantido)
+    await addColumnIfMissing('messages', 'edited_at', 'TIMESTAMP');
+    await addColumnIfMissing('messages', 'deleted_at', 'TIMESTAMP');
+
+    await query(`CREATE INDEX IF NOT EXISTS idx_instances_organization ON instances(organization_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_org_members_user ON organization_members(user_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_connect_tokens_instance ON connect_tokens(instance_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_audit_log_org_created ON audit_log(organization_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_user_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_user_sessions_previous ON user_sessions(previous_token_hash)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes(user_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_message_store_message ON message_store(message_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_message_store_created ON message_store(created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_connection_events_instance ON connection_events(instance_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_session_leases_owner ON session_leases(owner_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_contacts_conversation_type ON contacts(instance_id, conversation_type)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(instance_id, message_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_message_status_history_message ON message_status_history(instance_id, message_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_media_instance_created ON media(instance_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_media_message ON media(message_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions(message_id)`);
+
+    await backfillOrganizations();
+
+    isInitialized = true;
+    logger.info('Banco de dados inicializado com sucesso!');
+  } catch (error) {
+    logger.error(`Erro ao inicializar banco de dados: ${error.message}`);
+    throw error;
+  }
+}
+
+// ==================== USER QUERIES ====================
+export const userQueries = {
+  create: async (email, password, name, company) => {
+    if (isPostgres) {
+      const result = await query(
+        `INSERT INTO users (email, password, name, company) VALUES ($1, $2, $3, $4) RETURNING id`,
+        [email, password, name, company]
+      );
+      return result.rows[0];
+    } else {
+      const result = await query(
+        `INSERT INTO users (email, password, name, company) VALUES (?, ?, ?, ?) RETURNING id`,
+        [email, password, name, company]
+      );
+      return result.rows[0];
+    }
+  },
+
+  findByEmail: async (email) => {
+    const result = await query(`SELECT * FROM users WHERE email = ${isPostgres ? '$1' : '?'}`, [email]);
+    return result.rows[0];
+  },
+
+  findById: async (id) => {
+    const result = await query(
+      `SELECT id, email, name, company, created_at FROM users WHERE id = ${isPostgres ? '$1' : '?'}`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  updatePassword: async (id, password) => {
+    await query(
+      isPostgres
+        ? `UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
         : `UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
       [password, id]
     );
   }
 };
 
+// ==================== PASSWORD RESET QUERIES ====================
+export const passwordResetQueries = {
+  create: async (userId, tokenHash, expiresAt, requestedIp) => {
+    await query(
+      isPostgres
+        ? `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES ($1, $2, $3, $4)`
+        : `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)`,
+      [userId, tokenHash, expiresAt, requestedIp]
+    );
+  },
+
+  findByHash: async (tokenHash) => {
+    const result = await query(
+      `SELECT * FROM password_reset_tokens WHERE token_hash = ${isPostgres ? '$1' : '?'}`,
+      [tokenHash]
+    );
+    return result.rows[0];
+  },
+
+  // Retorna false se o token já tiver sido usado (pedidos simultâneos com o mesmo link)
+  markUsed: async (id) => {
+    const result = await query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ${isPostgres ? '$1' : '?'} AND used_at IS NULL`,
+      [id]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Invalida pedidos anteriores ainda não usados
+  invalidateForUser: async (userId) => {
+    await query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ${isPostgres ? '$1' : '?'} AND used_at IS NULL`,
+      [userId]
+    );
+  }
+};
+
 // ==================== INSTANCE QUERIES ====================
 export const instanceQueries = {
-  create: async (id, userId, sessionId, name, phone, status) => {
+  create: async (id, userId, sessionId, name, phone, status, organizationId) => {
     await query(
       isPostgres
-        ? `INSERT INTO instances (id, user_id, session_id, name, phone, status) VALUES ($1, $2, $3, $4, $5, $6)`
-        : `INSERT INTO instances (id, user_id, session_id, name, phone, status) VALUES (?, ?, ?, ?, ?, ?)`,
-      [id, userId, sessionId, name, phone, status]
+        ? `INSERT INTO instances (id, user_id, session_id, name, phone, status, organization_id) VALUES ($1, $2, $3, $4, $5, $6, $7)`
+        : `INSERT INTO instances (id, user_id, session_id, name, phone, status, organization_id) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, sessionId, name, phone, status, organizationId]
     );
   },
 
   findByUserId: async (userId) => {
     const result = await query(
-      `SELECT * FROM instances WHERE user_id = ${isPostgres ? '$1' : '?'}`,
+      `SELECT * FROM instances WHERE user_id = ${isPostgres ? '$1' : '?'} ORDER BY created_at DESC`,
       [userId]
     );
     return result.rows;
   },
 
+  // Instâncias das organizações das quais o usuário é membro, com o papel dele
+  findByMemberId: async (userId) => {
+    const result = await query(isPostgres ? `
+      SELECT i.*, m.role as member_role, o.name as organization_name
+      FROM instances i
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      JOIN organizations o ON o.id = i.organization_id
+      WHERE m.user_id = $1
+      ORDER BY i.created_at DESC
+    ` : `
+      SELECT i.*, m.role as member_role, o.name as organization_name
+      FROM instances i
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      JOIN organizations o ON o.id = i.organization_id
+      WHERE m.user_id = ?
+      ORDER BY i.created_at DESC
+    `, [userId]);
+    return result.rows;
+  },
+
+  findByIdForMember: async (id, userId) => {
+    const result = await query(isPostgres ? `
+      SELECT i.*, m.role as member_role
+      FROM instances i
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      WHERE i.id = $1 AND m.user_id = $2
+    ` : `
+      SELECT i.*, m.role as member_role
+      FROM instances i
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      WHERE i.id = ? AND m.user_id = ?
+    `, [id, userId]);
+    return result.rows[0];
+  },
+
   findAll: async () => {
     const result = await query(`SELECT * FROM instances ORDER BY created_at DESC`);
     return result.rows;
@@ -358,44 +1050,576 @@ export const instanceQueries = {
     return result.rows[0];
   },
 
+  // Qualquer mudança de status descarta o erro da última falha
   updateStatus: async (status, phone, id) => {
     await query(
       isPostgres
-        ? `UPDATE instances SET status = $1, phone = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`
-        : `UPDATE instances SET status = ?, phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        ? `UPDATE instances SET status = $1, phone = $2, last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $3`
+        : `UPDATE instances SET status = ?, phone = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
       [status, phone, id]
     );
   },
 
+  markFailed: async (id, error) => {
+    await query(
+      isPostgres
+        ? `UPDATE instances SET status = 'failed', phone = NULL, last_error = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+        : `UPDATE instances SET status = 'failed', phone = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [error, id]
+    );
+  },
+
+  setReconnectPolicy: async (id, { maxAttempts, baseDelayMs, maxDelayMs, jitterPercent }) => {
+    await query(isPostgres ? `
+      UPDATE instances SET
+        reconnect_max_attempts = $1, reconnect_base_delay_ms = $2, reconnect_max_delay_ms = $3,
+        reconnect_jitter_percent = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    ` : `
+      UPDATE instances SET
+        reconnect_max_attempts = ?, reconnect_base_delay_ms = ?, reconnect_max_delay_ms = ?,
+        reconnect_jitter_percent = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [maxAttempts, baseDelayMs, maxDelayMs, jitterPercent, id]);
+  },
+
+  setGroupSync: async (id, enabled) => {
+    await query(
+      isPostgres
+        ? `UPDATE instances SET group_sync = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+        : `UPDATE instances SET group_sync = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [enabled ? 1 : 0, id]
+    );
+  },
+
+  setMediaRetention: async (id, days) => {
+    await query(
+      isPostgres
+        ? `UPDATE instances SET media_retention_days = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+        : `UPDATE instances SET media_retention_days = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [days, id]
+    );
+  },
+
+  setAppStateSync: async (id, enabled) => {
+    await query(
+      isPostgres
+        ? `UPDATE instances SET app_state_sync = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+        : `UPDATE instances SET app_state_sync = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [enabled ? 1 : 0, id]
+    );
+  },
+
   delete: async (id) => {
     await query(`DELETE FROM instances WHERE id = ${isPostgres ? '$1' : '?'}`, [id]);
   }
 };
 
+// ==================== ORGANIZATION QUERIES ====================
+export const organizationQueries = {
+  create: async (name) => {
+    const result = await query(
+      `INSERT INTO organizations (name) VALUES (${isPostgres ? '$1' : '?'}) RETURNING id`,
+      [name]
+    );
+    return result.rows[0];
+  },
+
+  findById: async (id) => {
+    const result = await query(`SELECT * FROM organizations WHERE id = ${isPostgres ? '$1' : '?'}`, [id]);
+    return result.rows[0];
+  },
+
+  findByUserId: async (userId) => {
+    const result = await query(isPostgres ? `
+      SELECT o.*, m.role FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id
+      WHERE m.user_id = $1
+      ORDER BY o.created_at ASC
+    ` : `
+      SELECT o.*, m.role FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id
+      WHERE m.user_id = ?
+      ORDER BY o.created_at ASC
+    `, [userId]);
+    return result.rows;
+  },
+
+  rename: async (id, name) => {
+    await query(
+      isPostgres
+        ? `UPDATE organizations SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+        : `UPDATE organizations SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [name, id]
+    );
+  },
+
+  setRequireTwoFactor: async (id, required) => {
+    await query(
+      isPostgres
+        ? `UPDATE organizations SET require_two_factor = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`
+        : `UPDATE organizations SET require_two_factor = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [required ? 1 : 0, id]
+    );
+  },
+
+  // Alguma organização do usuário exige verificação em duas etapas?
+  requiresTwoFactor: async (userId) => {
+    const result = await query(isPostgres ? `
+      SELECT 1 FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id
+      WHERE m.user_id = $1 AND o.require_two_factor = 1
+      LIMIT 1
+    ` : `
+      SELECT 1 FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id
+      WHERE m.user_id = ? AND o.require_two_factor = 1
+      LIMIT 1
+    `, [userId]);
+    return result.rows.length > 0;
+  },
+
+  addMember: async (organizationId, userId, role) => {
+    await query(
+      isPostgres
+        ? `INSERT INTO organization_members (organization_id, user_id, role) VALUES ($1, $2, $3)`
+        : `INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, ?)`,
+      [organizationId, userId, role]
+    );
+  },
+
+  findMember: async (organizationId, userId) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM organization_members WHERE organization_id = $1 AND user_id = $2`
+        : `SELECT * FROM organization_members WHERE organization_id = ? AND user_id = ?`,
+      [organizationId, userId]
+    );
+    return result.rows[0];
+  },
+
+  listMembers: async (organizationId) => {
+    const result = await query(isPostgres ? `
+      SELECT m.user_id, m.role, m.created_at, u.email, u.name,
+             (u.totp_enabled_at IS NOT NULL) as two_factor_enabled
+      FROM organization_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.organization_id = $1
+      ORDER BY m.created_at ASC
+    ` : `
+      SELECT m.user_id, m.role, m.created_at, u.email, u.name,
+             (u.totp_enabled_at IS NOT NULL) as two_factor_enabled
+      FROM organization_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.organization_id = ?
+      ORDER BY m.created_at ASC
+    `, [organizationId]);
+    return result.rows;
+  },
+
+  updateMemberRole: async (organizationId, userId, role) => {
+    await query(
+      isPostgres
+        ? `UPDATE organization_members SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE organization_id = $2 AND user_id = $3`
+        : `UPDATE organization_members SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE organization_id = ? AND user_id = ?`,
+      [role, organizationId, userId]
+    );
+  },
+
+  removeMember: async (organizationId, userId) => {
+    await query(
+      isPostgres
+        ? `DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2`
+        : `DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?`,
+      [organizationId, userId]
+    );
+  },
+
+  countOwners: async (organizationId) => {
+    const result = await query(
+      `SELECT COUNT(*) as total FROM organization_members WHERE organization_id = ${isPostgres ? '$1' : '?'} AND role = 'owner'`,
+      [organizationId]
+    );
+    return parseInt(result.rows[0]?.total) || 0;
+  }
+};
+
+// ==================== API KEY QUERIES ====================
+export const apiKeyQueries = {
+  create: async (userId, name, keyPrefix, keyHash, scopes, expiresAt) => {
+    const result = await query(
+      isPostgres
+        ? `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`
+        : `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at) VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+      [userId, name, keyPrefix, keyHash, scopes, expiresAt]
+    );
+    return result.rows[0];
+  },
+
+  findByHash: async (keyHash) => {
+    const result = await query(
+      `SELECT * FROM api_keys WHERE key_hash = ${isPostgres ? '$1' : '?'}`,
+      [keyHash]
+    );
+    return result.rows[0];
+  },
+
+  findByUserId: async (userId) => {
+    const result = await query(
+      `SELECT id, name, key_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at
+       FROM api_keys WHERE user_id = ${isPostgres ? '$1' : '?'} ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  findByIdAndUserId: async (id, userId) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM api_keys WHERE id = $1 AND user_id = $2`
+        : `SELECT * FROM api_keys WHERE id = ? AND user_id = ?`,
+      [id, userId]
+    );
+    return result.rows[0];
+  },
+
+  touch: async (id, ip) => {
+    await query(
+      isPostgres
+        ? `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $1 WHERE id = $2`
+        : `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?`,
+      [ip, id]
+    );
+  },
+
+  revoke: async (id, userId) => {
+    await query(
+      isPostgres
+        ? `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`
+        : `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [id, userId]
+    );
+  }
+};
+
+// ==================== CONNECT TOKEN QUERIES ====================
+export const connectTokenQueries = {
+  create: async (instanceId, createdBy, tokenPrefix, tokenHash, expiresAt, maxUses) => {
+    const result = await query(
+      isPostgres
+        ? `INSERT INTO connect_tokens (instance_id, created_by, token_prefix, token_hash, expires_at, max_uses) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`
+        : `INSERT INTO connect_tokens (instance_id, created_by, token_prefix, token_hash, expires_at, max_uses) VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+      [instanceId, createdBy, tokenPrefix, tokenHash, expiresAt, maxUses]
+    );
+    return result.rows[0];
+  },
+
+  findByHash: async (tokenHash) => {
+    const result = await query(
+      `SELECT * FROM connect_tokens WHERE token_hash = ${isPostgres ? '$1' : '?'}`,
+      [tokenHash]
+    );
+    return result.rows[0];
+  },
+
+  findByInstanceId: async (instanceId) => {
+    const result = await query(isPostgres ? `
+      SELECT t.id, t.instance_id, t.token_prefix, t.expires_at, t.max_uses, t.use_count,
+             t.last_used_at, t.revoked_at, t.created_at, u.name as created_by_name
+      FROM connect_tokens t
+      LEFT JOIN users u ON u.id = t.created_by
+      WHERE t.instance_id = $1
+      ORDER BY t.created_at DESC
+    ` : `
+      SELECT t.id, t.instance_id, t.token_prefix, t.expires_at, t.max_uses, t.use_count,
+             t.last_used_at, t.revoked_at, t.created_at, u.name as created_by_name
+      FROM connect_tokens t
+      LEFT JOIN users u ON u.id = t.created_by
+      WHERE t.instance_id = ?
+      ORDER BY t.created_at DESC
+    `, [instanceId]);
+    return result.rows;
+  },
+
+  findByIdAndInstanceId: async (id, instanceId) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM connect_tokens WHERE id = $1 AND instance_id = $2`
+        : `SELECT * FROM connect_tokens WHERE id = ? AND instance_id = ?`,
+      [id, instanceId]
+    );
+    return result.rows[0];
+  },
+
+  // Consome um uso só se ainda houver algum (atômico: aberturas simultâneas não passam do limite)
+  consumeUse: async (id) => {
+    const result = await query(`
+      UPDATE connect_tokens SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ${isPostgres ? '$1' : '?'} AND use_count < max_uses AND revoked_at IS NULL
+    `, [id]);
+    return result.rowCount > 0;
+  },
+
+  revoke: async (id) => {
+    await query(
+      `UPDATE connect_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ${isPostgres ? '$1' : '?'} AND revoked_at IS NULL`,
+      [id]
+    );
+  }
+};
+
+// ==================== TWO-FACTOR QUERIES ====================
+export const twoFactorQueries = {
+  findByUserId: async (userId) => {
+    const result = await query(
+      `SELECT id, email, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ${isPostgres ? '$1' : '?'}`,
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  // Segredo ainda não confirmado: só vale após enable()
+  savePendingSecret: async (userId, secret) => {
+    await query(
+      isPostgres
+        ? `UPDATE users SET totp_secret = $1, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $2`
+        : `UPDATE users SET totp_secret = ?, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?`,
+      [secret, userId]
+    );
+  },
+
+  enable: async (userId, enabledAt, step) => {
+    await query(
+      isPostgres
+        ? `UPDATE users SET totp_enabled_at = $1, totp_last_step = $2 WHERE id = $3`
+        : `UPDATE users SET totp_enabled_at = ?, totp_last_step = ? WHERE id = ?`,
+      [enabledAt, step, userId]
+    );
+  },
+
+  // Só avança: retorna false se o intervalo já foi usado (mesmo código em pedidos simultâneos)
+  updateLastStep: async (userId, step) => {
+    const result = await query(
+      isPostgres
+        ? `UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $3)`
+        : `UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+      [step, userId, step]
+    );
+    return result.rowCount > 0;
+  },
+
+  disable: async (userId) => {
+    await query(
+      `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ${isPostgres ? '$1' : '?'}`,
+      [userId]
+    );
+    await query(`DELETE FROM two_factor_recovery_codes WHERE user_id = ${isPostgres ? '$1' : '?'}`, [userId]);
+  },
+
+  replaceRecoveryCodes: async (userId, codeHashes) => {
+    await query(`DELETE FROM two_factor_recovery_codes WHERE user_id = ${isPostgres ? '$1' : '?'}`, [userId]);
+    for (const codeHash of codeHashes) {
+      await query(
+        isPostgres
+          ? `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)`
+          : `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)`,
+        [userId, codeHash]
+      );
+    }
+  },
+
+  findUnusedRecoveryCode: async (userId, codeHash) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM two_factor_recovery_codes WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`
+        : `SELECT * FROM two_factor_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, codeHash]
+    );
+    return result.rows[0];
+  },
+
+  // Retorna false se o código já tiver sido usado por outro pedido
+  markRecoveryCodeUsed: async (id) => {
+    const result = await query(
+      `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ${isPostgres ? '$1' : '?'} AND used_at IS NULL`,
+      [id]
+    );
+    return result.rowCount > 0;
+  },
+
+  countUnusedRecoveryCodes: async (userId) => {
+    const result = await query(
+      `SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ${isPostgres ? '$1' : '?'} AND used_at IS NULL`,
+      [userId]
+    );
+    return parseInt(result.rows[0]?.count || 0);
+  }
+};
+
+// ==================== USER SESSION QUERIES ====================
+export const sessionQueries = {
+  create: async (userId, refreshTokenHash, userAgent, ip, expiresAt) => {
+    const result = await query(
+      isPostgres
+        ? `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at) VALUES ($1, $2, $3, $4, $5) RETURNING id`
+        : `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at) VALUES (?, ?, ?, ?, ?) RETURNING id`,
+      [userId, refreshTokenHash, userAgent, ip, expiresAt]
+    );
+    return result.rows[0];
+  },
+
+  findById: async (id) => {
+    const result = await query(
+      `SELECT * FROM user_sessions WHERE id = ${isPostgres ? '$1' : '?'}`,
+      [id]
+    );
+    return result.rows[0];
+  },
+
+  findByRefreshHash: async (refreshTokenHash) => {
+    const result = await query(
+      `SELECT * FROM user_sessions WHERE refresh_token_hash = ${isPostgres ? '$1' : '?'}`,
+      [refreshTokenHash]
+    );
+    return result.rows[0];
+  },
+
+  // Token já rotacionado: usado para detectar reaproveitamento de refresh token
+  findByPreviousHash: async (refreshTokenHash) => {
+    const result = await query(
+      `SELECT * FROM user_sessions WHERE previous_token_hash = ${isPostgres ? '$1' : '?'}`,
+      [refreshTokenHash]
+    );
+    return result.rows[0];
+  },
+
+  findActiveByUserId: async (userId) => {
+    const result = await query(isPostgres ? `
+      SELECT id, user_agent, ip, expires_at, last_seen_at, created_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY last_seen_at DESC
+    ` : `
+      SELECT id, user_agent, ip, expires_at, last_seen_at, created_at
+      FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL
+      ORDER BY last_seen_at DESC
+    `, [userId]);
+    return result.rows;
+  },
+
+  /**
+   * Troca o refresh token somente se a sessão ainda estiver com o token apresentado (`previousTokenHash`)
+   * Retorna false se outra renovação trocou antes ou se a sessão foi revogada
+   */
+  rotate: async (id, refreshTokenHash, previousTokenHash, rotatedAt, ip, expiresAt) => {
+    const result = await query(isPostgres ? `
+      UPDATE user_sessions
+      SET refresh_token_hash = $1, previous_token_hash = $2, rotated_at = $3, ip = $4, expires_at = $5, last_seen_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND refresh_token_hash = $7 AND revoked_at IS NULL
+    ` : `
+      UPDATE user_sessions
+      SET refresh_token_hash = ?, previous_token_hash = ?, rotated_at = ?, ip = ?, expires_at = ?, last_seen_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+    `, [refreshTokenHash, previousTokenHash, rotatedAt, ip, expiresAt, id, previousTokenHash]);
+    return result.rowCount > 0;
+  },
+
+  revoke: async (id) => {
+    await query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ${isPostgres ? '$1' : '?'} AND revoked_at IS NULL`,
+      [id]
+    );
+  },
+
+  /**
+   * Revoga todas as sessões do usuário, exceto `exceptId` (sessão atual)
+   */
+  revokeAllForUser: async (userId, exceptId = null) => {
+    await query(
+      isPostgres
+        ? `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id <> $2 AND revoked_at IS NULL`
+        : `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id <> ? AND revoked_at IS NULL`,
+      [userId, exceptId || 0]
+    );
+  }
+};
+
+// ==================== AUDIT LOG QUERIES ====================
+// Somente inserção e leitura: o log de auditoria nunca é alterado
+export const auditQueries = {
+  create: async (entry) => {
+    await query(isPostgres ? `
+      INSERT INTO audit_log (organization_id, actor_user_id, actor_type, actor_label, action, target_type, target_id, ip, user_agent, details)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ` : `
+      INSERT INTO audit_log (organization_id, actor_user_id, actor_type, actor_label, action, target_type, target_id, ip, user_agent, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.organizationId, entry.actorUserId, entry.actorType, entry.actorLabel, entry.action,
+      entry.targetType, entry.targetId, entry.ip, entry.userAgent, entry.details
+    ]);
+  },
+
+  /**
+   * Busca entradas visíveis ao usuário: das organizações informadas
+   * ou feitas por ele mesmo (ex.: login, troca de senha)
+   */
+  search: async ({ organizationIds, userId, action, actorUserId, targetType, targetId, from, to, limit, offset }) => {
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const scope = [`actor_user_id = ${param(userId)}`];
+    if (organizationIds.length > 0) {
+      scope.push(`organization_id IN (${organizationIds.map(id => param(id)).join(', ')})`);
+    }
+
+    const where = [`(${scope.join(' OR ')})`];
+    if (action) where.push(`action LIKE ${param(`${action}%`)}`);
+    if (actorUserId) where.push(`actor_user_id = ${param(actorUserId)}`);
+    if (targetType) where.push(`target_type = ${param(targetType)}`);
+    if (targetId) where.push(`target_id = ${param(targetId)}`);
+    if (from) where.push(`created_at >= ${param(from)}`);
+    if (to) where.push(`created_at <= ${param(to)}`);
+
+    const result = await query(`
+      SELECT * FROM audit_log
+      WHERE ${where.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ${param(limit)} OFFSET ${param(offset)}
+    `, params);
+    return result.rows;
+  }
+};
+
 // ==================== CONTACT QUERIES ====================
 export const contactQueries = {
-  upsert: async (instanceId, phone, name, firstMessageAt, lastMessageAt) => {
+  // Em grupos, phone é o JID do grupo (...@g.us) e name é o assunto
+  upsert: async (instanceId, phone, name, firstMessageAt, lastMessageAt, conversationType = 'direct') => {
     if (isPostgres) {
       const result = await query(`
-        INSERT INTO contacts (instance_id, phone, name, first_message_at, last_message_at)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO contacts (instance_id, phone, name, first_message_at, last_message_at, conversation_type)
+        VALUES ($1, $2, $3, $4, $5, $6)
         ON CONFLICT(instance_id, phone) DO UPDATE SET
           name = COALESCE(EXCLUDED.name, contacts.name),
           last_message_at = EXCLUDED.last_message_at,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *
-      `, [instanceId, phone, name, firstMessageAt, lastMessageAt]);
+      `, [instanceId, phone, name, firstMessageAt, lastMessageAt, conversationType]);
       return result.rows[0];
     } else {
       // SQLite: INSERT OR REPLACE
       await query(`
-        INSERT INTO contacts (instance_id, phone, name, first_message_at, last_message_at)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO contacts (instance_id, phone, name, first_message_at, last_message_at, conversation_type)
+        VALUES (?, ?, ?, ?, ?, ?)
         ON CONFLICT(instance_id, phone) DO UPDATE SET
           name = COALESCE(excluded.name, name),
           last_message_at = excluded.last_message_at,
           updated_at = CURRENT_TIMESTAMP
-      `, [instanceId, phone, name, firstMessageAt, lastMessageAt]);
+      `, [instanceId, phone, name, firstMessageAt, lastMessageAt, conversationType]);
       const result = await query(`SELECT * FROM contacts WHERE instance_id = ? AND phone = ?`, [instanceId, phone]);
       return result.rows[0];
     }
@@ -409,6 +1633,21 @@ export const contactQueries = {
     return result.rows;
   },
 
+  findByIdForMember: async (id, userId) => {
+    const result = await query(isPostgres ? `
+      SELECT c.* FROM contacts c
+      JOIN instances i ON c.instance_id = i.id
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      WHERE c.id = $1 AND m.user_id = $2
+    ` : `
+      SELECT c.* FROM contacts c
+      JOIN instances i ON c.instance_id = i.id
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      WHERE c.id = ? AND m.user_id = ?
+    `, [id, userId]);
+    return result.rows[0];
+  },
+
   findByPhone: async (instanceId, phone) => {
     const result = await query(
       isPostgres
@@ -446,7 +1685,7 @@ export const contactQueries = {
              (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id AND m.from_me = 1) as sent,
              (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id AND m.from_me = 0) as received
       FROM contacts c
-      WHERE c.instance_id = $1
+      WHERE c.instance_id = $1 AND c.conversation_type = 'direct'
       ORDER BY c.last_message_at DESC
       LIMIT $2
     ` : `
@@ -454,7 +1693,7 @@ export const contactQueries = {
              (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id AND m.from_me = 1) as sent,
              (SELECT COUNT(*) FROM messages m WHERE m.contact_id = c.id AND m.from_me = 0) as received
       FROM contacts c
-      WHERE c.instance_id = ?
+      WHERE c.instance_id = ? AND c.conversation_type = 'direct'
       ORDER BY c.last_message_at DESC
       LIMIT ?
     `, [instanceId, limit]);
@@ -464,14 +1703,19 @@ export const contactQueries = {
 
 // ==================== MESSAGE QUERIES ====================
 export const messageQueries = {
-  create: async (instanceId, contactId, messageId, fromMe, body, mediaType, timestamp) => {
-    await query(isPostgres ? `
-      INSERT INTO messages (instance_id, contact_id, message_id, from_me, body, media_type, timestamp)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+  // participant/participantName: quem escreveu, em mensagens de grupo
+  // Retorna o id da mensagem criada
+  create: async (instanceId, contactId, messageId, fromMe, body, mediaType, timestamp, participant = null, participantName = null) => {
+    const result = await query(isPostgres ? `
+      INSERT INTO messages (instance_id, contact_id, message_id, from_me, body, media_type, timestamp, participant, participant_name)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id
     ` : `
-      INSERT INTO messages (instance_id, contact_id, message_id, from_me, body, media_type, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `, [instanceId, contactId, messageId, fromMe, body, mediaType, timestamp]);
+      INSERT INTO messages (instance_id, contact_id, message_id, from_me, body, media_type, timestamp, participant, participant_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `, [instanceId, contactId, messageId, fromMe, body, mediaType, timestamp, participant, participantName]);
+    return result.rows[0]?.id;
   },
 
   findByContactId: async (contactId) => {
@@ -482,6 +1726,81 @@ export const messageQueries = {
     return result.rows;
   },
 
+  findByMessageId: async (instanceId, messageId) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM messages WHERE instance_id = $1 AND message_id = $2 ORDER BY id DESC LIMIT 1`
+        : `SELECT * FROM messages WHERE instance_id = ? AND message_id = ? ORDER BY id DESC LIMIT 1`,
+      [instanceId, messageId]
+    );
+    return result.rows[0];
+  },
+
+  // deliveredAt/readAt null mantêm o horário já registrado
+  updateStatus: async (id, status, deliveredAt, readAt) => {
+    await query(isPostgres ? `
+      UPDATE messages SET
+        status = $1,
+        delivered_at = COALESCE(delivered_at, $2),
+        read_at = COALESCE(read_at, $3)
+      WHERE id = $4
+    ` : `
+      UPDATE messages SET
+        status = ?,
+        delivered_at = COALESCE(delivered_at, ?),
+        read_at = COALESCE(read_at, ?)
+      WHERE id = ?
+    `, [status, deliveredAt, readAt, id]);
+  },
+
+  // Mensagem de uma conversa específica (telefone do contato ou JID do grupo)
+  findInConversation: async (instanceId, phone, messageId) => {
+    const result = await query(isPostgres ? `
+      SELECT m.* FROM messages m
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.instance_id = $1 AND c.phone = $2 AND m.message_id = $3
+      ORDER BY m.id DESC LIMIT 1
+    ` : `
+      SELECT m.* FROM messages m
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.instance_id = ? AND c.phone = ? AND m.message_id = ?
+      ORDER BY m.id DESC LIMIT 1
+    `, [instanceId, phone, messageId]);
+    return result.rows[0];
+  },
+
+  // O texto anterior fica em message_revisions
+  applyEdit: async (id, body, editedAt) => {
+    await query(isPostgres
+      ? `UPDATE messages SET body = $1, edited_at = $2 WHERE id = $3`
+      : `UPDATE messages SET body = ?, edited_at = ? WHERE id = ?`,
+      [body, editedAt, id]);
+  },
+
+  // O texto continua guardado; só a primeira remoção vale
+  markDeleted: async (id, deletedAt) => {
+    await query(isPostgres
+      ? `UPDATE messages SET deleted_at = COALESCE(deleted_at, $1) WHERE id = $2`
+      : `UPDATE messages SET deleted_at = COALESCE(deleted_at, ?) WHERE id = ?`,
+      [deletedAt, id]);
+  },
+
+  // Mensagens enviadas em conversas individuais no período, com entrega e leitura
+  findSentWithReceipts: async (instanceId, startDateTime, endDateTime) => {
+    const result = await query(isPostgres ? `
+      SELECT m.timestamp, m.status, m.delivered_at, m.read_at
+      FROM messages m
+      JOIN contacts c ON c.id = m.contact_id AND c.conversation_type = 'direct'
+      WHERE m.instance_id = $1 AND m.from_me = 1 AND m.timestamp >= $2 AND m.timestamp <= $3
+    ` : `
+      SELECT m.timestamp, m.status, m.delivered_at, m.read_at
+      FROM messages m
+      JOIN contacts c ON c.id = m.contact_id AND c.conversation_type = 'direct'
+      WHERE m.instance_id = ? AND m.from_me = 1 AND m.timestamp >= ? AND m.timestamp <= ?
+    `, [instanceId, startDateTime, endDateTime]);
+    return result.rows;
+  },
+
   findByInstanceId: async (instanceId, limit) => {
     const result = await query(isPostgres ? `
       SELECT m.*, c.phone, c.name as contact_name
@@ -501,11 +1820,15 @@ export const messageQueries = {
     return result.rows;
   },
 
+  // Com o arquivo de mídia guardado (se houver)
   getConversation: async (contactId) => {
-    const result = await query(
-      `SELECT * FROM messages WHERE contact_id = ${isPostgres ? '$1' : '?'} ORDER BY timestamp ASC`,
-      [contactId]
-    );
+    const result = await query(`
+      SELECT m.*, md.id as media_id, md.mimetype as media_mimetype, md.size as media_size, md.file_name as media_file_name
+      FROM messages m
+      LEFT JOIN media md ON md.message_id = m.id
+      WHERE m.contact_id = ${isPostgres ? '$1' : '?'}
+      ORDER BY m.timestamp ASC
+    `, [contactId]);
     return result.rows;
   },
 
@@ -520,6 +1843,7 @@ export const messageQueries = {
              SUM(CASE WHEN from_me = 1 THEN 1 ELSE 0 END) as sent
       FROM messages 
       WHERE instance_id = $1 AND timestamp >= $2 AND timestamp <= $3
+        AND contact_id IN (SELECT id FROM contacts WHERE conversation_type = 'direct')
       GROUP BY DATE(timestamp)
       ORDER BY date ASC
     ` : `
@@ -528,6 +1852,7 @@ export const messageQueries = {
              SUM(CASE WHEN from_me = 1 THEN 1 ELSE 0 END) as sent
       FROM messages 
       WHERE instance_id = ? AND timestamp >= ? AND timestamp <= ?
+        AND contact_id IN (SELECT id FROM contacts WHERE conversation_type = 'direct')
       GROUP BY DATE(timestamp)
       ORDER BY date ASC
     `, [instanceId, startDateTime, endDateTime]);
@@ -535,6 +1860,208 @@ export const messageQueries = {
   }
 };
 
+// ==================== MESSAGE STATUS QUERIES ====================
+export const messageStatusQueries = {
+  create: async (instanceId, messageId, status, participant, statusAt) => {
+    await query(isPostgres ? `
+      INSERT INTO message_status_history (instance_id, message_id, status, participant, status_at)
+      VALUES ($1, $2, $3, $4, $5)
+    ` : `
+      INSERT INTO message_status_history (instance_id, message_id, status, participant, status_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [instanceId, messageId, status, participant, statusAt]);
+  },
+
+  findByMessageId: async (instanceId, messageId) => {
+    const result = await query(isPostgres ? `
+      SELECT * FROM message_status_history
+      WHERE instance_id = $1 AND message_id = $2
+      ORDER BY status_at ASC, id ASC
+    ` : `
+      SELECT * FROM message_status_history
+      WHERE instance_id = ? AND message_id = ?
+      ORDER BY status_at ASC, id ASC
+    `, [instanceId, messageId]);
+    return result.rows;
+  }
+};
+
+// ==================== MESSAGE REVISION QUERIES ====================
+export const messageRevisionQueries = {
+  create: async (instanceId, messageId, body, editedAt) => {
+    await query(isPostgres ? `
+      INSERT INTO message_revisions (instance_id, message_id, body, edited_at)
+      VALUES ($1, $2, $3, $4)
+    ` : `
+      INSERT INTO message_revisions (instance_id, message_id, body, edited_at)
+      VALUES (?, ?, ?, ?)
+    `, [instanceId, messageId, body, editedAt]);
+  },
+
+  // Versões anteriores das mensagens da conversa, da mais antiga para a mais recente
+  findByContactId: async (contactId) => {
+    const result = await query(isPostgres ? `
+      SELECT r.message_id, r.body, r.edited_at
+      FROM message_revisions r
+      JOIN messages m ON m.id = r.message_id
+      WHERE m.contact_id = $1
+      ORDER BY r.edited_at ASC, r.id ASC
+    ` : `
+      SELECT r.message_id, r.body, r.edited_at
+      FROM message_revisions r
+      JOIN messages m ON m.id = r.message_id
+      WHERE m.contact_id = ?
+      ORDER BY r.edited_at ASC, r.id ASC
+    `, [contactId]);
+    return result.rows;
+  }
+};
+
+// ==================== MEDIA QUERIES ====================
+export const mediaQueries = {
+  create: async (instanceId, messageId, mediaType, mimetype, fileName, size, sha256, storageKey) => {
+    const result = await query(isPostgres ? `
+      INSERT INTO media (instance_id, message_id, media_type, mimetype, file_name, size, sha256, storage_key)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    ` : `
+      INSERT INTO media (instance_id, message_id, media_type, mimetype, file_name, size, sha256, storage_key)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `, [instanceId, messageId, mediaType, mimetype, fileName, size, sha256, storageKey]);
+    return result.rows[0]?.id;
+  },
+
+  findByIdForMember: async (id, userId) => {
+    const result = await query(isPostgres ? `
+      SELECT md.* FROM media md
+      JOIN instances i ON md.instance_id = i.id
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      WHERE md.id = $1 AND m.user_id = $2
+    ` : `
+      SELECT md.* FROM media md
+      JOIN instances i ON md.instance_id = i.id
+      JOIN organization_members m ON m.organization_id = i.organization_id
+      WHERE md.id = ? AND m.user_id = ?
+    `, [id, userId]);
+    return result.rows[0];
+  },
+
+  findOlderThan: async (instanceId, cutoff, limit) => {
+    const result = await query(isPostgres ? `
+      SELECT id, storage_key FROM media
+      WHERE instance_id = $1 AND created_at < $2
+      ORDER BY created_at ASC
+      LIMIT $3
+    ` : `
+      SELECT id, storage_key FROM media
+      WHERE instance_id = ? AND created_at < ?
+      ORDER BY created_at ASC
+      LIMIT ?
+    `, [instanceId, cutoff, limit]);
+    return result.rows;
+  },
+
+  findStorageKeysByInstance: async (instanceId) => {
+    const result = await query(
+      `SELECT storage_key FROM media WHERE instance_id = ${isPostgres ? '$1' : '?'}`,
+      [instanceId]
+    );
+    return result.rows.map(row => row.storage_key);
+  },
+
+  delete: async (id) => {
+    await query(`DELETE FROM media WHERE id = ${isPostgres ? '$1' : '?'}`, [id]);
+  }
+};
+
+// ==================== GROUP QUERIES ====================
+export const groupQueries = {
+  findMetadata: async (instanceId, groupJid) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM group_metadata WHERE instance_id = $1 AND group_jid = $2`
+        : `SELECT * FROM group_metadata WHERE instance_id = ? AND group_jid = ?`,
+      [instanceId, groupJid]
+    );
+    return result.rows[0];
+  },
+
+  saveMetadata: async (instanceId, groupJid, subject, participantCount) => {
+    await query(isPostgres ? `
+      INSERT INTO group_metadata (instance_id, group_jid, subject, participant_count)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT(instance_id, group_jid) DO UPDATE SET
+        subject = EXCLUDED.subject,
+        participant_count = EXCLUDED.participant_count,
+        updated_at = CURRENT_TIMESTAMP
+    ` : `
+      INSERT INTO group_metadata (instance_id, group_jid, subject, participant_count)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(instance_id, group_jid) DO UPDATE SET
+        subject = excluded.subject,
+        participant_count = excluded.participant_count,
+        updated_at = CURRENT_TIMESTAMP
+    `, [instanceId, groupJid, subject, participantCount]);
+  },
+
+  // Mensagens por grupo no período, com o assunto e o tamanho do grupo em cache
+  getActivity: async (instanceId, startDateTime, endDateTime) => {
+    const result = await query(isPostgres ? `
+      SELECT c.id, c.phone as group_jid, COALESCE(g.subject, c.name) as subject, g.participant_count,
+             SUM(CASE WHEN m.from_me = 0 THEN 1 ELSE 0 END) as received,
+             SUM(CASE WHEN m.from_me = 1 THEN 1 ELSE 0 END) as sent,
+             COUNT(DISTINCT m.participant) as active_participants,
+             MAX(m.timestamp) as last_message_at
+      FROM contacts c
+      JOIN messages m ON m.contact_id = c.id
+      LEFT JOIN group_metadata g ON g.instance_id = c.instance_id AND g.group_jid = c.phone
+      WHERE c.instance_id = $1 AND c.conversation_type = 'group'
+        AND m.timestamp >= $2 AND m.timestamp <= $3
+      GROUP BY c.id, c.phone, c.name, g.subject, g.participant_count
+      ORDER BY COUNT(*) DESC
+    ` : `
+      SELECT c.id, c.phone as group_jid, COALESCE(g.subject, c.name) as subject, g.participant_count,
+             SUM(CASE WHEN m.from_me = 0 THEN 1 ELSE 0 END) as received,
+             SUM(CASE WHEN m.from_me = 1 THEN 1 ELSE 0 END) as sent,
+             COUNT(DISTINCT m.participant) as active_participants,
+             MAX(m.timestamp) as last_message_at
+      FROM contacts c
+      JOIN messages m ON m.contact_id = c.id
+      LEFT JOIN group_metadata g ON g.instance_id = c.instance_id AND g.group_jid = c.phone
+      WHERE c.instance_id = ? AND c.conversation_type = 'group'
+        AND m.timestamp >= ? AND m.timestamp <= ?
+      GROUP BY c.id, c.phone, c.name, g.subject, g.participant_count
+      ORDER BY COUNT(*) DESC
+    `, [instanceId, startDateTime, endDateTime]);
+    return result.rows;
+  },
+
+  // Mensagens por participante (só recebidas) em cada grupo no período
+  getParticipantActivity: async (instanceId, startDateTime, endDateTime) => {
+    const result = await query(isPostgres ? `
+      SELECT m.contact_id, m.participant, MAX(m.participant_name) as participant_name, COUNT(*) as messages
+      FROM messages m
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.instance_id = $1 AND c.conversation_type = 'group' AND m.from_me = 0
+        AND m.participant IS NOT NULL
+        AND m.timestamp >= $2 AND m.timestamp <= $3
+      GROUP BY m.contact_id, m.participant
+      ORDER BY messages DESC
+    ` : `
+      SELECT m.contact_id, m.participant, MAX(m.participant_name) as participant_name, COUNT(*) as messages
+      FROM messages m
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.instance_id = ? AND c.conversation_type = 'group' AND m.from_me = 0
+        AND m.participant IS NOT NULL
+        AND m.timestamp >= ? AND m.timestamp <= ?
+      GROUP BY m.contact_id, m.participant
+      ORDER BY messages DESC
+    `, [instanceId, startDateTime, endDateTime]);
+    return result.rows;
+  }
+};
+
 // ==================== METRICS QUERIES ====================
 export const metricsQueries = {
   upsertDaily: async (instanceId, date, newContacts, received, sent, returning) => {
@@ -583,6 +2110,9 @@ export const metricsQueries = {
 };
 
 // ==================== AUTH STATE QUERIES ====================
+// Chaves por query nas operações em lote (bem abaixo do limite de parâmetros do SQLite e do PostgreSQL)
+const AUTH_STATE_BATCH_SIZE = 400;
+
 export const authStateQueries = {
   get: async (sessionId, dataKey) => {
     const result = await query(
@@ -634,8 +2164,438 @@ export const authStateQueries = {
       [sessionId]
     );
     return result.rows;
+  },
+
+  deleteByPrefix: async (sessionId, prefix) => {
+    await query(
+      isPostgres
+        ? `DELETE FROM auth_state WHERE session_id = $1 AND data_key LIKE $2`
+        : `DELETE FROM auth_state WHERE session_id = ? AND data_key LIKE ?`,
+      [sessionId, `${prefix}%`]
+    );
+  },
+
+  // Lê várias chaves com uma query por lote
+  getMany: async (sessionId, dataKeys) => {
+    const rows = [];
+    for (let i = 0; i < dataKeys.length; i += AUTH_STATE_BATCH_SIZE) {
+      const batch = dataKeys.slice(i, i + AUTH_STATE_BATCH_SIZE);
+      const placeholders = batch.map((_, index) => `$${index + 2}`).join(', ');
+
+      const result = await query(
+        `SELECT data_key, data_value FROM auth_state WHERE session_id = $1 AND data_key IN (${placeholders})`,
+        [sessionId, ...batch]
+      );
+      rows.push(...result.rows);
+    }
+    return rows;
+  },
+
+  /**
+   * Grava e remove várias chaves numa única transação
+   * entries: [{ key, value }], value null remove a chave
+   */
+  setMany: async (sessionId, entries) => {
+    const upserts = entries.filter(e => e.value !== null && e.value !== undefined);
+    const removals = entries.filter(e => e.value === null || e.value === undefined).map(e => e.key);
+    const statements = [];
+
+    for (let i = 0; i < upserts.length; i += AUTH_STATE_BATCH_SIZE) {
+      const batch = upserts.slice(i, i + AUTH_STATE_BATCH_SIZE);
+      // Cada linha tem seus próprios parâmetros: no SQLite os $n viram ? posicionais
+      const values = batch.map((_, index) => `($${index * 3 + 1}, $${index * 3 + 2}, $${index * 3 + 3})`).join(', ');
+
+      statements.push({
+        text: `
+          INSERT INTO auth_state (session_id, data_key, data_value)
+          VALUES ${values}
+          ON CONFLICT(session_id, data_key) DO UPDATE SET
+            data_value = excluded.data_value,
+            updated_at = CURRENT_TIMESTAMP
+        `,
+        params: batch.flatMap(e => [sessionId, e.key, e.value])
+      });
+    }
+
+    for (let i = 0; i < removals.length; i += AUTH_STATE_BATCH_SIZE) {
+      const batch = removals.slice(i, i + AUTH_STATE_BATCH_SIZE);
+      const placeholders = batch.map((_, index) => `$${index + 2}`).join(', ');
+
+      statements.push({
+        text: `DELETE FROM auth_state WHERE session_id = $1 AND data_key IN (${placeholders})`,
+        params: [sessionId, ...batch]
+      });
+    }
+
+    if (statements.length > 0) {
+      await transaction(statements);
+    }
+  }
+};
+
+// ==================== APP STATE QUERIES ====================
+// Dados sincronizados do celular (agenda, arquivadas/fixadas e etiquetas)
+export const appStateQueries = {
+  upsertContactName: async (instanceId, phone, name) => {
+    await query(isPostgres ? `
+      INSERT INTO synced_contacts (instance_id, phone, name)
+      VALUES ($1, $2, $3)
+      ON CONFLICT(instance_id, phone) DO UPDATE SET
+        name = EXCLUDED.name,
+        updated_at = CURRENT_TIMESTAMP
+    ` : `
+      INSERT INTO synced_contacts (instance_id, phone, name)
+      VALUES (?, ?, ?)
+      ON CONFLICT(instance_id, phone) DO UPDATE SET
+        name = excluded.name,
+        updated_at = CURRENT_TIMESTAMP
+    `, [instanceId, phone, name]);
+  },
+
+  // archived/pinned null mantém o valor atual (atualizações parciais do chat)
+  upsertChatState: async (instanceId, phone, archived, pinned) => {
+    await query(isPostgres ? `
+      INSERT INTO synced_contacts (instance_id, phone, archived, pinned)
+      VALUES ($1, $2, COALESCE($3, 0), COALESCE($4, 0))
+      ON CONFLICT(instance_id, phone) DO UPDATE SET
+        archived = COALESCE($5, synced_contacts.archived),
+        pinned = COALESCE($6, synced_contacts.pinned),
+        updated_at = CURRENT_TIMESTAMP
+    ` : `
+      INSERT INTO synced_contacts (instance_id, phone, archived, pinned)
+      VALUES (?, ?, COALESCE(?, 0), COALESCE(?, 0))
+      ON CONFLICT(instance_id, phone) DO UPDATE SET
+        archived = COALESCE(?, archived),
+        pinned = COALESCE(?, pinned),
+        updated_at = CURRENT_TIMESTAMP
+    `, [instanceId, phone, archived, pinned, archived, pinned]);
+  },
+
+  upsertLabel: async (instanceId, labelId, name, color, deleted) => {
+    await query(isPostgres ? `
+      INSERT INTO labels (instance_id, label_id, name, color, deleted)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT(instance_id, label_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        color = EXCLUDED.color,
+        deleted = EXCLUDED.deleted,
+        updated_at = CURRENT_TIMESTAMP
+    ` : `
+      INSERT INTO labels (instance_id, label_id, name, color, deleted)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(instance_id, label_id) DO UPDATE SET
+        name = excluded.name,
+        color = excluded.color,
+        deleted = excluded.deleted,
+        updated_at = CURRENT_TIMESTAMP
+    `, [instanceId, labelId, name, color, deleted ? 1 : 0]);
+  },
+
+  addChatLabel: async (instanceId, phone, labelId) => {
+    await query(isPostgres ? `
+      INSERT INTO chat_labels (instance_id, phone, label_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT(instance_id, phone, label_id) DO NOTHING
+    ` : `
+      INSERT OR IGNORE INTO chat_labels (instance_id, phone, label_id)
+      VALUES (?, ?, ?)
+    `, [instanceId, phone, labelId]);
+  },
+
+  removeChatLabel: async (instanceId, phone, labelId) => {
+    await query(
+      isPostgres
+        ? `DELETE FROM chat_labels WHERE instance_id = $1 AND phone = $2 AND label_id = $3`
+        : `DELETE FROM chat_labels WHERE instance_id = ? AND phone = ? AND label_id = ?`,
+      [instanceId, phone, labelId]
+    );
+  },
+
+  findChatLabels: async (instanceId) => {
+    const result = await query(isPostgres ? `
+      SELECT cl.phone, l.label_id, l.name, l.color
+      FROM chat_labels cl
+      JOIN labels l ON l.instance_id = cl.instance_id AND l.label_id = cl.label_id
+      WHERE cl.instance_id = $1 AND l.deleted = 0
+      ORDER BY l.name ASC
+    ` : `
+      SELECT cl.phone, l.label_id, l.name, l.color
+      FROM chat_labels cl
+      JOIN labels l ON l.instance_id = cl.instance_id AND l.label_id = cl.label_id
+      WHERE cl.instance_id = ? AND l.deleted = 0
+      ORDER BY l.name ASC
+    `, [instanceId]);
+    return result.rows;
+  },
+
+  deleteAll: async (instanceId) => {
+    const param = isPostgres ? '$1' : '?';
+    await query(`DELETE FROM chat_labels WHERE instance_id = ${param}`, [instanceId]);
+    await query(`DELETE FROM labels WHERE instance_id = ${param}`, [instanceId]);
+    await query(`DELETE FROM synced_contacts WHERE instance_id = ${param}`, [instanceId]);
+  }
+};
+
+// ==================== CONNECTION EVENT QUERIES ====================
+export const connectionEventQueries = {
+  create: async (instanceId, event, statusCode, reason) => {
+    await query(
+      isPostgres
+        ? `INSERT INTO connection_events (instance_id, event, status_code, reason) VALUES ($1, $2, $3, $4)`
+        : `INSERT INTO connection_events (instance_id, event, status_code, reason) VALUES (?, ?, ?, ?)`,
+      [instanceId, event, statusCode, reason]
+    );
+  },
+
+  findByInstanceId: async (instanceId, from, to, limit) => {
+    const result = await query(isPostgres ? `
+      SELECT * FROM connection_events
+      WHERE instance_id = $1 AND created_at >= $2 AND created_at <= $3
+      ORDER BY created_at DESC, id DESC
+      LIMIT $4
+    ` : `
+      SELECT * FROM connection_events
+      WHERE instance_id = ? AND created_at >= ? AND created_at <= ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `, [instanceId, from, to, limit]);
+    return result.rows;
+  },
+
+  // Eventos que mudam o estado da conexão (open/close), em ordem cronológica
+  findStateChanges: async (instanceId, from, to) => {
+    const result = await query(isPostgres ? `
+      SELECT event, created_at FROM connection_events
+      WHERE instance_id = $1 AND event IN ('open', 'close') AND created_at >= $2 AND created_at <= $3
+      ORDER BY created_at ASC, id ASC
+    ` : `
+      SELECT event, created_at FROM connection_events
+      WHERE instance_id = ? AND event IN ('open', 'close') AND created_at >= ? AND created_at <= ?
+      ORDER BY created_at ASC, id ASC
+    `, [instanceId, from, to]);
+    return result.rows;
+  },
+
+  findLastStateChangeBefore: async (instanceId, before) => {
+    const result = await query(isPostgres ? `
+      SELECT event, created_at FROM connection_events
+      WHERE instance_id = $1 AND event IN ('open', 'close') AND created_at < $2
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    ` : `
+      SELECT event, created_at FROM connection_events
+      WHERE instance_id = ? AND event IN ('open', 'close') AND created_at < ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [instanceId, before]);
+    return result.rows[0];
+  },
+
+  countByEvent: async (instanceId, from, to) => {
+    const result = await query(isPostgres ? `
+      SELECT event, COUNT(*) as total FROM connection_events
+      WHERE instance_id = $1 AND created_at >= $2 AND created_at <= $3
+      GROUP BY event
+    ` : `
+      SELECT event, COUNT(*) as total FROM connection_events
+      WHERE instance_id = ? AND created_at >= ? AND created_at <= ?
+      GROUP BY event
+    `, [instanceId, from, to]);
+    return result.rows;
+  },
+
+  countCloseReasons: async (instanceId, from, to) => {
+    const result = await query(isPostgres ? `
+      SELECT reason, COUNT(*) as total FROM connection_events
+      WHERE instance_id = $1 AND event = 'close' AND created_at >= $2 AND created_at <= $3
+      GROUP BY reason
+      ORDER BY total DESC
+    ` : `
+      SELECT reason, COUNT(*) as total FROM connection_events
+      WHERE instance_id = ? AND event = 'close' AND created_at >= ? AND created_at <= ?
+      GROUP BY reason
+      ORDER BY total DESC
+    `, [instanceId, from, to]);
+    return result.rows;
+  },
+
+  // Instâncias cujo último evento de estado é 'open' (ficaram "conectadas" quando o servidor parou)
+  findInstancesLeftOpen: async () => {
+    const result = await query(`
+      SELECT e.instance_id FROM connection_events e
+      WHERE e.event = 'open' AND e.id = (
+        SELECT MAX(id) FROM connection_events
+        WHERE instance_id = e.instance_id AND event IN ('open', 'close')
+      )
+    `);
+    return result.rows.map(row => row.instance_id);
+  }
+};
+
+// ==================== MESSAGE STORE QUERIES ====================
+// Conteúdo bruto (proto) das mensagens, usado pelo Baileys para reenvios e retentativas de decriptação
+export const messageStoreQueries = {
+  save: async (sessionId, remoteJid, messageId, fromMe, messageData) => {
+    await query(isPostgres ? `
+      INSERT INTO message_store (session_id, remote_jid, message_id, from_me, message_data)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT(session_id, remote_jid, message_id) DO UPDATE SET
+        message_data = EXCLUDED.message_data
+    ` : `
+      INSERT INTO message_store (session_id, remote_jid, message_id, from_me, message_data)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(session_id, remote_jid, message_id) DO UPDATE SET
+        message_data = excluded.message_data
+    `, [sessionId, remoteJid, messageId, fromMe, messageData]);
+  },
+
+  find: async (sessionId, remoteJid, messageId) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM message_store WHERE session_id = $1 AND remote_jid = $2 AND message_id = $3`
+        : `SELECT * FROM message_store WHERE session_id = ? AND remote_jid = ? AND message_id = ?`,
+      [sessionId, remoteJid, messageId]
+    );
+    return result.rows[0];
+  },
+
+  // O mesmo chat pode aparecer com JIDs diferentes (ex.: @lid e @s.whatsapp.net)
+  findByMessageId: async (sessionId, messageId) => {
+    const result = await query(
+      isPostgres
+        ? `SELECT * FROM message_store WHERE message_id = $1 AND session_id = $2 ORDER BY id DESC LIMIT 1`
+        : `SELECT * FROM message_store WHERE message_id = ? AND session_id = ? ORDER BY id DESC LIMIT 1`,
+      [messageId, sessionId]
+    );
+    return result.rows[0];
+  },
+
+  deleteOlderThan: async (cutoff) => {
+    await query(
+      `DELETE FROM message_store WHERE created_at < ${isPostgres ? '$1' : '?'}`,
+      [cutoff]
+    );
+  },
+
+  deleteAll: async (sessionId) => {
+    await query(
+      `DELETE FROM message_store WHERE session_id = ${isPostgres ? '$1' : '?'}`,
+      [sessionId]
+    );
+  }
+};
+
+// ==================== SESSION LEASE QUERIES ====================
+// Qual processo é dono de cada sessão do WhatsApp (várias réplicas). Horários em milissegundos (epoch)
+export const sessionLeaseQueries = {
+  findBySessionId: async (sessionId) => {
+    const result = await query(
+      `SELECT * FROM session_leases WHERE session_id = ${isPostgres ? '$1' : '?'}`,
+      [sessionId]
+    );
+    return result.rows[0];
+  },
+
+  findBySessionIds: async (sessionIds) => {
+    if (sessionIds.length === 0) return [];
+
+    const placeholders = sessionIds.map((_, i) => (isPostgres ? `$${i + 1}` : '?')).join(', ');
+    const result = await query(
+      `SELECT * FROM session_leases WHERE session_id IN (${placeholders})`,
+      sessionIds
+    );
+    return result.rows;
+  },
+
+  findSessionIdsByOwner: async (ownerId) => {
+    const result = await query(
+      `SELECT session_id FROM session_leases WHERE owner_id = ${isPostgres ? '$1' : '?'}`,
+      [ownerId]
+    );
+    return result.rows.map(row => row.session_id);
+  },
+
+  // Assume a sessão se estiver livre, expirada ou já for do mesmo dono (o QR de outro dono é descartado)
+  acquire: async (sessionId, ownerId, now, expiresAt) => {
+    await query(isPostgres ? `
+      INSERT INTO session_leases (session_id, owner_id, expires_at, acquired_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT(session_id) DO UPDATE SET
+        qr = CASE WHEN session_leases.owner_id = EXCLUDED.owner_id THEN session_leases.qr ELSE NULL END,
+        acquired_at = CASE WHEN session_leases.owner_id = EXCLUDED.owner_id THEN session_leases.acquired_at ELSE EXCLUDED.acquired_at END,
+        owner_id = EXCLUDED.owner_id,
+        expires_at = EXCLUDED.expires_at
+      WHERE session_leases.owner_id = EXCLUDED.owner_id OR session_leases.expires_at < EXCLUDED.acquired_at
+    ` : `
+      INSERT INTO session_leases (session_id, owner_id, expires_at, acquired_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(session_id) DO UPDATE SET
+        qr = CASE WHEN session_leases.owner_id = excluded.owner_id THEN session_leases.qr ELSE NULL END,
+        acquired_at = CASE WHEN session_leases.owner_id = excluded.owner_id THEN session_leases.acquired_at ELSE excluded.acquired_at END,
+        owner_id = excluded.owner_id,
+        expires_at = excluded.expires_at
+      WHERE session_leases.owner_id = excluded.owner_id OR session_leases.expires_at < excluded.acquired_at
+    `, [sessionId, ownerId, expiresAt, now]);
+  },
+
+  renew: async (ownerId, sessionIds, expiresAt) => {
+    if (sessionIds.length === 0) return;
+
+    const placeholders = sessionIds.map((_, i) => (isPostgres ? `$${i + 3}` : '?')).join(', ');
+    await query(
+      isPostgres
+        ? `UPDATE session_leases SET expires_at = $1 WHERE owner_id = $2 AND session_id IN (${placeholders})`
+        : `UPDATE session_leases SET expires_at = ? WHERE owner_id = ? AND session_id IN (${placeholders})`,
+      [expiresAt, ownerId, ...sessionIds]
+    );
+  },
+
+  release: async (sessionId, ownerId) => {
+    await query(
+      isPostgres
+        ? `DELETE FROM session_leases WHERE session_id = $1 AND owner_id = $2`
+        : `DELETE FROM session_leases WHERE session_id = ? AND owner_id = ?`,
+      [sessionId, ownerId]
+    );
+  },
+
+  releaseAll: async (ownerId) => {
+    await query(
+      `DELETE FROM session_leases WHERE owner_id = ${isPostgres ? '$1' : '?'}`,
+      [ownerId]
+    );
+  },
+
+  // Tira a sessão de outro dono: ele deixa de renovar e encerra o socket; ninguém assume antes de expiresAt
+  revoke: async (sessionId, ownerId, revokedOwnerId, expiresAt) => {
+    await query(
+      isPostgres
+        ? `UPDATE session_leases SET owner_id = $1, expires_at = $2, qr = NULL, qr_updated_at = NULL WHERE session_id = $3 AND owner_id <> $4`
+        : `UPDATE session_leases SET owner_id = ?, expires_at = ?, qr = NULL, qr_updated_at = NULL WHERE session_id = ? AND owner_id <> ?`,
+      [revokedOwnerId, expiresAt, sessionId, ownerId]
+    );
+  },
+
+  saveQr: async (sessionId, ownerId, qr, updatedAt) => {
+    await query(
+      isPostgres
+        ? `UPDATE session_leases SET qr = $1, qr_updated_at = $2 WHERE session_id = $3 AND owner_id = $4`
+        : `UPDATE session_leases SET qr = ?, qr_updated_at = ? WHERE session_id = ? AND owner_id = ?`,
+      [qr, updatedAt, sessionId, ownerId]
+    );
+  },
+
+  // Instâncias que deveriam estar conectadas mas não têm nenhum processo cuidando delas
+  findOrphanedInstances: async (now) => {
+    const result = await query(`
+      SELECT i.* FROM instances i
+      LEFT JOIN session_leases l ON l.session_id = i.session_id
+      WHERE i.status IN ('connected', 'connecting')
+        AND (l.session_id IS NULL OR l.expires_at < ${isPostgres ? '$1' : '?'})
+    `, [now]);
+    return result.rows;
   }
 };
 
-export { query, isPostgres };
+export { query, transaction, closeDatabase, isPostgres };
 export default db;
@@ -1,39 +1,244 @@
 import jwt from 'jsonwebtoken';
 import { logger } from '../config/logger.js';
+import { userQueries } from '../db/database.js';
+import apiKeyService from '../services/apiKeyService.js';
+import sessionService from '../services/sessionService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'oregon-secret-key-change-in-production';
 
+// Validade do token de acesso; a sessão é mantida pelo refresh token (ver sessionService)
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  logger.warn('JWT_SECRET não definido - usando chave padrão (inseguro em produção)');
+}
+
+/**
+ * Extrai o token JWT do cookie `token` ou do header `Authorization: Bearer`
+ */
+export function extractToken(req) {
+  const header = req.headers?.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    const token = header.slice(7).trim();
+    if (token && token !== 'null' && token !== 'undefined') {
+      return token;
+    }
+  }
+
+  return req.cookies?.token || null;
+}
+
+/**
+ * Valida um token JWT e retorna o payload do usuário
+ * Lança erro se o token estiver expirado ou adulterado
+ */
+export function verifyToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.purpose) {
+    throw new Error('Token de uso restrito');
+  }
+
+  return {
+    id: payload.id,
+    email: payload.email,
+    name: payload.name,
+    sessionId: payload.sid,
+    twoFactorSetupRequired: !!payload.tfa_setup
+  };
+}
+
+/**
+ * Extrai a chave de API do header `X-API-Key` ou `Authorization: Bearer ork_...`
+ */
+export function extractApiKey(req) {
+  const headerKey = req.headers?.['x-api-key'];
+  if (headerKey) return headerKey;
+
+  const token = extractToken(req);
+  return apiKeyService.isApiKey(token) ? token : null;
+}
+
+/**
+ * Autentica via chave de API, definindo req.user e req.apiKey
+ */
+async function authenticateApiKey(rawKey, req, res, next) {
+  try {
+    const apiKey = await apiKeyService.verify(rawKey, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Chave de API inválida ou revogada' });
+    }
+
+    const user = await userQueries.findById(apiKey.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Chave de API inválida ou revogada' });
+    }
+
+    req.user = { id: user.id, email: user.email, name: user.name };
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error(`Erro ao validar chave de API: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+}
+
+/**
+ * Valida o JWT da sessão do dashboard
+ * Com `allowTwoFactorSetup`, aceita sessões que ainda precisam ativar a verificação em duas etapas
+ */
+async function authenticateSession(req, res, next, { allowTwoFactorSetup = false } = {}) {
+  const rawKey = extractApiKey(req);
+  if (rawKey) {
+    return authenticateApiKey(rawKey, req, res, next);
+  }
+
+  const token = extractToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Autenticação necessária', code: 'token_missing' });
+  }
+
+  let user;
+  try {
+    user = verifyToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Sessão expirada. Faça login novamente.', code: 'token_expired' });
+    }
+
+    logger.warn(`Token inválido recebido: ${error.message}`);
+    return res.status(401).json({ error: 'Token inválido', code: 'token_invalid' });
+  }
+
+  try {
+    // Tokens sem sessão (emitidos antes das sessões revogáveis) não são mais aceitos
+    if (!(await sessionService.isActive(user.sessionId))) {
+      return res.status(401).json({ error: 'Sessão encerrada. Faça login novamente.', code: 'session_revoked' });
+    }
+  } catch (error) {
+    logger.error(`Erro ao validar sessão: ${error.message}`);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
+  if (user.twoFactorSetupRequired && !allowTwoFactorSetup) {
+    return res.status(403).json({
+      error: 'Sua organização exige verificação em duas etapas. Ative-a para continuar.',
+      code: 'two_factor_setup_required'
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
 /**
- * Middleware de autenticação - DESABILITADO (acesso público)
- * Sempre define um usuário padrão e passa para o próximo middleware
+ * Middleware de autenticação
+ * Exige um JWT válido no cookie ou no header Authorization,
+ * ou uma chave de API como alternativa
  */
 export function authenticateToken(req, res, next) {
-  // Usuário padrão fixo - sem autenticação
-  req.user = { id: 1, email: 'usuario@oregon.com', name: 'Usuário' };
+  return authenticateSession(req, res, next);
+}
+
+/**
+ * Igual a authenticateToken, mas libera quem ainda precisa ativar a verificação
+ * em duas etapas (rotas de cadastro do 2FA e /me)
+ */
+export function authenticateAllowingTwoFactorSetup(req, res, next) {
+  return authenticateSession(req, res, next, { allowTwoFactorSetup: true });
+}
+
+/**
+ * Exige que a chave de API tenha ao menos um dos escopos informados
+ * Sessões do dashboard (JWT) não são limitadas por escopo
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    if (scopes.some(scope => req.apiKey.scopes.includes(scope))) {
+      return next();
+    }
+
+    return res.status(403).json({ error: `Chave de API sem o escopo necessário (${scopes.join(' ou ')})` });
+  };
+}
+
+/**
+ * Bloqueia chaves de API em rotas exclusivas do dashboard
+ */
+export function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'Esta rota não aceita chaves de API' });
+  }
   next();
 }
 
 /**
- * Gera um token JWT (mantido para compatibilidade)
+ * Gera um token de acesso JWT vinculado à sessão de login
+ * `twoFactorSetupRequired` restringe o token às rotas de ativação do 2FA
  */
-export function generateToken(user) {
+export function generateToken(user, sessionId, { twoFactorSetupRequired = false } = {}) {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
-      name: user.name
+      name: user.name,
+      sid: sessionId,
+      ...(twoFactorSetupRequired ? { tfa_setup: true } : {})
     },
     JWT_SECRET,
-    { expiresIn: '7d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 }
 
+/**
+ * Token temporário entre a senha correta e o código de verificação em duas etapas
+ */
+export function generateTwoFactorChallenge(user) {
+  return jwt.sign({ id: user.id, purpose: 'two_factor' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+/**
+ * Retorna o id do usuário do desafio ou null se inválido/expirado
+ */
+export function verifyTwoFactorChallenge(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === 'two_factor' ? payload.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Middleware opcional - não bloqueia se não tiver token
+ * Define req.user apenas quando o token é válido
  */
 export function optionalAuth(req, res, next) {
-  req.user = { id: 1, email: 'usuario@oregon.com', name: 'Usuário' };
+  const token = extractToken(req);
+  req.user = null;
+
+  if (token) {
+    try {
+      req.user = verifyToken(token);
+    } catch (error) {
+      // Token inválido/expirado: segue como anônimo
+    }
+  }
+
   next();
 }
 
-export default { authenticateToken, generateToken, optionalAuth };
+export default {
+  authenticateToken,
+  authenticateAllowingTwoFactorSetup,
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  optionalAuth,
+  verifyToken,
+  extractToken,
+  requireScope,
+  requireSession
+};
@@ -0,0 +1,106 @@
+import { instanceQueries, contactQueries, organizationQueries, mediaQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Papéis de membro de organização, do menor para o maior privilégio
+ * - viewer: visualiza métricas e conversas
+ * - agent: viewer + envia mensagens
+ * - admin: agent + gerencia conexões e membros
+ * - owner: admin + gerencia administradores e donos
+ */
+export const ROLES = ['viewer', 'agent', 'admin', 'owner'];
+
+/**
+ * Verifica se um papel atinge o papel mínimo exigido
+ */
+export function hasRole(role, minRole) {
+  const level = ROLES.indexOf(role);
+  return level !== -1 && level >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Fábrica de middlewares de autorização
+ * O loader busca o recurso já filtrado pelas organizações do usuário
+ * e retorna { resource, role } ou null quando o usuário não tem acesso
+ */
+function authorize(minRole, loader, notFoundMessage) {
+  return async (req, res, next) => {
+    try {
+      const found = await loader(req);
+      if (!found) {
+        return res.status(404).json({ error: notFoundMessage });
+      }
+
+      if (!hasRole(found.role, minRole)) {
+        return res.status(403).json({ error: 'Permissão insuficiente para esta ação' });
+      }
+
+      req.memberRole = found.role;
+      next();
+    } catch (error) {
+      logger.error(`Erro ao verificar permissões: ${error.message}`);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  };
+}
+
+/**
+ * Exige papel mínimo na organização dona da instância (req.params[param])
+ * Define req.instance
+ */
+export function requireInstanceRole(minRole, param = 'id') {
+  return authorize(minRole, async (req) => {
+    const instance = await instanceQueries.findByIdForMember(req.params[param], req.user.id);
+    if (!instance) return null;
+    req.instance = instance;
+    return { role: instance.member_role };
+  }, 'Instância não encontrada');
+}
+
+/**
+ * Exige papel mínimo na organização dona do contato (req.params[param])
+ * Define req.contact e req.instance
+ */
+export function requireContactRole(minRole, param = 'contactId') {
+  return authorize(minRole, async (req) => {
+    const contact = await contactQueries.findByIdForMember(parseInt(req.params[param]), req.user.id);
+    if (!contact) return null;
+    const instance = await instanceQueries.findByIdForMember(contact.instance_id, req.user.id);
+    if (!instance) return null;
+    req.contact = contact;
+    req.instance = instance;
+    return { role: instance.member_role };
+  }, 'Contato não encontrado');
+}
+
+/**
+ * Exige papel mínimo na organização dona do arquivo de mídia (req.params[param])
+ * Define req.media e req.instance
+ */
+export function requireMediaRole(minRole, param = 'id') {
+  return authorize(minRole, async (req) => {
+    const media = await mediaQueries.findByIdForMember(parseInt(req.params[param]), req.user.id);
+    if (!media) return null;
+    const instance = await instanceQueries.findByIdForMember(media.instance_id, req.user.id);
+    if (!instance) return null;
+    req.media = media;
+    req.instance = instance;
+    return { role: instance.member_role };
+  }, 'Arquivo não encontrado');
+}
+
+/**
+ * Exige papel mínimo na organização (req.params[param])
+ * Define req.organization
+ */
+export function requireOrganizationRole(minRole, param = 'orgId') {
+  return authorize(minRole, async (req) => {
+    const organizationId = parseInt(req.params[param]);
+    const member = await organizationQueries.findMember(organizationId, req.user.id);
+    if (!member) return null;
+    req.organization = await organizationQueries.findById(organizationId);
+    return { role: member.role };
+  }, 'Organização não encontrada');
+}
+
+export default { ROLES, hasRole, requireInstanceRole, requireContactRole, requireMediaRole, requireOrganizationRole };
@@ -0,0 +1,129 @@
+import { verifyToken } from './auth.js';
+import { hasRole } from './rbac.js';
+import { instanceQueries } from '../db/database.js';
+import connectTokenService from '../services/connectTokenService.js';
+import sessionService from '../services/sessionService.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Lê um cookie do header da requisição de handshake
+ */
+function readCookie(cookieHeader, name) {
+  if (!cookieHeader) return null;
+
+  for (const part of cookieHeader.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware de handshake do Socket.IO
+ * Aceita o JWT do dashboard (auth.token ou cookie `token`)
+ * ou o token de um link público de conexão (auth.connectToken)
+ * Define socket.data.user ou socket.data.connectInstanceId
+ */
+export async function authenticateSocket(socket, next) {
+  const { token, connectToken } = socket.handshake.auth || {};
+
+  if (connectToken) {
+    try {
+      // Só valida: o uso é consumido quando o pareamento conclui, então recarregar a página ou reconectar não conta
+      const link = await connectTokenService.validate(connectToken);
+      if (!link) {
+        logger.warn(`Socket ${socket.id} com link de conexão inválido ou expirado`);
+        return next(new Error('unauthorized'));
+      }
+
+      socket.data.connectToken = connectToken;
+      socket.data.connectLinkId = link.id;
+      socket.data.connectInstanceId = link.instance_id;
+      return next();
+    } catch (error) {
+      logger.error(`Erro ao validar link de conexão do socket ${socket.id}: ${error.message}`);
+      return next(new Error('unauthorized'));
+    }
+  }
+
+  const jwtToken = token || readCookie(socket.handshake.headers?.cookie, 'token');
+  if (!jwtToken) {
+    return next(new Error('unauthorized'));
+  }
+
+  try {
+    const user = verifyToken(jwtToken);
+    if (user.twoFactorSetupRequired || !(await sessionService.isActive(user.sessionId))) {
+      logger.warn(`Socket ${socket.id} sem sessão válida`);
+      return next(new Error('unauthorized'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    logger.warn(`Socket ${socket.id} com token inválido: ${error.message}`);
+    next(new Error('unauthorized'));
+  }
+}
+
+/**
+ * Verifica se o socket pode acompanhar a instância
+ * Retorna a instância ou null
+ */
+export async function authorizeSocketInstance(socket, instanceId) {
+  if (!instanceId) return null;
+
+  if (socket.data.connectInstanceId) {
+    if (socket.data.connectInstanceId !== instanceId) return null;
+
+    // Revalida a cada pedido: o link pode ter sido revogado, expirado ou esgotado
+    const link = await connectTokenService.validate(socket.data.connectToken, instanceId);
+    if (!link) return null;
+
+    return instanceQueries.findById(instanceId);
+  }
+
+  if (socket.data.user) {
+    return instanceQueries.findByIdForMember(instanceId, socket.data.user.id);
+  }
+
+  return null;
+}
+
+/**
+ * Indica se o socket pode receber o QR Code e o código de pareamento da instância:
+ * links de conexão da própria instância e membros que podem conectá-la (admin ou dono)
+ */
+export function canPairInstance(socket, instance) {
+  if (socket.data.connectInstanceId) return socket.data.connectInstanceId === instance.id;
+  return hasRole(instance.member_role, 'admin');
+}
+
+/**
+ * Reavalia as salas dos sockets do usuário depois de mudar o papel ou sair da organização
+ * Os sockets deixam as instâncias (ou só o pareamento) que o usuário não pode mais acompanhar
+ */
+export async function reauthorizeUserSockets(io, userId) {
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+
+  for (const socket of sockets) {
+    const instanceIds = [...socket.rooms]
+      .filter(room => room.startsWith('instance:') && !room.endsWith(':pairing'))
+      .map(room => room.slice('instance:'.length));
+
+    for (const instanceId of instanceIds) {
+      const instance = await authorizeSocketInstance(socket, instanceId);
+      if (!instance) {
+        socket.leave(`instance:${instanceId}`);
+        socket.leave(`instance:${instanceId}:pairing`);
+        logger.info(`Socket ${socket.id} removido da instância ${instanceId} (usuário ${userId} sem acesso)`);
+      } else if (!canPairInstance(socket, instance)) {
+        socket.leave(`instance:${instanceId}:pairing`);
+      }
+    }
+  }
+}
+
+export default { authenticateSocket, authorizeSocketInstance, canPairInstance, reauthorizeUserSockets };
@@ -1,22 +1,54 @@
 import { Router } from 'express';
+import multer from 'multer';
 import { instanceQueries } from '../db/database.js';
 import analyticsService from '../services/analyticsService.js';
+import { requireInstanceRole, requireContactRole } from '../middleware/rbac.js';
+import { requireScope } from '../middleware/auth.js';
+import auditService from '../services/auditService.js';
+import connectionHistoryService from '../services/connectionHistoryService.js';
+import mediaService, { MEDIA_MAX_SIZE_MB, SENDABLE_TYPES } from '../services/mediaService.js';
+import { SESSION_OWNED_ELSEWHERE } from '../whatsapp/sessionLease.js';
 import { logger } from '../config/logger.js';
 
 const router = Router();
 
+// Arquivo enviado pelo dashboard: fica em memória só até ir para o WhatsApp e para o armazenamento
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (SENDABLE_TYPES[file.mimetype]) return cb(null, true);
+    const error = new Error(`Tipo de arquivo não permitido: ${file.mimetype}`);
+    error.code = 'UNSUPPORTED_MEDIA_TYPE';
+    cb(error);
+  }
+});
+
+/**
+ * Recebe o campo `file` de um envio multipart; erros de upload viram 400/413/415
+ */
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Arquivo maior que ${MEDIA_MAX_SIZE_MB}MB` });
+    }
+    if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+      return res.status(415).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message || 'Upload inválido' });
+  });
+}
+
 /**
  * GET /api/analytics/dashboard/:instanceId
  */
-router.get('/dashboard/:instanceId', async (req, res) => {
+router.get('/dashboard/:instanceId', requireScope('analytics:read'), requireInstanceRole('viewer', 'instanceId'), async (req, res) => {
   try {
     const { instanceId } = req.params;
     const { startDate, endDate } = req.query;
-
-    const instance = await instanceQueries.findById(instanceId);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
-    }
+    const instance = req.instance;
 
     const metrics = await analyticsService.getDashboardMetrics(instanceId, startDate, endDate);
 
@@ -26,6 +58,10 @@ router.get('/dashboard/:instanceId', async (req, res) => {
         ...metrics.responseTimes,
         avgResponseTimeFormatted: analyticsService.formatTime(metrics.responseTimes.avgResponseTimeSeconds),
         firstResponseTimeFormatted: analyticsService.formatTime(metrics.responseTimes.firstResponseTimeSeconds)
+      },
+      receipts: {
+        ...metrics.receipts,
+        avgTimeToReadFormatted: analyticsService.formatTime(metrics.receipts.avgTimeToReadSeconds)
       }
     };
 
@@ -43,19 +79,63 @@ router.get('/dashboard/:instanceId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/uptime/:instanceId
+ * Disponibilidade, quedas e motivos no período (startDate/endDate, padrão: últimos 30 dias)
+ */
+router.get('/uptime/:instanceId', requireScope('analytics:read'), requireInstanceRole('viewer', 'instanceId'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    if ((startDate && !dateFormat.test(startDate)) || (endDate && !dateFormat.test(endDate))) {
+      return res.status(400).json({ error: 'Datas devem estar no formato YYYY-MM-DD' });
+    }
+
+    const uptime = await connectionHistoryService.getUptimeReport(req.instance, startDate, endDate);
+
+    res.json({
+      instance: {
+        id: req.instance.id,
+        name: req.instance.name,
+        phone: req.instance.phone,
+        status: req.instance.status
+      },
+      uptime
+    });
+  } catch (error) {
+    logger.error(`Erro ao obter disponibilidade: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * GET /api/analytics/groups/:instanceId
+ * Atividade nos grupos no período (startDate/endDate, padrão: hoje)
+ */
+router.get('/groups/:instanceId', requireScope('analytics:read'), requireInstanceRole('viewer', 'instanceId'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+    if ((startDate && !dateFormat.test(startDate)) || (endDate && !dateFormat.test(endDate))) {
+      return res.status(400).json({ error: 'Datas devem estar no formato YYYY-MM-DD' });
+    }
+
+    const activity = await analyticsService.getGroupActivity(req.instance.id, startDate, endDate);
+    res.json({ enabled: !!req.instance.group_sync, ...activity });
+  } catch (error) {
+    logger.error(`Erro ao obter atividade dos grupos: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 /**
  * GET /api/analytics/contacts/:instanceId
  */
-router.get('/contacts/:instanceId', async (req, res) => {
+router.get('/contacts/:instanceId', requireScope('analytics:read'), requireInstanceRole('viewer', 'instanceId'), async (req, res) => {
   try {
     const { instanceId } = req.params;
     const { limit = 50 } = req.query;
 
-    const instance = await instanceQueries.findById(instanceId);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
-    }
-
     const contacts = await analyticsService.getContactsWithPreview(instanceId, parseInt(limit));
     res.json({ contacts });
   } catch (error) {
@@ -67,10 +147,9 @@ router.get('/contacts/:instanceId', async (req, res) => {
 /**
  * GET /api/analytics/conversation/:contactId
  */
-router.get('/conversation/:contactId', async (req, res) => {
+router.get('/conversation/:contactId', requireScope('analytics:read'), requireContactRole('viewer'), async (req, res) => {
   try {
-    const { contactId } = req.params;
-    const messages = await analyticsService.getConversation(parseInt(contactId));
+    const messages = await analyticsService.getConversation(req.contact.id);
     res.json({ messages });
   } catch (error) {
     logger.error(`Erro ao obter conversa: ${error.message}`);
@@ -81,15 +160,10 @@ router.get('/conversation/:contactId', async (req, res) => {
 /**
  * GET /api/analytics/pending/:instanceId
  */
-router.get('/pending/:instanceId', async (req, res) => {
+router.get('/pending/:instanceId', requireScope('analytics:read'), requireInstanceRole('viewer', 'instanceId'), async (req, res) => {
   try {
     const { instanceId } = req.params;
 
-    const instance = await instanceQueries.findById(instanceId);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
-    }
-
     const pendingContacts = await analyticsService.getPendingContacts(instanceId);
     res.json({
       count: pendingContacts.length,
@@ -104,16 +178,11 @@ router.get('/pending/:instanceId', async (req, res) => {
 /**
  * GET /api/analytics/returning/:instanceId
  */
-router.get('/returning/:instanceId', async (req, res) => {
+router.get('/returning/:instanceId', requireScope('analytics:read'), requireInstanceRole('viewer', 'instanceId'), async (req, res) => {
   try {
     const { instanceId } = req.params;
     const { limit = 50 } = req.query;
 
-    const instance = await instanceQueries.findById(instanceId);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
-    }
-
     const returningContacts = await analyticsService.getReturningContacts(instanceId, parseInt(limit));
     res.json({
       count: returningContacts.length,
@@ -128,9 +197,9 @@ router.get('/returning/:instanceId', async (req, res) => {
 /**
  * GET /api/analytics/summary
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', requireScope('analytics:read'), async (req, res) => {
   try {
-    const instances = await instanceQueries.findAll();
+    const instances = await instanceQueries.findByMemberId(req.user.id);
 
     const summary = await Promise.all(instances.map(async (inst) => {
       const metrics = await analyticsService.getDashboardMetrics(inst.id);
@@ -160,52 +229,92 @@ router.get('/summary', async (req, res) => {
 
 /**
  * POST /api/analytics/send/:contactId
+ * JSON { message } ou multipart com `file` (imagem, vídeo, áudio ou documento) e `message` como legenda
  */
-router.post('/send/:contactId', async (req, res) => {
+router.post('/send/:contactId', requireScope('messages:send'), requireContactRole('agent'), receiveFile, async (req, res) => {
   try {
-    const { contactId } = req.params;
-    const { message } = req.body;
+    const { contact, instance, file } = req;
+    const rawMessage = req.body?.message ?? '';
 
-    if (!message || !message.trim()) {
-      return res.status(400).json({ error: 'Mensagem é obrigatória' });
+    if (typeof rawMessage !== 'string') {
+      return res.status(400).json({ error: 'Mensagem deve ser um texto' });
     }
 
-    const contact = await analyticsService.getContactById(parseInt(contactId));
-    if (!contact) {
-      return res.status(404).json({ error: 'Contato não encontrado' });
+    const message = rawMessage.trim();
+    if (!message && !file) {
+      return res.status(400).json({ error: 'Mensagem é obrigatória' });
     }
 
-    const instance = await instanceQueries.findById(contact.instanceId);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
+    const mediaType = file ? SENDABLE_TYPES[file.mimetype] : 'text';
+    if (mediaType === 'audio' && message) {
+      return res.status(400).json({ error: 'Áudios não aceitam legenda' });
     }
 
     if (instance.status !== 'connected') {
       return res.status(400).json({ error: 'WhatsApp não está conectado' });
     }
 
+    // O multipart chega com o nome do arquivo em latin1
+    const fileName = file ? Buffer.from(file.originalname, 'latin1').toString('utf8') : null;
+
     const sessionManager = (await import('../whatsapp/sessionManager.js')).default;
-    const result = await sessionManager.sendMessage(instance.session_id, contact.phone, message.trim());
+    const result = await sessionManager.sendMessage(instance.session_id, contact.phone, message, file ? {
+      type: mediaType,
+      buffer: file.buffer,
+      mimetype: file.mimetype,
+      fileName
+    } : null);
 
-    await analyticsService.processMessage(instance.id, contact.phone, {
+    const { messageRowId } = await analyticsService.processMessage(instance.id, contact.phone, {
       messageId: result.messageId,
       fromMe: true,
-      body: message.trim(),
+      body: result.body,
       timestamp: result.timestamp,
       contactName: null,
-      mediaType: 'text'
-    });
+      mediaType
+    }, contact.conversation_type);
+
+    // Guarda uma cópia do arquivo para exibir na conversa
+    let media = null;
+    if (file) {
+      try {
+        media = await mediaService.save(instance, messageRowId, {
+          mediaType,
+          mimetype: file.mimetype,
+          fileName,
+          buffer: file.buffer
+        });
+      } catch (error) {
+        logger.error(`Erro ao guardar mídia enviada: ${error.message}`);
+      }
+    }
 
     logger.info(`Mensagem enviada para ${contact.phone} via API`);
+    await auditService.record(req, 'message.send', {
+      organizationId: instance.organization_id,
+      targetType: 'contact',
+      targetId: contact.id,
+      details: {
+        instanceId: instance.id,
+        phone: contact.phone,
+        messageId: result.messageId,
+        mediaType,
+        ...(file && { fileName, size: file.size, mimetype: file.mimetype }),
+        length: message.length,
+        preview: message.substring(0, 80)
+      }
+    });
 
     res.json({
       success: true,
       messageId: result.messageId,
-      timestamp: result.timestamp
+      timestamp: result.timestamp,
+      body: result.body,
+      media: media && { ...media, url: `/api/media/${media.id}` }
     });
   } catch (error) {
     logger.error(`Erro ao enviar mensagem: ${error.message}`);
-    res.status(500).json({ error: error.message || 'Erro ao enviar mensagem' });
+    res.status(error.code === SESSION_OWNED_ELSEWHERE ? 409 : 500).json({ error: error.message || 'Erro ao enviar mensagem' });
   }
 });
 
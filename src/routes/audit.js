@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import { organizationQueries } from '../db/database.js';
+import { hasRole } from '../middleware/rbac.js';
+import auditService from '../services/auditService.js';
+import { logger } from '../config/logger.js';
+
+const router = Router();
+
+/**
+ * GET /api/audit
+ * Filtros: organizationId, action (prefixo), actorUserId, targetType, targetId,
+ * startDate, endDate (YYYY-MM-DD), limit, offset
+ * Admins veem as ações das suas organizações; todos veem as próprias ações
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { organizationId, action, actorUserId, targetType, targetId, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const organizations = await organizationQueries.findByUserId(req.user.id);
+    let organizationIds = organizations.filter(o => hasRole(o.role, 'admin')).map(o => o.id);
+
+    if (organizationId) {
+      const requested = parseInt(organizationId);
+      if (!organizationIds.includes(requested)) {
+        return res.status(403).json({ error: 'Permissão insuficiente para esta organização' });
+      }
+      organizationIds = [requested];
+    }
+
+    const entries = await auditService.search({
+      organizationIds,
+      userId: req.user.id,
+      action: action || null,
+      actorUserId: actorUserId ? parseInt(actorUserId) : null,
+      targetType: targetType || null,
+      targetId: targetId || null,
+      from: startDate ? `${startDate} 00:00:00` : null,
+      to: endDate ? `${endDate} 23:59:59` : null,
+      limit,
+      offset
+    });
+
+    res.json({ entries, limit, offset });
+  } catch (error) {
+    logger.error(`Erro ao consultar auditoria: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+export default router;
@@ -1,11 +1,115 @@
 import { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import { userQueries } from '../db/database.js';
-import { generateToken, authenticateToken } from '../middleware/auth.js';
+import crypto from 'crypto';
+import rateLimit from 'express-rate-limit';
+import { userQueries, organizationQueries, passwordResetQueries } from '../db/database.js';
+import {
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  authenticateToken,
+  authenticateAllowingTwoFactorSetup,
+  requireSession,
+  optionalAuth
+} from '../middleware/auth.js';
+import apiKeyService, { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import mailService from '../services/mailService.js';
+import auditService from '../services/auditService.js';
+import sessionService, { REFRESH_TOKEN_DAYS } from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
 import { logger } from '../config/logger.js';
 
 const router = Router();
 
+const RESET_TOKEN_TTL_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Limite mais restrito para pedidos de redefinição de senha
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5
+});
+
+// Limite para tentativas de código de verificação em duas etapas
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10
+});
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// O refresh token só trafega nas rotas de autenticação
+const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const SESSION_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+};
+
+function setSessionCookies(res, accessToken, refreshToken) {
+  res.cookie('token', accessToken, SESSION_COOKIE_OPTIONS);
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...SESSION_COOKIE_OPTIONS, path: REFRESH_COOKIE_PATH });
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie('token');
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+}
+
+/**
+ * Usuário de organização que exige 2FA, mas que ainda não o ativou
+ */
+async function needsTwoFactorSetup(userId) {
+  if (await twoFactorService.isEnabled(userId)) return false;
+  return organizationQueries.requiresTwoFactor(userId);
+}
+
+/**
+ * Abre uma sessão de login e define os cookies
+ */
+async function startSession(req, res, user) {
+  const { sessionId, refreshToken } = await sessionService.create(user.id, {
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip
+  });
+
+  const twoFactorSetupRequired = await needsTwoFactorSetup(user.id);
+  const token = generateToken(user, sessionId, { twoFactorSetupRequired });
+  setSessionCookies(res, token, refreshToken);
+  return { token, twoFactorSetupRequired };
+}
+
+/**
+ * Finaliza o login (após senha e, se ativo, código de 2FA) e responde com a sessão
+ */
+async function completeLogin(req, res, user, details = null) {
+  const { token, twoFactorSetupRequired } = await startSession(req, res, user);
+
+  logger.info(`Login realizado: ${user.email}`);
+  await auditService.record(req, 'auth.login', {
+    targetType: 'user',
+    targetId: user.id,
+    details,
+    actor: { actorUserId: user.id, actorType: 'user', actorLabel: user.email }
+  });
+
+  res.json({
+    message: 'Login realizado com sucesso',
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      company: user.company
+    },
+    token,
+    twoFactorSetupRequired
+  });
+}
+
 /**
  * POST /api/auth/register
  */
@@ -25,6 +129,10 @@ router.post('/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     const result = await userQueries.create(email, hashedPassword, name, company || null);
 
+    // Workspace pessoal: o usuário recém-cadastrado é o dono
+    const organization = await organizationQueries.create(company || name);
+    await organizationQueries.addMember(organization.id, result.id, 'owner');
+
     const user = {
       id: result.id,
       email,
@@ -32,14 +140,14 @@ router.post('/register', async (req, res) => {
       company
     };
 
-    const token = generateToken(user);
+    const { token } = await startSession(req, res, user);
 
     logger.info(`Novo usuário registrado: ${email}`);
-
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000
+    await auditService.record(req, 'auth.register', {
+      organizationId: organization.id,
+      targetType: 'user',
+      targetId: user.id,
+      actor: { actorUserId: user.id, actorType: 'user', actorLabel: email }
     });
 
     res.status(201).json({
@@ -65,64 +173,537 @@ router.post('/login', async (req, res) => {
     }
 
     const user = await userQueries.findByEmail(email);
-    if (!user) {
-      return res.status(401).json({ error: 'Credenciais inválidas' });
-    }
+    const validPassword = user ? await bcrypt.compare(password, user.password) : false;
 
-    const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
+      await auditService.record(req, 'auth.login_failed', {
+        targetType: 'user',
+        targetId: user?.id,
+        actor: { actorUserId: null, actorType: 'anonymous', actorLabel: email }
+      });
       return res.status(401).json({ error: 'Credenciais inválidas' });
     }
 
-    const token = generateToken(user);
+    // Com 2FA ativo, a sessão só é aberta em /login/2fa
+    if (user.totp_enabled_at) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    logger.error(`Erro no login: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Segunda etapa do login: código do app autenticador ou código de recuperação
+ */
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Verificação expirada. Faça login novamente.' });
+    }
+
+    if ((!code && !recoveryCode) || (recoveryCode && typeof recoveryCode !== 'string')) {
+      return res.status(400).json({ error: 'Informe o código do app autenticador ou um código de recuperação' });
+    }
 
-    logger.info(`Login realizado: ${email}`);
+    const profile = await userQueries.findById(userId);
+    const valid = profile ? await twoFactorService.verify(userId, { code, recoveryCode }) : false;
 
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 60 * 60 * 1000
-    });
+    if (!valid) {
+      await auditService.record(req, 'auth.two_factor_failed', {
+        targetType: 'user',
+        targetId: userId,
+        actor: { actorUserId: null, actorType: 'anonymous', actorLabel: profile?.email || null }
+      });
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    await completeLogin(req, res, profile, recoveryCode ? { recoveryCode: true } : null);
+  } catch (error) {
+    logger.error(`Erro na verificação em duas etapas: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Troca o refresh token (cookie) por um novo token de acesso e um novo refresh token
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const rotated = await sessionService.rotate(req.cookies?.[REFRESH_COOKIE], req.ip);
+    if (!rotated) {
+      // Não limpa os cookies: outra aba pode ter acabado de renovar a mesma sessão
+      return res.status(401).json({ error: 'Sessão expirada. Faça login novamente.', code: 'session_revoked' });
+    }
+
+    const user = await userQueries.findById(rotated.session.user_id);
+    if (!user) {
+      return res.status(401).json({ error: 'Sessão expirada. Faça login novamente.', code: 'session_revoked' });
+    }
+
+    const twoFactorSetupRequired = await needsTwoFactorSetup(user.id);
+    const token = generateToken(user, rotated.session.id, { twoFactorSetupRequired });
+    setSessionCookies(res, token, rotated.refreshToken);
 
     res.json({
-      message: 'Login realizado com sucesso',
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
         company: user.company
       },
-      token
+      token,
+      twoFactorSetupRequired
     });
   } catch (error) {
-    logger.error(`Erro no login: ${error.message}`);
+    logger.error(`Erro ao renovar sessão: ${error.message}`);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 /**
  * POST /api/auth/logout
+ * Encerra a sessão atual, mesmo com o token de acesso já expirado
  */
-router.post('/logout', (req, res) => {
-  res.clearCookie('token');
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    const session = await sessionService.findByRefreshToken(req.cookies?.[REFRESH_COOKIE]);
+    const sessionId = req.user?.sessionId || session?.id;
+    const userId = req.user?.id || session?.user_id;
+
+    if (sessionId && userId && await sessionService.revoke(sessionId, userId)) {
+      await auditService.record(req, 'auth.logout', {
+        targetType: 'session',
+        targetId: sessionId,
+        actor: req.user ? null : { actorUserId: userId, actorType: 'user', actorLabel: null }
+      });
+    }
+  } catch (error) {
+    logger.error(`Erro ao encerrar sessão: ${error.message}`);
+  }
+
+  clearSessionCookies(res);
   res.json({ message: 'Logout realizado com sucesso' });
 });
 
 /**
  * GET /api/auth/me
  */
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateAllowingTwoFactorSetup, async (req, res) => {
   try {
     const user = await userQueries.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
-    res.json({ user });
+    const organizations = await organizationQueries.findByUserId(req.user.id);
+
+    res.json({ user, organizations, twoFactorSetupRequired: !!req.user.twoFactorSetupRequired });
   } catch (error) {
     logger.error(`Erro ao buscar usuário: ${error.message}`);
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Sempre responde igual para não revelar quais emails estão cadastrados
+ */
+router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email) {
+      return res.status(400).json({ error: 'Email é obrigatório' });
+    }
+
+    // O link nunca é montado a partir do Host do pedido (forjável): sem APP_URL e transporte não há envio
+    const appUrl = process.env.APP_URL?.replace(/\/+$/, '');
+    if (!appUrl || !mailService.isConfigured()) {
+      logger.error('Redefinição de senha indisponível: configure APP_URL e MAIL_TRANSPORT');
+      return res.status(503).json({ error: 'Redefinição de senha por email indisponível. Contate o administrador.' });
+    }
+
+    const user = await userQueries.findByEmail(email);
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+      await passwordResetQueries.invalidateForUser(user.id);
+      await passwordResetQueries.create(user.id, hashResetToken(token), expiresAt, req.ip);
+
+      const resetLink = `${appUrl}/?reset_token=${token}`;
+
+      await mailService.sendPasswordReset(user, resetLink, RESET_TOKEN_TTL_MINUTES);
+
+      logger.info(`Redefinição de senha solicitada: ${email}`);
+      await auditService.record(req, 'auth.password_reset_requested', {
+        targetType: 'user',
+        targetId: user.id,
+        actor: { actorUserId: null, actorType: 'anonymous', actorLabel: email }
+      });
+    }
+
+    res.json({ message: 'Se o email estiver cadastrado, você receberá um link para redefinir a senha.' });
+  } catch (error) {
+    logger.error(`Erro ao solicitar redefinição de senha: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({ error: 'Token e nova senha são obrigatórios' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter no mínimo ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const resetToken = await passwordResetQueries.findByHash(hashResetToken(token));
+    const isExpired = resetToken && new Date(resetToken.expires_at).getTime() < Date.now();
+
+    if (!resetToken || resetToken.used_at || isExpired) {
+      return res.status(400).json({ error: 'Link de redefinição inválido ou expirado' });
+    }
+
+    // Marca como usado antes de trocar a senha (uso único): só um pedido consegue
+    if (!(await passwordResetQueries.markUsed(resetToken.id))) {
+      return res.status(400).json({ error: 'Link de redefinição inválido ou expirado' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await userQueries.updatePassword(resetToken.user_id, hashedPassword);
+    await sessionService.revokeAll(resetToken.user_id);
+
+    logger.info(`Senha redefinida para usuário ${resetToken.user_id}`);
+    await auditService.record(req, 'auth.password_reset', {
+      targetType: 'user',
+      targetId: resetToken.user_id,
+      actor: { actorUserId: resetToken.user_id, actorType: 'user', actorLabel: null }
+    });
+
+    res.json({ message: 'Senha redefinida com sucesso. Faça login com a nova senha.' });
+  } catch (error) {
+    logger.error(`Erro ao redefinir senha: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ */
+router.post('/change-password', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Senha atual e nova senha são obrigatórias' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `A senha deve ter no mínimo ${MIN_PASSWORD_LENGTH} caracteres` });
+    }
+
+    const profile = await userQueries.findById(req.user.id);
+    const user = profile ? await userQueries.findByEmail(profile.email) : null;
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado' });
+    }
+
+    const validPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Senha atual incorreta' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await userQueries.updatePassword(user.id, hashedPassword);
+    await passwordResetQueries.invalidateForUser(user.id);
+    await sessionService.revokeAll(user.id, req.user.sessionId);
+
+    logger.info(`Senha alterada: ${user.email}`);
+    await auditService.record(req, 'auth.password_change', { targetType: 'user', targetId: user.id });
+
+    res.json({ message: 'Senha alterada com sucesso' });
+  } catch (error) {
+    logger.error(`Erro ao alterar senha: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ */
+router.get('/2fa', authenticateAllowingTwoFactorSetup, requireSession, async (req, res) => {
+  try {
+    res.json(await twoFactorService.getStatus(req.user.id));
+  } catch (error) {
+    logger.error(`Erro ao consultar 2FA: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Gera o segredo e o QR Code (otpauth) para o app autenticador
+ */
+router.post('/2fa/setup', authenticateAllowingTwoFactorSetup, requireSession, async (req, res) => {
+  try {
+    if (await twoFactorService.isEnabled(req.user.id)) {
+      return res.status(409).json({ error: 'A verificação em duas etapas já está ativa' });
+    }
+
+    const enrollment = await twoFactorService.startEnrollment(req.user.id);
+    res.json(enrollment);
+  } catch (error) {
+    logger.error(`Erro ao iniciar 2FA: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirma o cadastro com um código do app. Os códigos de recuperação só aparecem nesta resposta
+ */
+router.post('/2fa/enable', authenticateAllowingTwoFactorSetup, requireSession, twoFactorLimiter, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Código inválido. Confira o horário do celular e tente novamente.' });
+    }
+
+    // Novo token sem a restrição de cadastro pendente
+    const token = generateToken(req.user, req.user.sessionId);
+    res.cookie('token', token, SESSION_COOKIE_OPTIONS);
+
+    logger.info(`2FA ativado: ${req.user.email}`);
+    await auditService.record(req, 'auth.two_factor_enable', { targetType: 'user', targetId: req.user.id });
+
+    res.json({
+      message: 'Verificação em duas etapas ativada. Guarde os códigos de recuperação em local seguro.',
+      recoveryCodes,
+      token
+    });
+  } catch (error) {
+    logger.error(`Erro ao ativar 2FA: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Confere a senha e um código de 2FA (app ou recuperação) antes de ações sensíveis
+ * Retorna a mensagem de erro ou null
+ */
+async function checkPasswordAndCode(userId, { password, code, recoveryCode }) {
+  const profile = await userQueries.findById(userId);
+  const user = profile ? await userQueries.findByEmail(profile.email) : null;
+
+  if (!user || typeof password !== 'string' || !password || !(await bcrypt.compare(password, user.password))) {
+    return 'Senha incorreta';
+  }
+
+  if (!(await twoFactorService.verify(userId, { code, recoveryCode }))) {
+    return 'Código inválido';
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/auth/2fa/disable
+ */
+router.post('/2fa/disable', authenticateToken, requireSession, twoFactorLimiter, async (req, res) => {
+  try {
+    if (!(await twoFactorService.isEnabled(req.user.id))) {
+      return res.status(400).json({ error: 'A verificação em duas etapas não está ativa' });
+    }
+
+    if (await organizationQueries.requiresTwoFactor(req.user.id)) {
+      return res.status(403).json({ error: 'Uma das suas organizações exige verificação em duas etapas' });
+    }
+
+    const error = await checkPasswordAndCode(req.user.id, req.body);
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    logger.info(`2FA desativado: ${req.user.email}`);
+    await auditService.record(req, 'auth.two_factor_disable', { targetType: 'user', targetId: req.user.id });
+
+    res.json({ message: 'Verificação em duas etapas desativada' });
+  } catch (error) {
+    logger.error(`Erro ao desativar 2FA: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Gera novos códigos de recuperação, invalidando os anteriores
+ */
+router.post('/2fa/recovery-codes', authenticateToken, requireSession, twoFactorLimiter, async (req, res) => {
+  try {
+    if (!(await twoFactorService.isEnabled(req.user.id))) {
+      return res.status(400).json({ error: 'A verificação em duas etapas não está ativa' });
+    }
+
+    const error = await checkPasswordAndCode(req.user.id, req.body);
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+    await auditService.record(req, 'auth.recovery_codes_regenerate', { targetType: 'user', targetId: req.user.id });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    logger.error(`Erro ao gerar códigos de recuperação: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Sessões de login ativas do usuário (dispositivo, IP e último acesso)
+ */
+router.get('/sessions', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const sessions = await sessionService.list(req.user.id, req.user.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    logger.error(`Erro ao listar sessões: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    const revoked = await sessionService.revoke(sessionId, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    await auditService.record(req, 'session.revoke', { targetType: 'session', targetId: sessionId });
+
+    if (sessionId === req.user.sessionId) {
+      clearSessionCookies(res);
+    }
+
+    res.json({ message: 'Sessão encerrada' });
+  } catch (error) {
+    logger.error(`Erro ao encerrar sessão: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Encerra todas as outras sessões do usuário
+ */
+router.delete('/sessions', authenticateToken, requireSession, async (req, res) => {
+  try {
+    await sessionService.revokeAll(req.user.id, req.user.sessionId);
+    await auditService.record(req, 'session.revoke_all', { targetType: 'user', targetId: req.user.id });
+
+    res.json({ message: 'Todas as outras sessões foram encerradas' });
+  } catch (error) {
+    logger.error(`Erro ao encerrar sessões: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * O segredo só é retornado nesta resposta
+ */
+router.post('/api-keys', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Nome é obrigatório' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+      return res.status(400).json({ error: `Escopos inválidos. Use: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    const days = expiresInDays ? parseInt(expiresInDays) : null;
+    if (expiresInDays && (!days || days < 1)) {
+      return res.status(400).json({ error: 'expiresInDays deve ser um número positivo' });
+    }
+
+    const apiKey = await apiKeyService.create(req.user.id, name.trim(), [...new Set(scopes)], days);
+    await auditService.record(req, 'api_key.create', {
+      targetType: 'api_key',
+      targetId: apiKey.id,
+      details: { name: name.trim(), keyPrefix: apiKey.keyPrefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'Chave criada. Guarde-a agora: ela não será exibida novamente.',
+      apiKey
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar chave de API: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * GET /api/auth/api-keys
+ */
+router.get('/api-keys', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.list(req.user.id);
+    res.json({ apiKeys, availableScopes: API_KEY_SCOPES });
+  } catch (error) {
+    logger.error(`Erro ao listar chaves de API: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ */
+router.delete('/api-keys/:id', authenticateToken, requireSession, async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revoke(parseInt(req.params.id), req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Chave não encontrada' });
+    }
+
+    await auditService.record(req, 'api_key.revoke', { targetType: 'api_key', targetId: req.params.id });
+
+    res.json({ message: 'Chave revogada' });
+  } catch (error) {
+    logger.error(`Erro ao revogar chave de API: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
 export default router;
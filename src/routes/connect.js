@@ -1,30 +1,32 @@
 import { Router } from 'express';
 import { instanceQueries } from '../db/database.js';
 import { logger } from '../config/logger.js';
-import crypto from 'crypto';
+import { authenticateToken, requireScope } from '../middleware/auth.js';
+import { requireInstanceRole } from '../middleware/rbac.js';
+import auditService from '../services/auditService.js';
+import connectTokenService, { DEFAULT_CONNECT_TOKEN_HOURS, DEFAULT_CONNECT_TOKEN_MAX_USES } from '../services/connectTokenService.js';
 
 const router = Router();
 
-function generateConnectionToken(instanceId, salt) {
-  const payload = `${instanceId}:${salt}:${Date.now()}`;
-  return crypto.createHash('sha256').update(payload).digest('hex');
-}
-
 /**
  * POST /api/connect/:instanceId/connect-link
  */
-router.post('/:instanceId/connect-link', async (req, res) => {
+router.post('/:instanceId/connect-link', authenticateToken, requireScope('instances:manage'), requireInstanceRole('admin', 'instanceId'), async (req, res) => {
   try {
     logger.info(`Requisição de link recebida para instância: ${req.params.instanceId}`);
 
     const { instanceId } = req.params;
+    const { expiresInHours = DEFAULT_CONNECT_TOKEN_HOURS, maxUses = DEFAULT_CONNECT_TOKEN_MAX_USES } = req.body || {};
 
-    const instance = await instanceQueries.findById(instanceId);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
+    const instance = req.instance;
+
+    const hours = parseInt(expiresInHours);
+    const uses = parseInt(maxUses);
+    if (!hours || hours < 1 || hours > 24 * 30 || !uses || uses < 1 || uses > 100) {
+      return res.status(400).json({ error: 'Validade deve ser de 1 a 720 horas e usos de 1 a 100' });
     }
 
-    if (instance.status === 'disconnected') {
+    if (['disconnected', 'qr_required', 'failed'].includes(instance.status)) {
       logger.info(`Iniciando conexão automática para instância: ${instance.name}`);
 
       try {
@@ -39,13 +41,22 @@ router.post('/:instanceId/connect-link', async (req, res) => {
       }
     }
 
-    const token = generateConnectionToken(instanceId, 'public');
+    const { id: linkId, token, expiresAt } = await connectTokenService.create(instanceId, req.user.id, {
+      expiresInHours: hours,
+      maxUses: uses
+    });
 
     const protocol = req.protocol;
     const host = req.get('host');
     const connectLink = `${protocol}://${host}/connect.html?token=${token}&instance=${instanceId}`;
 
     logger.info(`Link de conexão gerado: ${instance.name} (${instanceId})`);
+    await auditService.record(req, 'connect_link.create', {
+      organizationId: instance.organization_id,
+      targetType: 'instance',
+      targetId: instanceId,
+      details: { linkId, expiresAt, maxUses: uses }
+    });
 
     res.json({
       instance: {
@@ -55,9 +66,14 @@ router.post('/:instanceId/connect-link', async (req, res) => {
       },
       connectLink,
       token,
+      link: {
+        id: linkId,
+        expiresAt,
+        maxUses: uses
+      },
       instructions: {
         step1: 'Envie este link para o cliente',
-        step2: 'Cliente escaneia o QR Code',
+        step2: 'Cliente escaneia o QR Code ou digita o código de pareamento',
         step3: 'Conexão aparece no dashboard'
       }
     });
@@ -68,17 +84,70 @@ router.post('/:instanceId/connect-link', async (req, res) => {
 });
 
 /**
- * GET /api/public/instance/:instanceId
+ * GET /api/connect/:instanceId/connect-links
+ * Lista os links gerados para a instância
+ */
+router.get('/:instanceId/connect-links', authenticateToken, requireScope('instances:manage'), requireInstanceRole('admin', 'instanceId'), async (req, res) => {
+  try {
+    const links = await connectTokenService.list(req.instance.id);
+    res.json({ links });
+  } catch (error) {
+    logger.error(`Erro ao listar links de conexão: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * DELETE /api/connect/:instanceId/connect-links/:linkId
+ */
+router.delete('/:instanceId/connect-links/:linkId', authenticateToken, requireScope('instances:manage'), requireInstanceRole('admin', 'instanceId'), async (req, res) => {
+  try {
+    const revoked = await connectTokenService.revoke(parseInt(req.params.linkId), req.instance.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Link não encontrado' });
+    }
+
+    await auditService.record(req, 'connect_link.revoke', {
+      organizationId: req.instance.organization_id,
+      targetType: 'instance',
+      targetId: req.instance.id,
+      details: { linkId: parseInt(req.params.linkId) }
+    });
+
+    res.json({ message: 'Link revogado' });
+  } catch (error) {
+    logger.error(`Erro ao revogar link de conexão: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * GET /api/connect/public/instance/:instanceId?token=
+ * Só consulta: o uso do link é consumido quando o pareamento conclui
  */
 router.get('/public/instance/:instanceId', async (req, res) => {
   try {
     const { instanceId } = req.params;
+    const { token } = req.query;
+
+    const link = await connectTokenService.validate(token, instanceId);
+    if (!link) {
+      return res.status(401).json({ error: 'Link inválido, expirado ou revogado' });
+    }
 
     const instance = await instanceQueries.findById(instanceId);
     if (!instance) {
       return res.status(404).json({ error: 'Instância não encontrada' });
     }
 
+    await auditService.record(req, 'connect_link.open', {
+      organizationId: instance.organization_id,
+      targetType: 'instance',
+      targetId: instanceId,
+      details: { linkId: link.id, useCount: link.use_count },
+      actor: { actorUserId: null, actorType: 'connect_link', actorLabel: `${link.token_prefix}...` }
+    });
+
     res.json({
       id: instance.id,
       name: instance.name,
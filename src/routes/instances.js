@@ -1,27 +1,74 @@
 import { Router } from 'express';
-import { instanceQueries } from '../db/database.js';
-import sessionManager from '../whatsapp/sessionManager.js';
+import { instanceQueries, organizationQueries } from '../db/database.js';
+import sessionManager, { getReconnectPolicy } from '../whatsapp/sessionManager.js';
+import { SESSION_OWNED_ELSEWHERE } from '../whatsapp/sessionLease.js';
+import { requireInstanceRole, hasRole } from '../middleware/rbac.js';
+import { requireScope } from '../middleware/auth.js';
+import auditService from '../services/auditService.js';
+import connectionHistoryService from '../services/connectionHistoryService.js';
+import appStateService from '../services/appStateService.js';
+import mediaService, { MEDIA_RETENTION_DAYS } from '../services/mediaService.js';
+import { clearAppStateKeys } from '../whatsapp/authStateDB.js';
 import { logger } from '../config/logger.js';
 
 const router = Router();
 
-// Usuário padrão fixo (sem autenticação)
-const DEFAULT_USER_ID = 1;
+// Limites aceitos na política de reconexão (inteiros)
+const RECONNECT_POLICY_LIMITS = {
+  maxAttempts: [1, 100],
+  baseDelayMs: [1000, 10 * 60 * 1000],
+  maxDelayMs: [1000, 60 * 60 * 1000],
+  jitterPercent: [0, 100]
+};
+
+/**
+ * Valida a política de reconexão do body. Campos ausentes ou null voltam ao padrão do servidor
+ * Retorna { policy } ou { error }
+ */
+function parseReconnectPolicy(input) {
+  if (input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { error: 'reconnectPolicy deve ser um objeto (ou null para voltar ao padrão)' };
+  }
+
+  const policy = {};
+  for (const [field, [min, max]] of Object.entries(RECONNECT_POLICY_LIMITS)) {
+    const value = input?.[field];
+    if (value === undefined || value === null) {
+      policy[field] = null;
+    } else if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} deve ser um número inteiro de ${min} a ${max}` };
+    } else {
+      policy[field] = value;
+    }
+  }
+
+  const effective = getReconnectPolicy({
+    reconnect_base_delay_ms: policy.baseDelayMs,
+    reconnect_max_delay_ms: policy.maxDelayMs
+  });
+  if (effective.maxDelayMs < effective.baseDelayMs) {
+    return { error: 'maxDelayMs deve ser maior ou igual a baseDelayMs' };
+  }
+
+  return { policy };
+}
 
 /**
  * GET /api/instances
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('analytics:read', 'instances:manage'), async (req, res) => {
   try {
-    // Lista todas as instâncias (sem filtro de usuário)
-    const instances = await instanceQueries.findAll();
+    const instances = await instanceQueries.findByMemberId(req.user.id);
 
     const instancesWithStatus = instances.map(inst => {
       const session = sessionManager.getSession(inst.session_id);
       return {
         ...inst,
-        isConnected: !!session,
-        livePhone: session?.user?.id?.split(':')[0] || inst.phone
+        // Sessões abertas em outra réplica só são conhecidas pelo status salvo
+        isConnected: !!session || (!sessionManager.isManaging(inst.session_id) && inst.status === 'connected'),
+        livePhone: session?.user?.id?.split(':')[0] || inst.phone,
+        reconnectPolicy: getReconnectPolicy(inst),
+        mediaRetentionDays: inst.media_retention_days ?? MEDIA_RETENTION_DAYS
       };
     });
 
@@ -34,23 +81,43 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/instances
+ * Cria na organização informada ou na primeira em que o usuário é admin
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('instances:manage'), async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, organizationId } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Nome é obrigatório' });
     }
 
+    const organizations = await organizationQueries.findByUserId(req.user.id);
+    const organization = organizationId
+      ? organizations.find(o => o.id === parseInt(organizationId))
+      : organizations.find(o => hasRole(o.role, 'admin'));
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organização não encontrada' });
+    }
+
+    if (!hasRole(organization.role, 'admin')) {
+      return res.status(403).json({ error: 'Permissão insuficiente para esta ação' });
+    }
+
     const id = `inst_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const sessionId = `session_${DEFAULT_USER_ID}_${Date.now()}`;
+    const sessionId = `session_${req.user.id}_${Date.now()}`;
 
-    await instanceQueries.create(id, DEFAULT_USER_ID, sessionId, name, null, 'disconnected');
+    await instanceQueries.create(id, req.user.id, sessionId, name, null, 'disconnected', organization.id);
 
     const instance = await instanceQueries.findById(id);
 
     logger.info(`Nova instância criada: ${name} (${id})`);
+    await auditService.record(req, 'instance.create', {
+      organizationId: organization.id,
+      targetType: 'instance',
+      targetId: id,
+      details: { name }
+    });
 
     res.status(201).json({
       message: 'Instância criada com sucesso',
@@ -63,44 +130,197 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * POST /api/instances/:id/connect
+ * PATCH /api/instances/:id
+ * Body (qualquer combinação):
+ * - appStateSync: sincroniza agenda, arquivadas/fixadas e etiquetas do celular
+ * - groupSync: registra as conversas de grupos (fora das métricas de atendimento)
+ * - mediaRetentionDays: dias até apagar os arquivos de mídia (0 = sem limite, null = padrão do servidor)
+ * - reconnectPolicy: { maxAttempts, baseDelayMs, maxDelayMs, jitterPercent } (null = padrão do servidor)
  */
-router.post('/:id/connect', async (req, res) => {
+router.patch('/:id', requireScope('instances:manage'), requireInstanceRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
+    const instance = req.instance;
+    const { appStateSync, groupSync, reconnectPolicy, mediaRetentionDays } = req.body;
 
-    const instance = await instanceQueries.findById(id);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
+    if ([appStateSync, groupSync, reconnectPolicy, mediaRetentionDays].every(value => value === undefined)) {
+      return res.status(400).json({ error: 'Informe appStateSync, groupSync, reconnectPolicy ou mediaRetentionDays' });
+    }
+
+    if (appStateSync !== undefined && typeof appStateSync !== 'boolean') {
+      return res.status(400).json({ error: 'Informe appStateSync (true ou false)' });
     }
 
+    if (groupSync !== undefined && typeof groupSync !== 'boolean') {
+      return res.status(400).json({ error: 'Informe groupSync (true ou false)' });
+    }
+
+    if (mediaRetentionDays !== undefined && mediaRetentionDays !== null &&
+      (!Number.isInteger(mediaRetentionDays) || mediaRetentionDays < 0 || mediaRetentionDays > 3650)) {
+      return res.status(400).json({ error: 'mediaRetentionDays deve ser um número inteiro de 0 a 3650 (ou null para o padrão)' });
+    }
+
+    let policy = null;
+    if (reconnectPolicy !== undefined) {
+      const parsed = parseReconnectPolicy(reconnectPolicy);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      policy = parsed.policy;
+    }
+
+    if (appStateSync !== undefined && appStateSync !== !!instance.app_state_sync) {
+      await instanceQueries.setAppStateSync(id, appStateSync);
+
+      // Desativada: não guarda mais as chaves nem os dados sincronizados
+      if (!appStateSync) {
+        await clearAppStateKeys(instance.session_id);
+        await appStateService.clear(id);
+      }
+
+      // O socket em andamento precisa ser recriado para passar a guardar (ou descartar) as chaves
+      await sessionManager.restartSession(instance.session_id);
+
+      await auditService.record(req, 'instance.app_state_sync', {
+        organizationId: instance.organization_id,
+        targetType: 'instance',
+        targetId: id,
+        details: { name: instance.name, enabled: appStateSync }
+      });
+    }
+
+    // Vale para as próximas mensagens; o histórico de grupos já registrado é mantido
+    if (groupSync !== undefined && groupSync !== !!instance.group_sync) {
+      await instanceQueries.setGroupSync(id, groupSync);
+      await auditService.record(req, 'instance.group_sync', {
+        organizationId: instance.organization_id,
+        targetType: 'instance',
+        targetId: id,
+        details: { name: instance.name, enabled: groupSync }
+      });
+    }
+
+    // Arquivos mais antigos que a nova retenção são apagados na próxima limpeza
+    if (mediaRetentionDays !== undefined && mediaRetentionDays !== instance.media_retention_days) {
+      await instanceQueries.setMediaRetention(id, mediaRetentionDays);
+      await auditService.record(req, 'instance.media_retention', {
+        organizationId: instance.organization_id,
+        targetType: 'instance',
+        targetId: id,
+        details: { name: instance.name, days: mediaRetentionDays }
+      });
+    }
+
+    // Vale a partir da próxima queda (o socket atual não é recriado)
+    if (policy) {
+      await instanceQueries.setReconnectPolicy(id, policy);
+      await auditService.record(req, 'instance.reconnect_policy', {
+        organizationId: instance.organization_id,
+        targetType: 'instance',
+        targetId: id,
+        details: { name: instance.name, ...policy }
+      });
+    }
+
+    const updated = await instanceQueries.findById(id);
+    res.json({
+      message: 'Configuração atualizada',
+      appStateSync: !!updated.app_state_sync,
+      groupSync: !!updated.group_sync,
+      mediaRetentionDays: updated.media_retention_days ?? MEDIA_RETENTION_DAYS,
+      reconnectPolicy: getReconnectPolicy(updated)
+    });
+  } catch (error) {
+    logger.error(`Erro ao atualizar instância: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/instances/:id/connect
+ */
+router.post('/:id/connect', requireScope('instances:manage'), requireInstanceRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const instance = req.instance;
+
     await sessionManager.createSession(instance.session_id, { forceNew: false });
     await instanceQueries.updateStatus('connecting', null, id);
+    await auditService.record(req, 'instance.connect', {
+      organizationId: instance.organization_id,
+      targetType: 'instance',
+      targetId: id,
+      details: { name: instance.name }
+    });
 
     res.json({
       message: 'Conexão iniciada. Aguarde o QR Code.',
       sessionId: instance.session_id
     });
   } catch (error) {
+    if (error.code === SESSION_OWNED_ELSEWHERE) {
+      return res.status(409).json({ error: error.message });
+    }
     logger.error(`Erro ao conectar instância: ${error.message}`);
     res.status(500).json({ error: 'Erro ao iniciar conexão' });
   }
 });
 
 /**
- * POST /api/instances/:id/disconnect
+ * POST /api/instances/:id/retry
+ * Tenta reconectar agora uma conexão que falhou (ou que aguarda a próxima tentativa automática)
  */
-router.post('/:id/disconnect', async (req, res) => {
+router.post('/:id/retry', requireScope('instances:manage'), requireInstanceRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
+    const instance = req.instance;
 
-    const instance = await instanceQueries.findById(id);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
+    if (!['failed', 'connecting'].includes(instance.status)) {
+      return res.status(409).json({ error: 'Esta conexão não está aguardando reconexão' });
     }
 
-    await sessionManager.closeSession(instance.session_id);
+    await sessionManager.createSession(instance.session_id, { forceNew: false });
+    await instanceQueries.updateStatus('connecting', null, id);
+    await connectionHistoryService.record(id, 'reconnect', { reason: 'Nova tentativa manual' });
+    await auditService.record(req, 'instance.retry', {
+      organizationId: instance.organization_id,
+      targetType: 'instance',
+      targetId: id,
+      details: { name: instance.name, previousStatus: instance.status, lastError: instance.last_error || null }
+    });
+
+    res.json({
+      message: 'Nova tentativa de conexão iniciada',
+      sessionId: instance.session_id
+    });
+  } catch (error) {
+    if (error.code === SESSION_OWNED_ELSEWHERE) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error(`Erro ao tentar reconectar instância: ${error.message}`);
+    res.status(500).json({ error: 'Erro ao tentar reconectar' });
+  }
+});
+
+/**
+ * POST /api/instances/:id/disconnect
+ */
+router.post('/:id/disconnect', requireScope('instances:manage'), requireInstanceRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const instance = req.instance;
+
+    await sessionManager.closeSession(instance.session_id, { revoke: true });
     await instanceQueries.updateStatus('disconnected', null, id);
+    if (instance.status === 'connected') {
+      await connectionHistoryService.record(id, 'close', { reason: 'Desconectado manualmente' });
+    }
+    await auditService.record(req, 'instance.disconnect', {
+      organizationId: instance.organization_id,
+      targetType: 'instance',
+      targetId: id,
+      details: { name: instance.name, phone: instance.phone }
+    });
 
     res.json({ message: 'Instância desconectada' });
   } catch (error) {
@@ -112,19 +332,22 @@ router.post('/:id/disconnect', async (req, res) => {
 /**
  * DELETE /api/instances/:id
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('instances:manage'), requireInstanceRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-
-    const instance = await instanceQueries.findById(id);
-    if (!instance) {
-      return res.status(404).json({ error: 'Instância não encontrada' });
-    }
+    const instance = req.instance;
 
     await sessionManager.removeSession(instance.session_id);
+    await mediaService.clear(id);
     await instanceQueries.delete(id);
 
     logger.info(`Instância removida: ${instance.name} (${id})`);
+    await auditService.record(req, 'instance.delete', {
+      organizationId: instance.organization_id,
+      targetType: 'instance',
+      targetId: id,
+      details: { name: instance.name, phone: instance.phone }
+    });
 
     res.json({ message: 'Instância removida com sucesso' });
   } catch (error) {
@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import { requireMediaRole } from '../middleware/rbac.js';
+import { requireScope } from '../middleware/auth.js';
+import mediaService from '../services/mediaService.js';
+import { logger } from '../config/logger.js';
+
+const router = Router();
+
+// Tipos exibidos direto no navegador; o resto (inclusive SVG e HTML) é sempre baixado
+const INLINE_TYPES = /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+/**
+ * GET /api/media/:id
+ * Arquivo de mídia de uma mensagem (imagem, áudio, vídeo, documento ou sticker)
+ */
+router.get('/:id', requireScope('analytics:read'), requireMediaRole('viewer'), async (req, res) => {
+  try {
+    const { media } = req;
+    const mimetype = media.mimetype || 'application/octet-stream';
+    const disposition = INLINE_TYPES.test(mimetype) ? 'inline' : 'attachment';
+    const fileName = media.file_name || `${media.media_type}-${media.id}`;
+
+    const stream = await mediaService.open(media);
+
+    res.setHeader('Content-Type', mimetype);
+    res.setHeader('Content-Length', media.size);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    // O conteúdo vem de terceiros: nunca roda script na origem do dashboard
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    stream.on('error', (error) => {
+      logger.error(`Erro ao ler arquivo de mídia ${media.id}: ${error.message}`);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    // Arquivo já removido pela retenção (ou fora do armazenamento)
+    logger.warn(`Arquivo de mídia ${req.media?.id} indisponível: ${error.message}`);
+    res.status(404).json({ error: 'Arquivo não encontrado' });
+  }
+});
+
+export default router;
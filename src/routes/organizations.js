@@ -0,0 +1,269 @@
+import { Router } from 'express';
+import { organizationQueries, userQueries } from '../db/database.js';
+import { requireOrganizationRole, hasRole, ROLES } from '../middleware/rbac.js';
+import { reauthorizeUserSockets } from '../middleware/socketAuth.js';
+import auditService from '../services/auditService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { logger } from '../config/logger.js';
+
+const router = Router();
+
+/**
+ * GET /api/organizations
+ */
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await organizationQueries.findByUserId(req.user.id);
+    res.json({ organizations });
+  } catch (error) {
+    logger.error(`Erro ao listar organizações: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/organizations
+ * Quem cria vira owner
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Nome é obrigatório' });
+    }
+
+    const result = await organizationQueries.create(name.trim());
+    await organizationQueries.addMember(result.id, req.user.id, 'owner');
+
+    const organization = await organizationQueries.findById(result.id);
+
+    logger.info(`Nova organização criada: ${organization.name} (${organization.id})`);
+    await auditService.record(req, 'organization.create', {
+      organizationId: organization.id,
+      targetType: 'organization',
+      targetId: organization.id,
+      details: { name: organization.name }
+    });
+
+    res.status(201).json({
+      message: 'Organização criada com sucesso',
+      organization: { ...organization, role: 'owner' }
+    });
+  } catch (error) {
+    logger.error(`Erro ao criar organização: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId
+ * Body: { name?, requireTwoFactor? }
+ */
+router.patch('/:orgId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const { name, requireTwoFactor } = req.body;
+
+    if (name === undefined && requireTwoFactor === undefined) {
+      return res.status(400).json({ error: 'Informe o nome ou requireTwoFactor' });
+    }
+
+    if (name !== undefined && (!name || !name.trim())) {
+      return res.status(400).json({ error: 'Nome é obrigatório' });
+    }
+
+    if (requireTwoFactor !== undefined && typeof requireTwoFactor !== 'boolean') {
+      return res.status(400).json({ error: 'requireTwoFactor deve ser true ou false' });
+    }
+
+    // Evita que o admin bloqueie o próprio acesso ao exigir 2FA sem tê-lo ativado
+    if (requireTwoFactor && !(await twoFactorService.isEnabled(req.user.id))) {
+      return res.status(400).json({ error: 'Ative a verificação em duas etapas na sua conta antes de exigi-la da organização' });
+    }
+
+    if (name !== undefined) {
+      await organizationQueries.rename(req.organization.id, name.trim());
+      await auditService.record(req, 'organization.rename', {
+        organizationId: req.organization.id,
+        targetType: 'organization',
+        targetId: req.organization.id,
+        details: { from: req.organization.name, to: name.trim() }
+      });
+    }
+
+    if (requireTwoFactor !== undefined) {
+      await organizationQueries.setRequireTwoFactor(req.organization.id, requireTwoFactor);
+      await auditService.record(req, 'organization.require_two_factor', {
+        organizationId: req.organization.id,
+        targetType: 'organization',
+        targetId: req.organization.id,
+        details: { required: requireTwoFactor }
+      });
+    }
+
+    res.json({ message: 'Organização atualizada' });
+  } catch (error) {
+    logger.error(`Erro ao atualizar organização: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/members
+ */
+router.get('/:orgId/members', requireOrganizationRole('viewer'), async (req, res) => {
+  try {
+    const members = await organizationQueries.listMembers(req.organization.id);
+    res.json({ members });
+  } catch (error) {
+    logger.error(`Erro ao listar membros: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/members
+ * Adiciona um usuário já cadastrado pelo email
+ */
+router.post('/:orgId/members', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email é obrigatório' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Papel inválido. Use: ${ROLES.join(', ')}` });
+    }
+
+    // Apenas owners concedem papéis de admin ou owner
+    if (hasRole(role, 'admin') && req.memberRole !== 'owner') {
+      return res.status(403).json({ error: 'Apenas o dono pode adicionar administradores' });
+    }
+
+    const user = await userQueries.findByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'Usuário não encontrado. Peça para ele se cadastrar primeiro.' });
+    }
+
+    const existing = await organizationQueries.findMember(req.organization.id, user.id);
+    if (existing) {
+      return res.status(409).json({ error: 'Usuário já é membro desta organização' });
+    }
+
+    await organizationQueries.addMember(req.organization.id, user.id, role);
+
+    logger.info(`Membro adicionado: ${email} (${role}) em ${req.organization.name}`);
+    await auditService.record(req, 'member.add', {
+      organizationId: req.organization.id,
+      targetType: 'user',
+      targetId: user.id,
+      details: { email: user.email, role }
+    });
+
+    res.status(201).json({
+      message: 'Membro adicionado com sucesso',
+      member: { user_id: user.id, email: user.email, name: user.name, role }
+    });
+  } catch (error) {
+    logger.error(`Erro ao adicionar membro: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:userId
+ */
+router.patch('/:orgId/members/:userId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const userId = parseInt(req.params.userId);
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Papel inválido. Use: ${ROLES.join(', ')}` });
+    }
+
+    const member = await organizationQueries.findMember(req.organization.id, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Membro não encontrado' });
+    }
+
+    // Admins só gerenciam agents e viewers
+    if ((hasRole(member.role, 'admin') || hasRole(role, 'admin')) && req.memberRole !== 'owner') {
+      return res.status(403).json({ error: 'Apenas o dono pode alterar administradores' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner') {
+      const owners = await organizationQueries.countOwners(req.organization.id);
+      if (owners <= 1) {
+        return res.status(400).json({ error: 'A organização precisa de pelo menos um dono' });
+      }
+    }
+
+    await organizationQueries.updateMemberRole(req.organization.id, userId, role);
+    await reauthorizeUserSockets(req.app.get('io'), userId);
+
+    logger.info(`Papel alterado: usuário ${userId} -> ${role} em ${req.organization.name}`);
+    await auditService.record(req, 'member.role_change', {
+      organizationId: req.organization.id,
+      targetType: 'user',
+      targetId: userId,
+      details: { from: member.role, to: role }
+    });
+
+    res.json({ message: 'Papel atualizado' });
+  } catch (error) {
+    logger.error(`Erro ao atualizar membro: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:userId
+ * Admins removem membros; qualquer membro pode sair
+ */
+router.delete('/:orgId/members/:userId', requireOrganizationRole('viewer'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const isSelf = userId === req.user.id;
+
+    if (!isSelf && !hasRole(req.memberRole, 'admin')) {
+      return res.status(403).json({ error: 'Permissão insuficiente para esta ação' });
+    }
+
+    const member = await organizationQueries.findMember(req.organization.id, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Membro não encontrado' });
+    }
+
+    if (!isSelf && hasRole(member.role, 'admin') && req.memberRole !== 'owner') {
+      return res.status(403).json({ error: 'Apenas o dono pode remover administradores' });
+    }
+
+    if (member.role === 'owner') {
+      const owners = await organizationQueries.countOwners(req.organization.id);
+      if (owners <= 1) {
+        return res.status(400).json({ error: 'A organização precisa de pelo menos um dono' });
+      }
+    }
+
+    await organizationQueries.removeMember(req.organization.id, userId);
+    await reauthorizeUserSockets(req.app.get('io'), userId);
+
+    logger.info(`Membro removido: usuário ${userId} de ${req.organization.name}`);
+    await auditService.record(req, 'member.remove', {
+      organizationId: req.organization.id,
+      targetType: 'user',
+      targetId: userId,
+      details: { role: member.role, self: isSelf }
+    });
+
+    res.json({ message: 'Membro removido' });
+  } catch (error) {
+    logger.error(`Erro ao remover membro: ${error.message}`);
+    res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+export default router;
@@ -11,37 +11,85 @@ import { fileURLToPath } from 'url';
 import QRCode from 'qrcode';
 
 import { logger } from './config/logger.js';
-import { initializeDatabase, instanceQueries } from './db/database.js';
+import { initializeDatabase, closeDatabase, instanceQueries } from './db/database.js';
 import sessionManager from './whatsapp/sessionManager.js';
+import { pruneMessageStore } from './whatsapp/messageStore.js';
+import {
+  getLease,
+  getLeases,
+  publishQr,
+  findOrphanedInstances,
+  LEASE_OWNER_ID,
+  SESSION_LEASE_RENEW_MS
+} from './whatsapp/sessionLease.js';
 import analyticsService from './services/analyticsService.js';
+import connectionHistoryService from './services/connectionHistoryService.js';
+import appStateService from './services/appStateService.js';
+import groupService from './services/groupService.js';
+import receiptService from './services/receiptService.js';
+import mediaService from './services/mediaService.js';
+import revisionService from './services/revisionService.js';
+import connectTokenService from './services/connectTokenService.js';
+import sessionService from './services/sessionService.js';
+import eventBus, { EVENTS } from './services/eventBus.js';
+import { authenticateToken, requireSession } from './middleware/auth.js';
+import { authenticateSocket, authorizeSocketInstance, canPairInstance } from './middleware/socketAuth.js';
 
 // Rotas
 import authRoutes from './routes/auth.js';
 import instancesRoutes from './routes/instances.js';
 import analyticsRoutes from './routes/analytics.js';
 import connectRoutes from './routes/connect.js';
+import organizationsRoutes from './routes/organizations.js';
+import auditRoutes from './routes/audit.js';
+import mediaRoutes from './routes/media.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Origens permitidas para CORS (separadas por vírgula). Vazio = apenas mesma origem
+const allowedOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const corsOrigin = allowedOrigins.length > 0 ? allowedOrigins : false;
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: '*',
-    methods: ['GET', 'POST']
+    origin: corsOrigin,
+    methods: ['GET', 'POST'],
+    credentials: true
   }
 });
 
+// Rotas que alteram permissões reavaliam as salas dos sockets (ver reauthorizeUserSockets)
+app.set('io', io);
+
 const PORT = process.env.PORT || 9000;
 
+// Com várias réplicas, quem não é dono da sessão consulta o banco para repassar QR Code e conexão aos clientes
+const REMOTE_SESSION_SYNC_MS = 3000;
+
+// Tempo máximo do desligamento; depois dele o processo sai mesmo com trabalho pendente
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+
+// Atrás de proxy reverso, use TRUST_PROXY=1 para registrar o IP real do cliente na auditoria
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middlewares
 app.use(helmet({ contentSecurityPolicy: false }));
-app.use(cors({ origin: true, credentials: true }));
+app.use(cors({ origin: corsOrigin, credentials: true }));
 app.use(cookieParser());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Arquivos de mídia ficam fora do rate limiting: uma conversa carrega várias imagens de uma vez
+app.use('/api/media', authenticateToken, mediaRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -54,9 +102,11 @@ app.use(express.static(path.join(__dirname, '../public')));
 
 // Rotas da API
 app.use('/api/auth', authRoutes);
-app.use('/api/instances', instancesRoutes);
-app.use('/api/analytics', analyticsRoutes);
+app.use('/api/instances', authenticateToken, instancesRoutes);
+app.use('/api/analytics', authenticateToken, analyticsRoutes);
 app.use('/api/connect', connectRoutes);
+app.use('/api/organizations', authenticateToken, requireSession, organizationsRoutes);
+app.use('/api/audit', authenticateToken, requireSession, auditRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -65,69 +115,150 @@ app.get('/api/health', (req, res) => {
 
 // Socket.IO
 const connectedClients = new Map();
-const lastQrBySessionId = new Map();
+
+/**
+ * Último QR Code da sessão, publicado pela réplica que é dona dela
+ */
+async function getSharedQr(sessionId) {
+  const lease = await getLease(sessionId);
+  return lease?.isAlive ? lease.qr : null;
+}
+
+io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
   logger.info(`Cliente conectado: ${socket.id}`);
 
-  socket.on('subscribe', async ({ userId, instanceId }) => {
-    if (userId) {
-      socket.join(`user:${userId}`);
-    }
-    if (instanceId) {
-      socket.join(`instance:${instanceId}`);
-      connectedClients.set(socket.id, { userId, instanceId });
+  // Salas do usuário e da sessão de login: permitem reavaliar ou desconectar os sockets ao mudar permissões ou revogar a sessão
+  if (socket.data.user) {
+    socket.join(`user:${socket.data.user.id}`);
+    socket.join(`session:${socket.data.user.sessionId}`);
+  }
+
+  socket.on('subscribe', async ({ instanceId } = {}) => {
+    if (!instanceId) return;
+
+    try {
+      const instance = await authorizeSocketInstance(socket, instanceId);
+      if (!instance) {
+        socket.emit('subscribe-error', { instanceId, message: 'Acesso negado a esta instância' });
+        return;
+      }
+
+      socket.join(`instance:${instance.id}`);
+      connectedClients.set(socket.id, {
+        userId: socket.data.user?.id || null,
+        instanceId: instance.id,
+        sessionId: instance.session_id
+      });
+
+      // QR Code e código de pareamento só para quem pode conectar a instância
+      if (!canPairInstance(socket, instance)) return;
+      socket.join(`instance:${instance.id}:pairing`);
 
       // Envia QR se disponível
-      try {
-        const instance = await instanceQueries.findById(instanceId);
-        const qr = instance?.session_id ? lastQrBySessionId.get(instance.session_id) : null;
-        if (qr) {
-          socket.emit('qr-code', { instanceId, qr });
-        }
-      } catch (e) {
-        // ignora
+      const qr = instance.session_id ? await getSharedQr(instance.session_id) : null;
+      if (qr) {
+        socket.emit('qr-code', { instanceId: instance.id, qr });
       }
+    } catch (e) {
+      logger.error(`Erro ao processar subscribe: ${e.message}`);
     }
   });
 
-  socket.on('request-qr', async ({ sessionId, instanceId }) => {
+  socket.on('request-qr', async ({ sessionId, instanceId } = {}) => {
     logger.info(`QR Code solicitado via socket: instanceId=${instanceId || '-'}`);
     try {
-      let resolvedSessionId = sessionId;
-      if (!resolvedSessionId && instanceId) {
-        const instance = await instanceQueries.findById(instanceId);
-        resolvedSessionId = instance?.session_id || null;
+      let resolvedInstanceId = instanceId;
+      if (!resolvedInstanceId && sessionId) {
+        const bySession = await instanceQueries.findBySessionId(sessionId);
+        resolvedInstanceId = bySession?.id || null;
       }
 
-      if (!resolvedSessionId) {
+      const instance = await authorizeSocketInstance(socket, resolvedInstanceId);
+      if (!instance?.session_id) {
         socket.emit('qr-error', { instanceId, message: 'Instância não encontrada' });
         return;
       }
 
-      const qr = lastQrBySessionId.get(resolvedSessionId);
+      if (!canPairInstance(socket, instance)) {
+        socket.emit('qr-error', { instanceId: instance.id, message: 'Permissão insuficiente para conectar esta instância' });
+        return;
+      }
+
+      const qr = await getSharedQr(instance.session_id);
       if (!qr) {
-        socket.emit('qr-error', { instanceId, message: 'QR Code não disponível' });
+        socket.emit('qr-error', { instanceId: instance.id, message: 'QR Code não disponível' });
         return;
       }
 
-      const inst = await instanceQueries.findBySessionId(resolvedSessionId);
-      socket.emit('qr-code', { instanceId: inst?.id || instanceId, qr });
+      socket.emit('qr-code', { instanceId: instance.id, qr });
     } catch (e) {
       logger.error(`Erro ao processar request-qr: ${e.message}`);
       socket.emit('qr-error', { instanceId, message: 'Erro ao buscar QR Code' });
     }
   });
 
+  // Conexão pelo número de telefone (alternativa ao QR Code)
+  socket.on('request-pairing-code', async ({ instanceId, phoneNumber } = {}) => {
+    logger.info(`Código de pareamento solicitado via socket: instanceId=${instanceId || '-'}`);
+    try {
+      const instance = await authorizeSocketInstance(socket, instanceId);
+      if (!instance?.session_id) {
+        socket.emit('pairing-error', { instanceId, message: 'Instância não encontrada' });
+        return;
+      }
+
+      if (!canPairInstance(socket, instance)) {
+        socket.emit('pairing-error', { instanceId: instance.id, message: 'Permissão insuficiente para conectar esta instância' });
+        return;
+      }
+
+      await sessionManager.requestPairingCode(instance.session_id, phoneNumber);
+      if (instance.status !== 'connecting') {
+        await instanceQueries.updateStatus('connecting', null, instance.id);
+      }
+    } catch (e) {
+      logger.warn(`Erro ao gerar código de pareamento: ${e.message}`);
+      socket.emit('pairing-error', { instanceId, message: e.message || 'Erro ao gerar código de pareamento' });
+    }
+  });
+
   socket.on('disconnect', () => {
     connectedClients.delete(socket.id);
     logger.info(`Cliente desconectado: ${socket.id}`);
   });
 });
 
-// Callbacks do SessionManager
-sessionManager.onConnectionUpdate(async (sessionId, event, data) => {
-  logger.info(`Evento de conexão: ${sessionId} - ${event}`);
+// Sessão de login revogada (logout, "encerrar sessões", troca de senha...): derruba os sockets abertos com ela
+sessionService.onRevoked(({ userId, sessionId, exceptSessionId }) => {
+  const sockets = sessionId
+    ? io.in(`session:${sessionId}`)
+    : io.in(`user:${userId}`).except(`session:${exceptSessionId}`);
+  sockets.disconnectSockets(true);
+});
+
+/**
+ * Conta um uso de cada link de conexão cuja página acompanhava o pareamento que acabou de concluir
+ * Cada socket conta uma vez: recarregar a página ou reconectar o socket não consome usos
+ */
+async function recordConnectLinkUses(instanceId) {
+  const linkIds = new Set();
+
+  for (const socket of await io.in(`instance:${instanceId}:pairing`).fetchSockets()) {
+    if (!socket.data.connectLinkId || socket.data.connectUseRecorded) continue;
+    socket.data.connectUseRecorded = true;
+    linkIds.add(socket.data.connectLinkId);
+  }
+
+  for (const linkId of linkIds) {
+    await connectTokenService.recordUse(linkId);
+  }
+}
+
+// Assinantes dos eventos do WhatsApp (SessionManager -> eventBus)
+eventBus.on(EVENTS.CONNECTION_STATE, async ({ sessionId, state, ...data }) => {
+  logger.info(`Evento de conexão: ${sessionId} - ${state}`);
 
   const instance = await instanceQueries.findBySessionId(sessionId);
   if (!instance) {
@@ -135,18 +266,13 @@ sessionManager.onConnectionUpdate(async (sessionId, event, data) => {
     return;
   }
 
-  if (event === 'qr') {
+  if (state === 'qr') {
+    await connectionHistoryService.record(instance.id, 'qr');
     try {
       const qrBase64 = await QRCode.toDataURL(data.qr, { width: 256 });
-      lastQrBySessionId.set(sessionId, qrBase64);
+      await publishQr(sessionId, qrBase64);
 
-      io.to(`instance:${instance.id}`).emit('qr-code', {
-        instanceId: instance.id,
-        qr: qrBase64,
-        attempt: data.attempt,
-        maxAttempts: data.maxAttempts
-      });
-      io.to(`user:${instance.user_id}`).emit('qr-code', {
+      io.to(`instance:${instance.id}:pairing`).emit('qr-code', {
         instanceId: instance.id,
         qr: qrBase64,
         attempt: data.attempt,
@@ -155,24 +281,49 @@ sessionManager.onConnectionUpdate(async (sessionId, event, data) => {
     } catch (err) {
       logger.error(`Erro ao gerar QR: ${err.message}`);
     }
-  } else if (event === 'open') {
+  } else if (state === 'pairing-code') {
+    io.to(`instance:${instance.id}:pairing`).emit('pairing-code', { instanceId: instance.id, code: data.code });
+  } else if (state === 'open') {
+    await publishQr(sessionId, null);
+    await connectionHistoryService.record(instance.id, 'open');
     await instanceQueries.updateStatus('connected', data.phone, instance.id);
+    await recordConnectLinkUses(instance.id);
     io.to(`instance:${instance.id}`).emit('connected', {
       instanceId: instance.id,
       phone: data.phone
     });
-  } else if (event === 'close') {
+  } else if (state === 'close') {
+    await connectionHistoryService.record(instance.id, 'close', { statusCode: data.statusCode || null });
     const current = await instanceQueries.findById(instance.id);
+    // Com reconexão automática segue "conectando"; sem ela, as credenciais foram descartadas e é preciso um novo QR
+    // ("disconnected" fica reservado para quando o usuário desconecta). Tentativas esgotadas viram "failed" logo abaixo
+    if (!data.failed) {
+      const status = data.shouldReconnect ? 'connecting' : 'qr_required';
+      await instanceQueries.updateStatus(status, null, instance.id);
+    }
+
     if (current?.status === 'connected') {
-      await instanceQueries.updateStatus('disconnected', null, instance.id);
       io.to(`instance:${instance.id}`).emit('disconnected', {
         instanceId: instance.id,
         shouldReconnect: data.shouldReconnect
       });
-    } else {
-      await instanceQueries.updateStatus('disconnected', null, instance.id);
     }
-  } else if (event === 'qr-loop') {
+  } else if (state === 'reconnecting') {
+    await connectionHistoryService.record(instance.id, 'reconnect', {
+      reason: `Tentativa ${data.attempt}/${data.maxAttempts} em ${Math.round(data.delayMs / 1000)}s`
+    });
+  } else if (state === 'failed') {
+    const reason = data.error || connectionHistoryService.describeDisconnect(data.statusCode);
+    const lastError = `${reason} (${data.attempts} tentativa(s) de reconexão)`;
+
+    await connectionHistoryService.record(instance.id, 'failed', { statusCode: data.statusCode, reason: lastError });
+    await instanceQueries.markFailed(instance.id, lastError);
+
+    const failedEvent = { instanceId: instance.id, error: lastError, attempts: data.attempts };
+    io.to(`instance:${instance.id}`).emit('connection-failed', failedEvent);
+  } else if (state === 'qr-loop') {
+    await connectionHistoryService.record(instance.id, 'qr_loop', { reason: data.message });
+    await instanceQueries.updateStatus('qr_required', null, instance.id);
     io.to(`instance:${instance.id}`).emit('qr-loop', {
       instanceId: instance.id,
       message: data.message
@@ -180,28 +331,47 @@ sessionManager.onConnectionUpdate(async (sessionId, event, data) => {
   }
 });
 
-// Callback de mensagens
-sessionManager.onMessageReceived(async (sessionId, phone, messageData) => {
+// App state (agenda, arquivadas/fixadas e etiquetas do celular)
+eventBus.on(EVENTS.APP_STATE, async ({ sessionId, type, payload }) => {
   const instance = await instanceQueries.findBySessionId(sessionId);
-  if (!instance) {
+  if (!instance) return;
+
+  await appStateService.handle(instance.id, type, payload);
+});
+
+// Mensagens recebidas: analytics e repasse aos clientes
+eventBus.on(EVENTS.MESSAGE_RECEIVED, async ({ sessionId, phone, conversationType, message: messageData, raw }) => {
+  const instance = await instanceQueries.findBySessionId(sessionId);
+  // Grupos só são registrados com o monitoramento de grupos ativo na instância
+  if (!instance || (conversationType === 'group' && !instance.group_sync)) {
     return;
   }
 
   try {
-    const result = await analyticsService.processMessage(instance.id, phone, messageData);
+    // Mantém o assunto e o tamanho do grupo em cache
+    if (conversationType === 'group') {
+      await groupService.getMetadata(instance, phone);
+    }
+
+    const result = await analyticsService.processMessage(instance.id, phone, messageData, conversationType);
+
+    // Imagens, áudios, vídeos e documentos: guarda o arquivo para exibir na conversa
+    const media = messageData.mediaType !== 'text'
+      ? await mediaService.saveFromMessage(instance, raw, result.messageRowId)
+      : null;
 
     const messageEvent = {
       instanceId: instance.id,
       phone,
-      message: messageData,
+      conversationType,
+      message: media ? { ...messageData, media: { ...media, url: `/api/media/${media.id}` } } : messageData,
       isNewContact: result.isNewContact,
       contact: result.contact
     };
 
     io.to(`instance:${instance.id}`).emit('new-message', messageEvent);
-    io.to(`user:${instance.user_id}`).emit('new-message', messageEvent);
 
-    if (result.isNewContact && !messageData.fromMe) {
+    if (conversationType === 'direct' && result.isNewContact && !messageData.fromMe) {
       io.to(`instance:${instance.id}`).emit('new-lead', {
         instanceId: instance.id,
         phone,
@@ -213,6 +383,162 @@ sessionManager.onMessageReceived(async (sessionId, phone, messageData) => {
   }
 });
 
+eventBus.on(EVENTS.GROUP_UPDATE, async ({ sessionId, jid }) => {
+  const instance = await instanceQueries.findBySessionId(sessionId);
+  if (instance?.group_sync) {
+    await groupService.refresh(instance, jid);
+  }
+});
+
+// Status das mensagens enviadas (enviada, entregue, lida)
+eventBus.on(EVENTS.MESSAGE_ACK, async ({ sessionId, ...ack }) => {
+  const instance = await instanceQueries.findBySessionId(sessionId);
+  if (!instance) return;
+
+  const updated = await receiptService.record(instance.id, ack);
+  if (updated) {
+    io.to(`instance:${instance.id}`).emit('message-status', { instanceId: instance.id, ...updated });
+  }
+});
+
+// Mensagens editadas ou apagadas para todos (o texto original continua guardado)
+eventBus.on(EVENTS.MESSAGE_EDITED, async ({ sessionId, ...edit }) => {
+  const instance = await instanceQueries.findBySessionId(sessionId);
+  if (!instance) return;
+
+  const updated = await revisionService.recordEdit(instance.id, edit);
+  if (updated) {
+    io.to(`instance:${instance.id}`).emit('message-edited', { instanceId: instance.id, ...updated });
+  }
+});
+
+eventBus.on(EVENTS.MESSAGE_DELETED, async ({ sessionId, ...deletion }) => {
+  const instance = await instanceQueries.findBySessionId(sessionId);
+  if (!instance) return;
+
+  const updated = await revisionService.recordDelete(instance.id, deletion);
+  if (updated) {
+    io.to(`instance:${instance.id}`).emit('message-deleted', { instanceId: instance.id, ...updated });
+  }
+});
+
+// Confirmações, presença e chamadas: só repasse aos clientes da instância
+const relayToInstance = (socketEvent) => async ({ sessionId, ...data }) => {
+  const instance = await instanceQueries.findBySessionId(sessionId);
+  if (instance) {
+    io.to(`instance:${instance.id}`).emit(socketEvent, { instanceId: instance.id, ...data });
+  }
+};
+
+eventBus.on(EVENTS.MESSAGE_ACK, relayToInstance('message-ack'));
+eventBus.on(EVENTS.PRESENCE, relayToInstance('presence'));
+eventBus.on(EVENTS.CALL, relayToInstance('incoming-call'));
+
+// Estado já repassado aos clientes desta réplica, por sessão aberta em outra réplica
+const remoteSessionState = new Map(); // sessionId -> { qrUpdatedAt, hadQr }
+
+/**
+ * Repassa aos clientes conectados nesta réplica o QR Code e a conexão das sessões abertas em outra
+ */
+async function syncRemoteSessions() {
+  const subscribed = new Map(); // sessionId -> instanceId
+  for (const client of connectedClients.values()) {
+    if (client.sessionId && !sessionManager.isManaging(client.sessionId)) {
+      subscribed.set(client.sessionId, client.instanceId);
+    }
+  }
+
+  for (const sessionId of remoteSessionState.keys()) {
+    if (!subscribed.has(sessionId)) remoteSessionState.delete(sessionId);
+  }
+  if (subscribed.size === 0) return;
+
+  const leases = await getLeases([...subscribed.keys()]);
+  for (const lease of leases) {
+    if (lease.isLocal || !lease.isAlive) continue;
+
+    const instanceId = subscribed.get(lease.sessionId);
+    const seen = remoteSessionState.get(lease.sessionId) || { qrUpdatedAt: null, hadQr: false };
+
+    if (lease.qr && lease.qrUpdatedAt !== seen.qrUpdatedAt) {
+      io.to(`instance:${instanceId}:pairing`).emit('qr-code', { instanceId, qr: lease.qr });
+    } else if (!lease.qr && seen.hadQr) {
+      // O QR some quando a réplica dona conecta
+      const instance = await instanceQueries.findById(instanceId);
+      if (instance?.status === 'connected') {
+        await recordConnectLinkUses(instanceId);
+        io.to(`instance:${instanceId}`).emit('connected', { instanceId, phone: instance.phone });
+      }
+    }
+
+    remoteSessionState.set(lease.sessionId, { qrUpdatedAt: lease.qrUpdatedAt, hadQr: !!lease.qr });
+  }
+}
+
+let restoreInProgress = false;
+// Tarefas periódicas, interrompidas no desligamento
+const backgroundTimers = [];
+
+/**
+ * Reconecta as instâncias que deveriam estar conectadas e não têm nenhum servidor cuidando delas:
+ * no boot, as que estavam conectadas antes do servidor reiniciar; depois, as de réplicas que pararam de renovar a posse
+ * Instâncias sem credenciais salvas ficam aguardando um novo QR Code
+ */
+async function restoreSessions({ takeover = false } = {}) {
+  if (restoreInProgress) return;
+  restoreInProgress = true;
+
+  try {
+    const instances = (await findOrphanedInstances())
+      .filter(instance => instance.session_id && !sessionManager.isManaging(instance.session_id));
+
+    if (instances.length === 0) return;
+
+    await connectionHistoryService.closeInterrupted(
+      instances.map(instance => instance.id),
+      takeover ? 'Servidor responsável parou de responder' : 'Servidor reiniciado'
+    );
+
+    logger.info(takeover
+      ? `🔄 Assumindo ${instances.length} sessão(ões) sem servidor responsável...`
+      : `🔄 Restaurando ${instances.length} sessão(ões) do WhatsApp...`);
+
+    const results = await sessionManager.restoreSessions(instances, {
+      concurrency: parseInt(process.env.SESSION_RESTORE_CONCURRENCY) || 3,
+      staggerMs: parseInt(process.env.SESSION_RESTORE_STAGGER_MS) || 2000
+    });
+
+    const labels = {
+      connected: 'conectada',
+      pending: 'ainda conectando',
+      qr_required: 'precisa de novo QR Code',
+      owned_elsewhere: 'assumida por outro servidor',
+      failed: 'falhou'
+    };
+
+    for (const result of results) {
+      if (result.status === 'qr_required') {
+        await instanceQueries.updateStatus('qr_required', null, result.instanceId);
+      } else if (result.status === 'failed') {
+        await instanceQueries.markFailed(result.instanceId, result.error || 'Falha ao restaurar a sessão');
+      }
+
+      const line = `  ${result.name || result.instanceId} (${result.sessionId}): ${labels[result.status]}` +
+        (result.error ? ` - ${result.error}` : '');
+      if (['connected', 'pending', 'owned_elsewhere'].includes(result.status)) {
+        logger.info(line);
+      } else {
+        logger.warn(line);
+      }
+    }
+
+    const connected = results.filter(r => r.status === 'connected').length;
+    logger.info(`✅ Restauração concluída: ${connected}/${results.length} sessão(ões) conectada(s)`);
+  } finally {
+    restoreInProgress = false;
+  }
+}
+
 // Inicialização
 async function start() {
   try {
@@ -222,24 +548,92 @@ async function start() {
     server.listen(PORT, () => {
       logger.info(`Servidor rodando em http://localhost:${PORT}`);
       logger.info(`Relatório Oregon - Sistema de Analytics WhatsApp`);
+      logger.info(`Identificador deste servidor (posse das sessões): ${LEASE_OWNER_ID}`);
+
+      sessionManager.startLeaseHeartbeat();
+
+      restoreSessions().catch(error => {
+        logger.error(`Erro ao restaurar sessões: ${error.message}`);
+      });
+
+      // Sessões de réplicas que pararam de responder são assumidas quando a posse expira
+      backgroundTimers.push(setInterval(() => {
+        restoreSessions({ takeover: true }).catch(error => {
+          logger.error(`Erro ao assumir sessões: ${error.message}`);
+        });
+      }, SESSION_LEASE_RENEW_MS).unref());
+
+      backgroundTimers.push(setInterval(() => {
+        syncRemoteSessions().catch(error => {
+          logger.error(`Erro ao sincronizar sessões de outras réplicas: ${error.message}`);
+        });
+      }, REMOTE_SESSION_SYNC_MS).unref());
     });
+
+    // Conteúdo bruto das mensagens só é necessário por alguns dias (reenvios do Baileys)
+    await pruneMessageStore();
+    backgroundTimers.push(setInterval(pruneMessageStore, 6 * 60 * 60 * 1000).unref());
+
+    // Arquivos de mídia seguem a retenção de cada instância
+    await mediaService.prune();
+    backgroundTimers.push(setInterval(() => mediaService.prune(), 6 * 60 * 60 * 1000).unref());
   } catch (error) {
     logger.error(`Erro ao iniciar servidor: ${error.message}`);
     process.exit(1);
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Encerrando servidor...');
-  server.close();
-  process.exit(0);
-});
+let shuttingDown = false;
 
-process.on('SIGINT', async () => {
-  logger.info('Encerrando servidor...');
-  server.close();
-  process.exit(0);
-});
+/**
+ * Desligamento ordenado: para de aceitar trabalho, espera o que está em andamento,
+ * fecha os sockets do WhatsApp (sem deslogar) e o banco
+ * Se passar de SHUTDOWN_TIMEOUT_MS, sai mesmo assim
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`${signal} recebido. Encerrando servidor...`);
+
+  const forceExit = setTimeout(() => {
+    logger.warn(`Desligamento passou de ${SHUTDOWN_TIMEOUT_MS}ms. Saindo com trabalho pendente.`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  try {
+    // 1. Novas requisições, clientes do Socket.IO, sessões, reconexões e tarefas periódicas
+    backgroundTimers.forEach(timer => clearInterval(timer));
+    sessionManager.beginShutdown();
+    const httpClosed = new Promise(resolve => io.close(() => resolve()));
+    server.closeIdleConnections?.();
+
+    // 2. Requisições em andamento, processamento de mensagens e gravação de credenciais
+    await Promise.all([httpClosed, sessionManager.drain()]);
+
+    // 3. Sockets do WhatsApp: as credenciais continuam válidas para a próxima inicialização
+    const closedSessionIds = await sessionManager.closeAllSessions();
+    for (const sessionId of closedSessionIds) {
+      const instance = await instanceQueries.findBySessionId(sessionId);
+      if (instance) {
+        await connectionHistoryService.record(instance.id, 'close', { reason: 'Servidor encerrado' });
+      }
+    }
+    await sessionManager.drain();
+
+    // 4. Banco de dados
+    await closeDatabase();
+
+    logger.info('Servidor encerrado');
+    clearTimeout(forceExit);
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Erro no desligamento: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 start();
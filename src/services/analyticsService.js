@@ -1,5 +1,7 @@
-import { query, contactQueries, messageQueries, metricsQueries } from '../db/database.js';
+import { query, contactQueries, messageQueries, messageRevisionQueries, metricsQueries, groupQueries } from '../db/database.js';
 import { logger } from '../config/logger.js';
+import appStateService from './appStateService.js';
+import receiptService from './receiptService.js';
 
 /**
  * Serviço de análise de métricas de atendimento
@@ -9,8 +11,13 @@ class AnalyticsService {
 
   /**
    * Processa uma nova mensagem recebida/enviada
+   * @param {string} conversationType - 'direct' ou 'group' (grupos ficam fora das métricas de atendimento)
    */
-  async processMessage(instanceId, phone, messageData) {
+  async processMessage(instanceId, phone, messageData, conversationType = 'direct') {
+    if (conversationType === 'group') {
+      return this.processGroupMessage(instanceId, phone, messageData);
+    }
+
     const { fromMe, body, timestamp, contactName, mediaType, messageId } = messageData;
 
     try {
@@ -50,7 +57,7 @@ class AnalyticsService {
       }
 
       // Salva mensagem
-      await messageQueries.create(
+      const messageRowId = await messageQueries.create(
         instanceId,
         contact.id,
         messageId || `msg_${Date.now()}`,
@@ -62,6 +69,7 @@ class AnalyticsService {
 
       // Atualiza contadores
       if (fromMe) {
+        await receiptService.applyHistory(instanceId, messageId);
         await contactQueries.incrementSent(contact.id);
       } else {
         await contactQueries.incrementReceived(contact.id);
@@ -77,13 +85,50 @@ class AnalyticsService {
         isReturningContact ? 1 : 0
       );
 
-      return { contact, isNewContact, isReturningContact };
+      return { contact, isNewContact, isReturningContact, messageRowId };
     } catch (error) {
       logger.error(`Erro ao processar mensagem: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Registra uma mensagem de grupo com o participante que escreveu
+   * Não conta como lead, retorno nem nas métricas diárias
+   */
+  async processGroupMessage(instanceId, groupJid, messageData) {
+    const { fromMe, body, timestamp, mediaType, messageId, participant, participantName } = messageData;
+
+    try {
+      const existing = await contactQueries.findByPhone(instanceId, groupJid);
+      const contact = await contactQueries.upsert(instanceId, groupJid, null, existing ? null : timestamp, timestamp, 'group');
+
+      const messageRowId = await messageQueries.create(
+        instanceId,
+        contact.id,
+        messageId || `msg_${Date.now()}`,
+        fromMe ? 1 : 0,
+        body,
+        mediaType,
+        timestamp,
+        participant || null,
+        participantName || null
+      );
+
+      if (fromMe) {
+        await receiptService.applyHistory(instanceId, messageId);
+        await contactQueries.incrementSent(contact.id);
+      } else {
+        await contactQueries.incrementReceived(contact.id);
+      }
+
+      return { contact, isNewContact: !existing, isReturningContact: false, messageRowId };
+    } catch (error) {
+      logger.error(`Erro ao processar mensagem de grupo: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Obtém métricas do dashboard
    */
@@ -116,12 +161,16 @@ class AnalyticsService {
       // Contatos por dia
       const contactsByDay = await messageQueries.countByDateRange(instanceId, start, end);
 
+      // Entrega e leitura das mensagens enviadas
+      const receipts = await this.getReceiptMetrics(instanceId, start, end);
+
       return {
         period: { start, end },
         totals,
         pendingContacts: pendingContacts.length,
         activeContacts: activeContacts.length,
         responseTimes,
+        receipts,
         contactsByDay,
         dailyBreakdown: dailyMetrics
       };
@@ -131,6 +180,41 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Taxa de leitura e tempo até a leitura das mensagens enviadas em conversas individuais
+   * Só conta mensagens com confirmação registrada (as anteriores ao rastreamento ficam de fora)
+   */
+  async getReceiptMetrics(instanceId, startDate, endDate) {
+    try {
+      const rows = (await messageQueries.findSentWithReceipts(
+        instanceId,
+        startDate + 'T00:00:00.000Z',
+        endDate + 'T23:59:59.999Z'
+      )).filter(m => m.status);
+
+      const delivered = rows.filter(m => m.delivered_at || m.read_at);
+      const read = rows.filter(m => m.read_at);
+      const timesToRead = read
+        .map(m => (new Date(m.read_at).getTime() - new Date(m.timestamp).getTime()) / 1000)
+        .filter(seconds => seconds >= 0);
+
+      return {
+        tracked: rows.length,
+        delivered: delivered.length,
+        read: read.length,
+        failed: rows.filter(m => m.status === 'error').length,
+        deliveryRate: rows.length ? Math.round((delivered.length / rows.length) * 1000) / 10 : null,
+        readRate: rows.length ? Math.round((read.length / rows.length) * 1000) / 10 : null,
+        avgTimeToReadSeconds: timesToRead.length
+          ? Math.round(timesToRead.reduce((a, b) => a + b, 0) / timesToRead.length)
+          : 0
+      };
+    } catch (error) {
+      logger.error(`Erro ao calcular confirmações de leitura: ${error.message}`);
+      return { tracked: 0, delivered: 0, read: 0, failed: 0, deliveryRate: null, readRate: null, avgTimeToReadSeconds: 0 };
+    }
+  }
+
   /**
    * Obtém contatos ativos
    */
@@ -166,6 +250,7 @@ class AnalyticsService {
                 ORDER BY m.timestamp DESC LIMIT 1) as last_from_me
         FROM contacts c
         WHERE c.instance_id = $1
+        AND c.conversation_type = 'direct'
         AND c.total_messages_sent > 0
       `, [instanceId]);
 
@@ -191,6 +276,7 @@ class AnalyticsService {
            AND m2.from_me = 1 
            AND m2.timestamp > m1.timestamp) as responded_at
         FROM messages m1
+        JOIN contacts c ON c.id = m1.contact_id AND c.conversation_type = 'direct'
         WHERE m1.instance_id = $1
         AND m1.from_me = 0
         AND DATE(m1.timestamp) >= $2
@@ -257,6 +343,7 @@ class AnalyticsService {
            AND m.from_me = 1) as first_response_at
         FROM contacts c
         WHERE c.instance_id = $1
+        AND c.conversation_type = 'direct'
         AND DATE(c.first_message_at) >= $2
         AND DATE(c.first_message_at) <= $3
       `, [instanceId, startDate, endDate]);
@@ -274,6 +361,54 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Atividade nos grupos no período: mensagens por grupo e participantes mais ativos
+   */
+  async getGroupActivity(instanceId, startDate = null, endDate = null) {
+    const today = new Date().toISOString().split('T')[0];
+    const start = startDate || today;
+    const end = endDate || today;
+    const startDateTime = start + 'T00:00:00.000Z';
+    const endDateTime = end + 'T23:59:59.999Z';
+
+    const [groups, participants] = await Promise.all([
+      groupQueries.getActivity(instanceId, startDateTime, endDateTime),
+      groupQueries.getParticipantActivity(instanceId, startDateTime, endDateTime)
+    ]);
+
+    const participantsByGroup = participants.reduce((acc, p) => {
+      (acc[p.contact_id] = acc[p.contact_id] || []).push({
+        participant: p.participant,
+        name: p.participant_name || p.participant,
+        messages: parseInt(p.messages) || 0
+      });
+      return acc;
+    }, {});
+
+    const list = groups.map(g => ({
+      id: g.id,
+      groupJid: g.group_jid,
+      subject: g.subject || g.group_jid,
+      participantCount: g.participant_count ?? null,
+      messagesReceived: parseInt(g.received) || 0,
+      messagesSent: parseInt(g.sent) || 0,
+      activeParticipants: parseInt(g.active_participants) || 0,
+      lastMessageAt: g.last_message_at,
+      topParticipants: (participantsByGroup[g.id] || []).slice(0, 5)
+    }));
+
+    return {
+      period: { start, end },
+      totals: {
+        activeGroups: list.length,
+        messagesReceived: list.reduce((sum, g) => sum + g.messagesReceived, 0),
+        messagesSent: list.reduce((sum, g) => sum + g.messagesSent, 0),
+        activeParticipants: new Set(participants.map(p => p.participant)).size
+      },
+      groups: list
+    };
+  }
+
   /**
    * Obtém follows receptivos
    */
@@ -338,13 +473,36 @@ class AnalyticsService {
   async getConversation(contactId) {
     try {
       const messages = await messageQueries.getConversation(contactId);
+
+      // Versões anteriores das mensagens editadas
+      const revisionsByMessage = new Map();
+      for (const r of await messageRevisionQueries.findByContactId(contactId)) {
+        if (!revisionsByMessage.has(r.message_id)) revisionsByMessage.set(r.message_id, []);
+        revisionsByMessage.get(r.message_id).push({ body: r.body, editedAt: r.edited_at });
+      }
+
       return messages.map(m => ({
         id: m.id,
         messageId: m.message_id,
         fromMe: m.from_me === 1,
         body: m.body,
         mediaType: m.media_type,
-        timestamp: m.timestamp
+        timestamp: m.timestamp,
+        participant: m.participant,
+        participantName: m.participant_name,
+        status: m.status,
+        deliveredAt: m.delivered_at,
+        readAt: m.read_at,
+        editedAt: m.edited_at,
+        deletedAt: m.deleted_at,
+        revisions: revisionsByMessage.get(m.id) || [],
+        media: m.media_id ? {
+          id: m.media_id,
+          url: `/api/media/${m.media_id}`,
+          mimetype: m.media_mimetype,
+          size: parseInt(m.media_size) || 0,
+          fileName: m.media_file_name
+        } : null
       }));
     } catch (error) {
       logger.error(`Erro ao obter conversa: ${error.message}`);
@@ -367,17 +525,34 @@ class AnalyticsService {
            WHERE m.contact_id = c.id 
            ORDER BY m.timestamp DESC LIMIT 1) as last_from_me,
           (SELECT COUNT(*) FROM messages m 
-           WHERE m.contact_id = c.id AND m.from_me = 0) as unread_count
+           WHERE m.contact_id = c.id AND m.from_me = 0) as unread_count,
+          sc.name as saved_name,
+          sc.archived,
+          sc.pinned,
+          g.subject as group_subject,
+          g.participant_count
         FROM contacts c
+        LEFT JOIN synced_contacts sc ON sc.instance_id = c.instance_id AND sc.phone = c.phone
+        LEFT JOIN group_metadata g ON g.instance_id = c.instance_id AND g.group_jid = c.phone
         WHERE c.instance_id = $1
         ORDER BY c.last_message_at DESC
         LIMIT $2
       `, [instanceId, limit]);
 
+      // Etiquetas só existem com a sincronização de app state ativa
+      const labelsByPhone = await appStateService.getLabelsByPhone(instanceId);
+
       return result.rows.map(c => ({
         id: c.id,
         phone: c.phone,
-        name: c.name || c.phone,
+        conversationType: c.conversation_type,
+        // Nome da agenda do celular tem prioridade sobre o nome de perfil (pushName); grupos usam o assunto
+        name: c.group_subject || c.saved_name || c.name || c.phone,
+        pushName: c.name,
+        participantCount: c.participant_count ?? null,
+        archived: c.archived === 1,
+        pinned: c.pinned === 1,
+        labels: labelsByPhone[c.phone] || [],
         lastMessage: c.last_message,
         lastMessageFromMe: c.last_from_me === 1,
         lastMessageAt: c.last_message_at,
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { apiKeyQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Escopos disponíveis para chaves de API
+ */
+export const API_KEY_SCOPES = ['analytics:read', 'messages:send', 'instances:manage'];
+
+const KEY_PREFIX = 'ork_';
+
+/**
+ * Serviço de chaves de API para acesso servidor-a-servidor
+ * Apenas o hash SHA-256 do segredo é armazenado
+ */
+class ApiKeyService {
+
+  /**
+   * Indica se um valor tem o formato de chave de API
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  hash(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  /**
+   * Cria uma chave e retorna o segredo em texto puro (exibido uma única vez)
+   */
+  async create(userId, name, scopes, expiresInDays = null) {
+    const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const keyPrefix = rawKey.substring(0, KEY_PREFIX.length + 8);
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const result = await apiKeyQueries.create(userId, name, keyPrefix, this.hash(rawKey), scopes.join(','), expiresAt);
+
+    logger.info(`Chave de API criada: ${keyPrefix}... (usuário ${userId})`);
+
+    return { id: result.id, key: rawKey, keyPrefix, scopes, expiresAt };
+  }
+
+  /**
+   * Valida a chave e registra o uso
+   * Retorna null se a chave não existir, estiver revogada ou expirada
+   */
+  async verify(rawKey, ip = null) {
+    const row = await apiKeyQueries.findByHash(this.hash(rawKey));
+    if (!row || row.revoked_at) return null;
+    if (row.expires_at && new Date(row.expires_at).getTime() < Date.now()) return null;
+
+    apiKeyQueries.touch(row.id, ip).catch(error => {
+      logger.error(`Erro ao registrar uso da chave ${row.key_prefix}: ${error.message}`);
+    });
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      scopes: this.parseScopes(row.scopes)
+    };
+  }
+
+  async list(userId) {
+    const keys = await apiKeyQueries.findByUserId(userId);
+    return keys.map(k => ({
+      id: k.id,
+      name: k.name,
+      keyPrefix: k.key_prefix,
+      scopes: this.parseScopes(k.scopes),
+      expiresAt: k.expires_at,
+      lastUsedAt: k.last_used_at,
+      lastUsedIp: k.last_used_ip,
+      revokedAt: k.revoked_at,
+      createdAt: k.created_at
+    }));
+  }
+
+  /**
+   * Revoga uma chave do usuário. Retorna false se ela não existir
+   */
+  async revoke(id, userId) {
+    const key = await apiKeyQueries.findByIdAndUserId(id, userId);
+    if (!key) return false;
+
+    await apiKeyQueries.revoke(id, userId);
+    logger.info(`Chave de API revogada: ${key.key_prefix}... (usuário ${userId})`);
+    return true;
+  }
+
+  parseScopes(scopes) {
+    return (scopes || '').split(',').filter(Boolean);
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,107 @@
+import { appStateQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Extrai o telefone de um JID de conversa individual (grupos e @lid são ignorados)
+ */
+function phoneFromJid(jid) {
+  if (!jid || !jid.endsWith('@s.whatsapp.net')) return null;
+  return jid.split('@')[0].split(':')[0];
+}
+
+/**
+ * Serviço de app state: guarda o que o celular sincroniza
+ * (nomes da agenda, conversas arquivadas/fixadas e etiquetas)
+ */
+class AppStateService {
+
+  /**
+   * Processa um evento repassado pelo SessionManager
+   */
+  async handle(instanceId, type, payload) {
+    try {
+      if (type === 'contacts') {
+        await this.saveContacts(instanceId, payload);
+      } else if (type === 'chats') {
+        await this.saveChats(instanceId, payload);
+      } else if (type === 'label') {
+        await this.saveLabel(instanceId, payload);
+      } else if (type === 'label-association') {
+        await this.saveLabelAssociation(instanceId, payload);
+      }
+    } catch (error) {
+      logger.error(`Erro ao processar app state (${type}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Nome salvo na agenda do celular (contacts.upsert / contacts.update)
+   */
+  async saveContacts(instanceId, contacts = []) {
+    let saved = 0;
+    for (const contact of contacts) {
+      const phone = phoneFromJid(contact.id);
+      const name = contact.name || contact.verifiedName;
+      if (!phone || !name) continue;
+
+      await appStateQueries.upsertContactName(instanceId, phone, name);
+      saved++;
+    }
+
+    if (saved > 0) {
+      logger.info(`📇 ${saved} nome(s) da agenda sincronizado(s) para ${instanceId}`);
+    }
+  }
+
+  /**
+   * Conversas arquivadas/fixadas (chats.upsert / chats.update)
+   */
+  async saveChats(instanceId, chats = []) {
+    for (const chat of chats) {
+      const phone = phoneFromJid(chat.id);
+      if (!phone) continue;
+
+      const archived = chat.archived === undefined || chat.archived === null ? null : (chat.archived ? 1 : 0);
+      // pinned vem como timestamp da fixação (0/null = desafixada)
+      const pinned = chat.pinned === undefined ? null : (chat.pinned ? 1 : 0);
+      if (archived === null && pinned === null) continue;
+
+      await appStateQueries.upsertChatState(instanceId, phone, archived, pinned);
+    }
+  }
+
+  async saveLabel(instanceId, label) {
+    if (!label?.id) return;
+    await appStateQueries.upsertLabel(instanceId, String(label.id), label.name || '', label.color ?? null, !!label.deleted);
+  }
+
+  async saveLabelAssociation(instanceId, { association, type } = {}) {
+    if (association?.type !== 'chat') return;
+
+    const phone = phoneFromJid(association.chatId);
+    if (!phone || !association.labelId) return;
+
+    if (type === 'remove') {
+      await appStateQueries.removeChatLabel(instanceId, phone, String(association.labelId));
+    } else {
+      await appStateQueries.addChatLabel(instanceId, phone, String(association.labelId));
+    }
+  }
+
+  /**
+   * Etiquetas por telefone: { [phone]: [{ id, name, color }] }
+   */
+  async getLabelsByPhone(instanceId) {
+    const rows = await appStateQueries.findChatLabels(instanceId);
+    return rows.reduce((acc, row) => {
+      (acc[row.phone] = acc[row.phone] || []).push({ id: row.label_id, name: row.name, color: row.color });
+      return acc;
+    }, {});
+  }
+
+  async clear(instanceId) {
+    await appStateQueries.deleteAll(instanceId);
+  }
+}
+
+export default new AppStateService();
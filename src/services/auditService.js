@@ -0,0 +1,76 @@
+import { auditQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Serviço de auditoria de ações administrativas e de envio de mensagens
+ * Falhas ao gravar são registradas no log, mas nunca interrompem a requisição
+ */
+class AuditService {
+
+  /**
+   * Identifica quem executou a ação a partir da requisição
+   */
+  getActor(req) {
+    if (req.apiKey) {
+      return { actorUserId: req.user?.id || null, actorType: 'api_key', actorLabel: req.apiKey.name };
+    }
+    if (req.user) {
+      return { actorUserId: req.user.id, actorType: 'user', actorLabel: req.user.email || null };
+    }
+    return { actorUserId: null, actorType: 'anonymous', actorLabel: null };
+  }
+
+  /**
+   * Registra uma ação
+   * @param {object} req - Requisição Express (ator, IP e user agent)
+   * @param {string} action - Ex.: 'instance.delete', 'message.send'
+   * @param {object} options - { organizationId, targetType, targetId, details, actor }
+   */
+  async record(req, action, { organizationId = null, targetType = null, targetId = null, details = null, actor = null } = {}) {
+    try {
+      const resolvedActor = actor || this.getActor(req);
+
+      await auditQueries.create({
+        organizationId,
+        ...resolvedActor,
+        action,
+        targetType,
+        targetId: targetId !== null && targetId !== undefined ? String(targetId) : null,
+        ip: req?.ip || null,
+        userAgent: req?.get?.('user-agent') || null,
+        details: details ? JSON.stringify(details) : null
+      });
+    } catch (error) {
+      logger.error(`Erro ao registrar auditoria (${action}): ${error.message}`);
+    }
+  }
+
+  async search(filters) {
+    const rows = await auditQueries.search(filters);
+    return rows.map(row => ({
+      id: row.id,
+      organizationId: row.organization_id,
+      actorUserId: row.actor_user_id,
+      actorType: row.actor_type,
+      actorLabel: row.actor_label,
+      action: row.action,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      details: this.parseDetails(row.details),
+      createdAt: row.created_at
+    }));
+  }
+
+  parseDetails(details) {
+    if (!details) return null;
+    try {
+      return JSON.parse(details);
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { connectTokenQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+export const DEFAULT_CONNECT_TOKEN_HOURS = 24;
+export const DEFAULT_CONNECT_TOKEN_MAX_USES = 5;
+
+/**
+ * Serviço de tokens dos links públicos de conexão
+ * Um uso é consumido quando o WhatsApp é conectado pelo link (abrir a página ou reconectar o socket não conta);
+ * o socket revalida o token a cada pedido de QR para respeitar revogações, expiração e o limite de usos
+ */
+class ConnectTokenService {
+
+  hash(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  /**
+   * Cria um token e retorna o valor em texto puro (só aparece no link gerado)
+   */
+  async create(instanceId, userId, { expiresInHours = DEFAULT_CONNECT_TOKEN_HOURS, maxUses = DEFAULT_CONNECT_TOKEN_MAX_USES } = {}) {
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString();
+
+    const result = await connectTokenQueries.create(
+      instanceId,
+      userId,
+      rawToken.substring(0, 8),
+      this.hash(rawToken),
+      expiresAt,
+      maxUses
+    );
+
+    return { id: result.id, token: rawToken, expiresAt, maxUses };
+  }
+
+  /**
+   * Indica se o token ainda pode ser usado para a instância (não revogado, não expirado e com uso disponível)
+   */
+  async validate(rawToken, instanceId = null) {
+    if (typeof rawToken !== 'string' || !rawToken) return null;
+
+    const row = await connectTokenQueries.findByHash(this.hash(rawToken));
+    if (!row) return null;
+    if (instanceId && row.instance_id !== instanceId) return null;
+    if (row.revoked_at) return null;
+    if (new Date(row.expires_at).getTime() < Date.now()) return null;
+
+    if (row.use_count >= row.max_uses) {
+      logger.warn(`Link de conexão ${row.token_prefix}... atingiu o limite de ${row.max_uses} usos`);
+      return null;
+    }
+
+    return row;
+  }
+
+  /**
+   * Registra um uso do link (pareamento concluído), de forma atômica
+   * Retorna false se o link foi revogado ou já não tinha usos disponíveis
+   */
+  async recordUse(id) {
+    const consumed = await connectTokenQueries.consumeUse(id);
+    if (!consumed) {
+      logger.warn(`Uso do link de conexão ${id} não registrado: link revogado ou sem usos disponíveis`);
+    }
+    return consumed;
+  }
+
+  /**
+   * Lista os links de uma instância com o status calculado
+   */
+  async list(instanceId) {
+    const rows = await connectTokenQueries.findByInstanceId(instanceId);
+    const now = Date.now();
+
+    return rows.map(t => {
+      let status = 'active';
+      if (t.revoked_at) status = 'revoked';
+      else if (new Date(t.expires_at).getTime() < now) status = 'expired';
+      else if (t.use_count >= t.max_uses) status = 'exhausted';
+
+      return {
+        id: t.id,
+        tokenPrefix: t.token_prefix,
+        status,
+        expiresAt: t.expires_at,
+        maxUses: t.max_uses,
+        useCount: t.use_count,
+        lastUsedAt: t.last_used_at,
+        revokedAt: t.revoked_at,
+        createdAt: t.created_at,
+        createdBy: t.created_by_name
+      };
+    });
+  }
+
+  /**
+   * Revoga um link da instância. Retorna false se ele não existir
+   */
+  async revoke(id, instanceId) {
+    const row = await connectTokenQueries.findByIdAndInstanceId(id, instanceId);
+    if (!row) return false;
+
+    await connectTokenQueries.revoke(id);
+    logger.info(`Link de conexão revogado: ${row.token_prefix}... (${instanceId})`);
+    return true;
+  }
+}
+
+export default new ConnectTokenService();
@@ -0,0 +1,123 @@
+import { connectionEventQueries, toTime } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+// Motivos de desconexão conhecidos do Baileys (DisconnectReason)
+const DISCONNECT_REASONS = {
+  401: 'Aparelho desconectado pelo celular',
+  403: 'Acesso negado pelo WhatsApp',
+  408: 'Conexão perdida ou tempo esgotado',
+  411: 'Versão de multi-aparelho incompatível',
+  428: 'Conexão encerrada pelo servidor do WhatsApp',
+  440: 'Sessão substituída por outra conexão',
+  500: 'Sessão corrompida',
+  503: 'Serviço do WhatsApp indisponível',
+  515: 'Reinício solicitado pelo WhatsApp'
+};
+
+const MAX_EVENTS = 50;
+
+/**
+ * Histórico de conexão das instâncias (abertura, queda, QR Code, reconexões)
+ * e relatório de disponibilidade por período
+ */
+class ConnectionHistoryService {
+
+  describeDisconnect(statusCode) {
+    if (!statusCode) return 'Conexão encerrada';
+    return DISCONNECT_REASONS[statusCode] || `Conexão encerrada (código ${statusCode})`;
+  }
+
+  /**
+   * Registra um evento de conexão. Falhas vão para o log e não interrompem o fluxo
+   * @param {string} event - 'open', 'close', 'qr', 'qr_loop', 'reconnect' ou 'failed'
+   */
+  async record(instanceId, event, { statusCode = null, reason = null } = {}) {
+    try {
+      const resolvedReason = reason || (event === 'close' ? this.describeDisconnect(statusCode) : null);
+      await connectionEventQueries.create(instanceId, event, statusCode, resolvedReason);
+    } catch (error) {
+      logger.error(`Erro ao registrar evento de conexão (${event}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Fecha o intervalo das instâncias que estavam conectadas quando o servidor responsável parou,
+   * para que o tempo fora do ar não conte como disponível
+   * @param {string[]} instanceIds - instâncias que ficaram sem servidor
+   */
+  async closeInterrupted(instanceIds, reason = 'Servidor reiniciado') {
+    const leftOpen = (await connectionEventQueries.findInstancesLeftOpen())
+      .filter(instanceId => instanceIds.includes(instanceId));
+
+    for (const instanceId of leftOpen) {
+      await this.record(instanceId, 'close', { reason });
+    }
+    return leftOpen.length;
+  }
+
+  /**
+   * Disponibilidade da instância entre startDate e endDate (YYYY-MM-DD, padrão: últimos 30 dias)
+   */
+  async getUptimeReport(instance, startDate = null, endDate = null) {
+    const today = new Date().toISOString().split('T')[0];
+    const end = endDate || today;
+    const start = startDate || new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const from = `${start} 00:00:00`;
+    const to = `${end} 23:59:59`;
+
+    // Só conta o tempo em que a instância existia e que já passou
+    const periodStart = Math.max(toTime(from), toTime(instance.created_at));
+    const periodEnd = Math.min(toTime(to) + 999, Date.now());
+
+    const [previous, changes, counts, reasons, events] = await Promise.all([
+      connectionEventQueries.findLastStateChangeBefore(instance.id, from),
+      connectionEventQueries.findStateChanges(instance.id, from, to),
+      connectionEventQueries.countByEvent(instance.id, from, to),
+      connectionEventQueries.countCloseReasons(instance.id, from, to),
+      connectionEventQueries.findByInstanceId(instance.id, from, to, MAX_EVENTS)
+    ]);
+
+    let connected = previous?.event === 'open';
+    let cursor = periodStart;
+    let connectedMs = 0;
+    // Quedas de uma conexão ativa (fechamentos durante reconexão não contam de novo)
+    let disconnects = 0;
+
+    for (const change of changes) {
+      const at = Math.min(Math.max(toTime(change.created_at), periodStart), periodEnd);
+      if (connected) {
+        connectedMs += at - cursor;
+        if (change.event === 'close') disconnects++;
+      }
+      cursor = at;
+      connected = change.event === 'open';
+    }
+    if (connected) connectedMs += Math.max(periodEnd - cursor, 0);
+
+    const monitoredMs = Math.max(periodEnd - periodStart, 0);
+    const countOf = (event) => parseInt(counts.find(c => c.event === event)?.total) || 0;
+
+    return {
+      startDate: start,
+      endDate: end,
+      uptimePercent: monitoredMs > 0 ? Math.round((connectedMs / monitoredMs) * 1000) / 10 : null,
+      connectedSeconds: Math.round(connectedMs / 1000),
+      monitoredSeconds: Math.round(monitoredMs / 1000),
+      disconnects,
+      reconnectAttempts: countOf('reconnect'),
+      qrCodes: countOf('qr'),
+      qrLoops: countOf('qr_loop'),
+      failures: countOf('failed'),
+      reasons: reasons.map(r => ({ reason: r.reason, count: parseInt(r.total) || 0 })),
+      events: events.map(e => ({
+        event: e.event,
+        statusCode: e.status_code,
+        reason: e.reason,
+        createdAt: new Date(toTime(e.created_at)).toISOString()
+      }))
+    };
+  }
+}
+
+export default new ConnectionHistoryService();
@@ -0,0 +1,176 @@
+import { logger } from '../config/logger.js';
+
+/**
+ * Eventos internos publicados pelo SessionManager
+ */
+export const EVENTS = Object.freeze({
+  MESSAGE_RECEIVED: 'message.received',
+  MESSAGE_UPDATED: 'message.updated',
+  MESSAGE_EDITED: 'message.edited',
+  MESSAGE_DELETED: 'message.deleted',
+  MESSAGE_ACK: 'message.ack',
+  PRESENCE: 'presence.update',
+  CALL: 'call',
+  CONNECTION_STATE: 'connection.state',
+  APP_STATE: 'app-state.update',
+  GROUP_UPDATE: 'group.update'
+});
+
+/**
+ * @typedef {object} MessageReceivedEvent - mensagem nova com conteúdo, de conversa individual ou de grupo
+ * @property {string} sessionId
+ * @property {string} phone - telefone do contato (sem @s.whatsapp.net) ou JID do grupo (...@g.us)
+ * @property {string} conversationType - 'direct' ou 'group'
+ * @property {object} message
+ * @property {string} message.messageId
+ * @property {boolean} message.fromMe
+ * @property {string} message.body
+ * @property {string} message.timestamp - ISO 8601
+ * @property {string|null} message.contactName - pushName de quem enviou (só em conversas individuais)
+ * @property {string} message.mediaType - 'text', 'image', 'video', 'audio', 'document', 'sticker', 'location' ou 'contact'
+ * @property {string|null} message.participant - em grupos, telefone (ou ID) de quem escreveu
+ * @property {string|null} message.participantName - em grupos, pushName de quem escreveu
+ * @property {object} raw - WAMessage original do Baileys (ex.: para baixar a mídia); não repassar aos clientes
+ */
+
+/**
+ * @typedef {object} MessageUpdatedEvent - alteração de uma mensagem já enviada/recebida (exceto status de entrega)
+ * @property {string} sessionId
+ * @property {object} key - WAMessageKey ({ remoteJid, id, fromMe, participant })
+ * @property {object} update - campos alterados (Partial<WAMessage>)
+ */
+
+/**
+ * @typedef {object} MessageEditedEvent - mensagem editada por quem enviou
+ * @property {string} sessionId
+ * @property {string} phone - telefone do contato ou JID do grupo (...@g.us)
+ * @property {string} messageId - ID da mensagem original
+ * @property {boolean} fromMe - edição feita por esta conta
+ * @property {string|null} participant - em grupos, quem editou (null quando fromMe)
+ * @property {string} body - novo texto
+ * @property {string} timestamp - ISO 8601
+ */
+
+/**
+ * @typedef {object} MessageDeletedEvent - mensagem apagada para todos
+ * @property {string} sessionId
+ * @property {string} phone - telefone do contato ou JID do grupo (...@g.us)
+ * @property {string} messageId - ID da mensagem original
+ * @property {boolean} fromMe - apagada por esta conta
+ * @property {string|null} participant - em grupos, quem apagou (null quando fromMe)
+ * @property {string} timestamp - ISO 8601
+ */
+
+/**
+ * @typedef {object} MessageAckEvent - confirmação de envio, entrega ou leitura
+ * @property {string} sessionId
+ * @property {string} messageId
+ * @property {string} remoteJid
+ * @property {boolean} fromMe
+ * @property {string|null} participant - em grupos, quem confirmou
+ * @property {string} status - 'error', 'pending', 'server', 'delivered', 'read' ou 'played'
+ * @property {string} timestamp - ISO 8601
+ */
+
+/**
+ * @typedef {object} PresenceEvent - digitando, gravando, online...
+ * @property {string} sessionId
+ * @property {string} jid - conversa
+ * @property {object} presences - { [participantJid]: { lastKnownPresence, lastSeen } }
+ */
+
+/**
+ * @typedef {object} CallEvent - chamada de voz ou vídeo recebida
+ * @property {string} sessionId
+ * @property {string} callId
+ * @property {string} from - JID de quem ligou
+ * @property {boolean} isVideo
+ * @property {boolean} isGroup
+ * @property {string} status - 'offer', 'ringing', 'timeout', 'reject', 'accept' ou 'terminate'
+ * @property {string} timestamp - ISO 8601
+ */
+
+/**
+ * @typedef {object} ConnectionStateEvent - mudança no estado da conexão; os demais campos dependem de `state`:
+ * - 'qr': { qr, attempt, maxAttempts }
+ * - 'pairing-code': { code }
+ * - 'open': { phone, user }
+ * - 'close': { shouldReconnect, statusCode, failed }
+ * - 'reconnecting': { attempt, maxAttempts, delayMs }
+ * - 'qr-loop': { message }
+ * - 'failed': { attempts, statusCode, error }
+ * @property {string} sessionId
+ * @property {string} state
+ */
+
+/**
+ * @typedef {object} AppStateEvent - dados sincronizados do celular
+ * @property {string} sessionId
+ * @property {string} type - 'contacts', 'chats', 'label' ou 'label-association'
+ * @property {*} payload - como recebido do Baileys
+ */
+
+/**
+ * @typedef {object} GroupUpdateEvent - assunto ou participantes de um grupo mudaram
+ * @property {string} sessionId
+ * @property {string} jid - JID do grupo (...@g.us)
+ */
+
+const KNOWN_EVENTS = new Set(Object.values(EVENTS));
+
+/**
+ * Barramento de eventos interno: cada assinante roda isolado (o erro de um não afeta os outros)
+ * e emit() resolve quando todos terminam
+ */
+class EventBus {
+  constructor() {
+    this.subscribers = new Map(); // evento -> Set<handler>
+  }
+
+  /**
+   * Assina um evento. Retorna a função que cancela a assinatura
+   * @param {string} event - um dos valores de EVENTS
+   * @param {function(object): (void|Promise<void>)} handler
+   */
+  on(event, handler) {
+    if (!KNOWN_EVENTS.has(event)) {
+      throw new Error(`Evento desconhecido: ${event}`);
+    }
+
+    if (!this.subscribers.has(event)) {
+      this.subscribers.set(event, new Set());
+    }
+    this.subscribers.get(event).add(handler);
+
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    this.subscribers.get(event)?.delete(handler);
+  }
+
+  listenerCount(event) {
+    return this.subscribers.get(event)?.size || 0;
+  }
+
+  /**
+   * Entrega o payload a todos os assinantes, em paralelo
+   * Nunca rejeita: falhas de assinantes vão para o log
+   */
+  async emit(event, payload) {
+    if (!KNOWN_EVENTS.has(event)) {
+      throw new Error(`Evento desconhecido: ${event}`);
+    }
+
+    const handlers = [...(this.subscribers.get(event) || [])];
+    await Promise.all(handlers.map(async (handler) => {
+      try {
+        await handler(payload);
+      } catch (error) {
+        logger.error(`Erro em assinante do evento ${event}: ${error.message}`);
+      }
+    }));
+  }
+}
+
+export default new EventBus();
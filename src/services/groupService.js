@@ -0,0 +1,50 @@
+import { groupQueries, toTime } from '../db/database.js';
+import { logger } from '../config/logger.js';
+import sessionManager from '../whatsapp/sessionManager.js';
+
+// Metadados em cache são buscados de novo depois desse prazo (mudanças avisadas pelo WhatsApp invalidam antes)
+const GROUP_METADATA_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Serviço de grupos: cache do assunto e do número de participantes de cada grupo
+ */
+class GroupService {
+
+  /**
+   * Assunto e número de participantes do grupo. Usa o cache enquanto ele for válido;
+   * se o WhatsApp não responder, devolve o cache vencido (ou null)
+   * @param {object} instance - instância dona do grupo
+   * @param {string} groupJid - JID do grupo (...@g.us)
+   * @param {object} [options]
+   * @param {boolean} [options.force] - ignora o cache válido
+   */
+  async getMetadata(instance, groupJid, { force = false } = {}) {
+    const cached = await groupQueries.findMetadata(instance.id, groupJid);
+    if (cached && !force && Date.now() - toTime(cached.updated_at) < GROUP_METADATA_TTL_MS) {
+      return { subject: cached.subject, participantCount: cached.participant_count };
+    }
+
+    try {
+      const metadata = await sessionManager.fetchGroupMetadata(instance.session_id, groupJid);
+      const participantCount = metadata.participants?.length || 0;
+      await groupQueries.saveMetadata(instance.id, groupJid, metadata.subject || null, participantCount);
+      return { subject: metadata.subject || null, participantCount };
+    } catch (error) {
+      logger.warn(`Não foi possível buscar os dados do grupo ${groupJid}: ${error.message}`);
+      return cached ? { subject: cached.subject, participantCount: cached.participant_count } : null;
+    }
+  }
+
+  /**
+   * Busca os dados do grupo de novo (assunto ou participantes mudaram)
+   */
+  async refresh(instance, groupJid) {
+    try {
+      await this.getMetadata(instance, groupJid, { force: true });
+    } catch (error) {
+      logger.error(`Erro ao atualizar dados do grupo ${groupJid}: ${error.message}`);
+    }
+  }
+}
+
+export default new GroupService();
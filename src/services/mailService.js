@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from '../config/logger.js';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Transporte SMTP (produção)
+ * Configurado por SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER e SMTP_PASS
+ */
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) {
+    throw new Error('SMTP_HOST é obrigatório para MAIL_TRANSPORT=smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(mail) {
+      await transporter.sendMail(mail);
+      logger.info(`Email enviado para ${mail.to} via SMTP`);
+    }
+  };
+}
+
+/**
+ * Transporte que grava cada email como arquivo JSON em um diretório (testes locais)
+ */
+export function createOutboxTransport(dir) {
+  return {
+    name: 'outbox',
+    async send(mail) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}_${Math.random().toString(36).substr(2, 6)}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2));
+      logger.info(`Email para ${mail.to} salvo em ${file}`);
+    }
+  };
+}
+
+/**
+ * Transporte que apenas registra destinatário e assunto no log (nunca o corpo, que pode conter tokens)
+ */
+export function createLogTransport() {
+  return {
+    name: 'log',
+    async send(mail) {
+      logger.info(`[mail] Para: ${mail.to} | Assunto: ${mail.subject}`);
+    }
+  };
+}
+
+/**
+ * Cria o transporte de MAIL_TRANSPORT
+ * Em produção só o SMTP é aceito: outbox e log gravariam links de redefinição fora do email
+ */
+function createDefaultTransport() {
+  const transport = process.env.MAIL_TRANSPORT || (isProduction ? 'smtp' : 'outbox');
+
+  if (transport === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || null,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+
+  if (transport !== 'outbox' && transport !== 'log') {
+    throw new Error(`MAIL_TRANSPORT desconhecido: ${transport} (use smtp, outbox ou log)`);
+  }
+
+  if (isProduction) {
+    throw new Error(`MAIL_TRANSPORT=${transport} é só para testes locais e não é permitido em produção`);
+  }
+
+  return transport === 'log'
+    ? createLogTransport()
+    : createOutboxTransport(process.env.MAIL_OUTBOX_DIR || 'mail_outbox');
+}
+
+/**
+ * Serviço de envio de emails com transporte plugável
+ * Um transporte é qualquer objeto com `send({ from, to, subject, text, html })`
+ * Sem transporte válido o serviço fica desativado e todo envio falha (nunca cai em outro transporte)
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.from = process.env.MAIL_FROM || 'Oregon Analytics <no-reply@oregon.local>';
+
+    try {
+      this.transport = createDefaultTransport();
+    } catch (error) {
+      logger.error(`Envio de emails desativado: ${error.message}`);
+    }
+  }
+
+  /**
+   * Substitui o transporte (ex.: API de email ou transporte de testes)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  isConfigured() {
+    return this.transport !== null;
+  }
+
+  async send({ to, subject, text, html }) {
+    if (!this.transport) {
+      throw new Error('Envio de emails não configurado (verifique MAIL_TRANSPORT)');
+    }
+
+    await this.transport.send({ from: this.from, to, subject, text, html });
+  }
+
+  async sendPasswordReset(user, resetLink, expiresInMinutes) {
+    await this.send({
+      to: user.email,
+      subject: 'Redefinição de senha - Oregon Analytics',
+      text: [
+        `Olá, ${user.name}!`,
+        '',
+        'Recebemos um pedido para redefinir a sua senha.',
+        `Acesse o link abaixo em até ${expiresInMinutes} minutos:`,
+        '',
+        resetLink,
+        '',
+        'Se você não fez este pedido, ignore este email.'
+      ].join('\n')
+    });
+  }
+}
+
+export default new MailService();
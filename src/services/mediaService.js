@@ -0,0 +1,219 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { instanceQueries, mediaQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+import sessionManager from '../whatsapp/sessionManager.js';
+
+// Arquivos maiores que isso não são baixados (a mensagem continua registrada com o texto)
+export const MEDIA_MAX_SIZE_MB = parseInt(process.env.MEDIA_MAX_SIZE_MB) || 25;
+// Retenção padrão dos arquivos; cada instância pode definir a sua (0 = sem limite)
+export const MEDIA_RETENTION_DAYS = process.env.MEDIA_RETENTION_DAYS !== undefined
+  ? parseInt(process.env.MEDIA_RETENTION_DAYS) || 0
+  : 90;
+
+// Conteúdo de cada tipo de mídia dentro da mensagem do Baileys
+const MEDIA_CONTENT = {
+  image: 'imageMessage',
+  video: 'videoMessage',
+  audio: 'audioMessage',
+  document: 'documentMessage',
+  sticker: 'stickerMessage'
+};
+
+// Tipos aceitos no envio pelo dashboard e como cada um vai para o WhatsApp
+export const SENDABLE_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/webp': 'image',
+  'video/mp4': 'video',
+  'video/3gpp': 'video',
+  'audio/ogg': 'audio',
+  'audio/mpeg': 'audio',
+  'audio/mp4': 'audio',
+  'audio/aac': 'audio',
+  'audio/amr': 'audio',
+  'application/pdf': 'document',
+  'application/msword': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.ms-excel': 'document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'document',
+  'application/vnd.ms-powerpoint': 'document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'document',
+  'application/zip': 'document',
+  'text/plain': 'document',
+  'text/csv': 'document'
+};
+
+const PRUNE_BATCH_SIZE = 200;
+
+/**
+ * Armazenamento em disco local (padrão)
+ */
+export function createLocalStorage(dir) {
+  const root = path.resolve(dir);
+
+  // As chaves são geradas pelo serviço, mas nunca saem do diretório
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Chave de mídia inválida: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+    async read(key) {
+      const file = resolve(key);
+      await fsp.access(file);
+      return fs.createReadStream(file);
+    },
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+function createDefaultStorage() {
+  const storage = process.env.MEDIA_STORAGE || 'local';
+
+  if (storage !== 'local') {
+    logger.warn(`MEDIA_STORAGE desconhecido (${storage}). Usando local.`);
+  }
+
+  return createLocalStorage(process.env.MEDIA_DIR || 'media_storage');
+}
+
+/**
+ * Serviço de mídia: baixa imagens, áudios, vídeos e documentos das mensagens
+ * e guarda os arquivos em um armazenamento plugável
+ * Um armazenamento é qualquer objeto com `put(key, buffer)`, `read(key)` (stream) e `remove(key)`
+ */
+class MediaService {
+  constructor() {
+    this.storage = createDefaultStorage();
+  }
+
+  /**
+   * Substitui o armazenamento (ex.: S3 ou outro object storage em produção)
+   */
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Baixa e guarda a mídia de uma mensagem já registrada
+   * Retorna { id, mimetype, size, fileName } ou null (sem mídia, grande demais ou falha no download)
+   * @param {object} instance - instância que recebeu a mensagem
+   * @param {object} msg - WAMessage do Baileys
+   * @param {number} messageId - id da mensagem na tabela messages
+   */
+  async saveFromMessage(instance, msg, messageId) {
+    const mediaType = Object.keys(MEDIA_CONTENT).find(type => msg?.message?.[MEDIA_CONTENT[type]]);
+    if (!mediaType || !messageId) return null;
+
+    const content = msg.message[MEDIA_CONTENT[mediaType]];
+    const declaredSize = Number(content.fileLength || 0);
+    if (declaredSize > MEDIA_MAX_SIZE_MB * 1024 * 1024) {
+      logger.info(`📎 Mídia de ${Math.round(declaredSize / 1024 / 1024)}MB ignorada (limite: ${MEDIA_MAX_SIZE_MB}MB)`);
+      return null;
+    }
+
+    try {
+      const buffer = await sessionManager.downloadMedia(instance.session_id, msg);
+      return await this.save(instance, messageId, {
+        mediaType,
+        mimetype: content.mimetype?.split(';')[0] || null,
+        fileName: content.fileName || null,
+        buffer
+      });
+    } catch (error) {
+      logger.error(`Erro ao baixar mídia da mensagem ${msg.key?.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Guarda um arquivo já em memória (ex.: enviado pelo dashboard) e o associa à mensagem
+   * Retorna { id, mimetype, size, fileName }
+   * @param {object} instance - instância da conversa
+   * @param {number} messageId - id da mensagem na tabela messages
+   * @param {object} file - { mediaType, mimetype, fileName, buffer }
+   */
+  async save(instance, messageId, { mediaType, mimetype, fileName, buffer }) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const extension = path.extname(fileName || '') || (mimetype ? `.${mimetype.split('/')[1]}` : '');
+    const key = `${instance.id}/${crypto.randomUUID()}${extension.replace(/[^.\w]/g, '')}`;
+
+    await this.storage.put(key, buffer);
+    const id = await mediaQueries.create(instance.id, messageId, mediaType, mimetype, fileName, buffer.length, sha256, key);
+
+    logger.info(`📎 Mídia ${mediaType} guardada (${buffer.length} bytes) para a mensagem ${messageId}`);
+    return { id, mimetype, size: buffer.length, fileName };
+  }
+
+  /**
+   * Stream do arquivo guardado
+   * @param {object} media - linha da tabela media
+   */
+  async open(media) {
+    return this.storage.read(media.storage_key);
+  }
+
+  /**
+   * Apaga os arquivos guardados há mais dias que a retenção de cada instância
+   */
+  async prune() {
+    try {
+      const instances = await instanceQueries.findAll();
+      let removed = 0;
+
+      for (const instance of instances) {
+        const days = instance.media_retention_days ?? MEDIA_RETENTION_DAYS;
+        if (!days) continue;
+
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+          .toISOString().replace('T', ' ').substring(0, 19);
+
+        let batch;
+        do {
+          batch = await mediaQueries.findOlderThan(instance.id, cutoff, PRUNE_BATCH_SIZE);
+          for (const media of batch) {
+            await this.storage.remove(media.storage_key);
+            await mediaQueries.delete(media.id);
+            removed++;
+          }
+        } while (batch.length === PRUNE_BATCH_SIZE);
+      }
+
+      if (removed > 0) {
+        logger.info(`🧹 ${removed} arquivo(s) de mídia removido(s) pela retenção`);
+      }
+    } catch (error) {
+      logger.error(`Erro ao limpar arquivos de mídia: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apaga os arquivos de uma instância (antes de removê-la)
+   */
+  async clear(instanceId) {
+    const keys = await mediaQueries.findStorageKeysByInstance(instanceId);
+    for (const key of keys) {
+      try {
+        await this.storage.remove(key);
+      } catch (error) {
+        logger.error(`Erro ao apagar arquivo de mídia ${key}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export default new MediaService();
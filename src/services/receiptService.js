@@ -0,0 +1,86 @@
+import { messageQueries, messageStatusQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+// Ordem dos status de uma mensagem enviada: só avança (um 'delivered' atrasado não desfaz o 'read')
+const STATUS_RANK = { error: 0, pending: 1, server: 2, delivered: 3, read: 4, played: 5 };
+
+/**
+ * Decide o status da mensagem depois de uma confirmação
+ * 'error' só vale antes da mensagem chegar ao servidor
+ */
+function nextStatus(current, incoming) {
+  if (!(incoming in STATUS_RANK)) return current;
+  if (!current) return incoming;
+  if (incoming === 'error') return STATUS_RANK[current] <= STATUS_RANK.pending ? 'error' : current;
+  return STATUS_RANK[incoming] > STATUS_RANK[current] ? incoming : current;
+}
+
+/**
+ * Serviço de confirmações: status (enviada, entregue, lida) e histórico das mensagens enviadas
+ */
+class ReceiptService {
+
+  /**
+   * Registra uma confirmação vinda do WhatsApp (evento message.ack)
+   * Em grupos, a confirmação de cada participante só entra no histórico
+   * @param {string} instanceId
+   * @param {object} ack - { messageId, fromMe, participant, status, timestamp }
+   * @returns {object|null} mensagem atualizada ({ id, contactId, messageId, status }) ou null
+   */
+  async record(instanceId, { messageId, fromMe, participant, status, timestamp }) {
+    // Confirmações de mensagens recebidas são as que esta conta enviou (leitura pelo celular)
+    if (!fromMe || !messageId) return null;
+
+    try {
+      await messageStatusQueries.create(instanceId, messageId, status, participant || null, timestamp);
+
+      if (participant) return null;
+
+      const message = await messageQueries.findByMessageId(instanceId, messageId);
+      // A confirmação pode chegar antes da mensagem ser registrada: applyHistory cobre esse caso
+      if (!message) return null;
+
+      return this.apply(message, [{ status, status_at: timestamp }]);
+    } catch (error) {
+      logger.error(`Erro ao registrar confirmação da mensagem ${messageId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Aplica as confirmações recebidas antes da mensagem ser registrada
+   */
+  async applyHistory(instanceId, messageId) {
+    if (!messageId) return;
+
+    try {
+      const history = (await messageStatusQueries.findByMessageId(instanceId, messageId))
+        .filter(h => !h.participant);
+      if (!history.length) return;
+
+      const message = await messageQueries.findByMessageId(instanceId, messageId);
+      if (message) await this.apply(message, history);
+    } catch (error) {
+      logger.error(`Erro ao aplicar confirmações da mensagem ${messageId}: ${error.message}`);
+    }
+  }
+
+  async apply(message, changes) {
+    let status = message.status;
+    let deliveredAt = null;
+    let readAt = null;
+
+    for (const { status: incoming, status_at: at } of changes) {
+      status = nextStatus(status, incoming);
+      if (STATUS_RANK[incoming] >= STATUS_RANK.delivered) deliveredAt = deliveredAt || at;
+      if (STATUS_RANK[incoming] >= STATUS_RANK.read) readAt = readAt || at;
+    }
+
+    if (status === message.status && !deliveredAt && !readAt) return null;
+
+    await messageQueries.updateStatus(message.id, status, deliveredAt, readAt);
+    return { id: message.id, contactId: message.contact_id, messageId: message.message_id, status };
+  }
+}
+
+export default new ReceiptService();
@@ -0,0 +1,69 @@
+import { messageQueries, messageRevisionQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+/**
+ * Encontra a mensagem original, desde que a edição/remoção venha da mesma conversa e do mesmo autor
+ * (um contato não pode reescrever mensagens desta conta, de outro participante ou de outra conversa)
+ */
+async function findOwnMessage(instanceId, { phone, messageId, fromMe, participant }) {
+  const message = await messageQueries.findInConversation(instanceId, phone, messageId);
+  if (!message) return null;
+
+  if (Boolean(message.from_me) !== Boolean(fromMe) || (message.participant || null) !== (participant || null)) {
+    logger.warn(`Revisão da mensagem ${messageId} ignorada: não veio do autor da mensagem`);
+    return null;
+  }
+
+  return message;
+}
+
+/**
+ * Serviço de revisões: edições e remoções ("apagar para todos") de mensagens já registradas
+ * O texto anterior nunca é perdido: edições guardam a versão substituída e remoções só marcam a mensagem
+ */
+class RevisionService {
+
+  /**
+   * Registra a edição de uma mensagem
+   * @param {string} instanceId
+   * @param {object} edit - { phone, messageId, fromMe, participant, body, timestamp }
+   * @returns {object|null} mensagem atualizada ({ id, contactId, messageId, body, editedAt }) ou null
+   */
+  async recordEdit(instanceId, { phone, messageId, fromMe, participant, body, timestamp }) {
+    try {
+      const message = await findOwnMessage(instanceId, { phone, messageId, fromMe, participant });
+      // Mensagem anterior ao monitoramento (ou de grupo não monitorado)
+      if (!message || message.body === body) return null;
+
+      await messageRevisionQueries.create(instanceId, message.id, message.body, timestamp);
+      await messageQueries.applyEdit(message.id, body, timestamp);
+
+      return { id: message.id, contactId: message.contact_id, messageId, body, editedAt: timestamp };
+    } catch (error) {
+      logger.error(`Erro ao registrar edição da mensagem ${messageId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Marca uma mensagem como apagada para todos
+   * @param {string} instanceId
+   * @param {object} deletion - { phone, messageId, fromMe, participant, timestamp }
+   * @returns {object|null} mensagem atualizada ({ id, contactId, messageId, deletedAt }) ou null
+   */
+  async recordDelete(instanceId, { phone, messageId, fromMe, participant, timestamp }) {
+    try {
+      const message = await findOwnMessage(instanceId, { phone, messageId, fromMe, participant });
+      if (!message || message.deleted_at) return null;
+
+      await messageQueries.markDeleted(message.id, timestamp);
+
+      return { id: message.id, contactId: message.contact_id, messageId, deletedAt: timestamp };
+    } catch (error) {
+      logger.error(`Erro ao registrar remoção da mensagem ${messageId}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default new RevisionService();
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { sessionQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+export const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Abas abertas ao mesmo tempo podem renovar com o mesmo token; dentro desta janela não é tratado como vazamento
+const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Serviço de sessões de login do dashboard
+ * Cada sessão guarda o hash de um refresh token que é trocado a cada renovação.
+ * Reapresentar um token já trocado indica vazamento e encerra a sessão.
+ */
+class SessionService {
+  constructor() {
+    this.revokedCallbacks = [];
+  }
+
+  /**
+   * Registra callback para sessões revogadas (ex.: desconectar os sockets abertos com elas)
+   * Recebe { userId, sessionId } para uma sessão ou { userId, sessionId: null, exceptSessionId } para todas do usuário
+   */
+  onRevoked(callback) {
+    this.revokedCallbacks.push(callback);
+  }
+
+  notifyRevoked(event) {
+    this.revokedCallbacks.forEach(cb => {
+      try {
+        cb(event);
+      } catch (error) {
+        logger.error(`Erro em callback de sessão revogada: ${error.message}`);
+      }
+    });
+  }
+
+  hash(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  newExpiration() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Abre uma sessão e retorna o refresh token em texto puro
+   */
+  async create(userId, { userAgent = null, ip = null } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = this.newExpiration();
+
+    const result = await sessionQueries.create(userId, this.hash(refreshToken), userAgent, ip, expiresAt);
+
+    return { sessionId: result.id, refreshToken, expiresAt };
+  }
+
+  /**
+   * Troca o refresh token por um novo
+   * Retorna null se o token for inválido, expirado, revogado ou reutilizado
+   */
+  async rotate(rawToken, ip = null) {
+    if (!rawToken) return null;
+
+    const tokenHash = this.hash(rawToken);
+    const session = await sessionQueries.findByRefreshHash(tokenHash);
+
+    if (!session) {
+      await this.handleReusedToken(tokenHash);
+      return null;
+    }
+
+    if (session.revoked_at) return null;
+    if (new Date(session.expires_at).getTime() < Date.now()) return null;
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = this.newExpiration();
+
+    // Só troca se o token ainda for o atual: de duas renovações simultâneas, a segunda vira reaproveitamento
+    const rotated = await sessionQueries.rotate(session.id, this.hash(refreshToken), tokenHash, new Date().toISOString(), ip, expiresAt);
+    if (!rotated) {
+      await this.handleReusedToken(tokenHash);
+      return null;
+    }
+
+    return { session, refreshToken, expiresAt };
+  }
+
+  /**
+   * Token já trocado apresentado de novo: fora da janela de tolerância, encerra a sessão
+   */
+  async handleReusedToken(tokenHash) {
+    const reused = await sessionQueries.findByPreviousHash(tokenHash);
+    const withinGrace = reused?.rotated_at && Date.now() - new Date(reused.rotated_at).getTime() < REUSE_GRACE_MS;
+
+    if (reused && !reused.revoked_at && !withinGrace) {
+      await sessionQueries.revoke(reused.id);
+      this.notifyRevoked({ userId: reused.user_id, sessionId: reused.id });
+      logger.warn(`Refresh token reutilizado na sessão ${reused.id} (usuário ${reused.user_id}). Sessão encerrada.`);
+    }
+  }
+
+  /**
+   * Localiza a sessão de um refresh token sem trocá-lo (ex.: logout)
+   */
+  async findByRefreshToken(rawToken) {
+    if (!rawToken) return null;
+    return sessionQueries.findByRefreshHash(this.hash(rawToken));
+  }
+
+  async isActive(sessionId) {
+    if (!sessionId) return false;
+
+    const session = await sessionQueries.findById(sessionId);
+    if (!session || session.revoked_at) return false;
+    return new Date(session.expires_at).getTime() >= Date.now();
+  }
+
+  /**
+   * Lista as sessões ativas do usuário, marcando a atual
+   */
+  async list(userId, currentSessionId = null) {
+    const sessions = await sessionQueries.findActiveByUserId(userId);
+    const now = Date.now();
+
+    return sessions
+      .filter(s => new Date(s.expires_at).getTime() >= now)
+      .map(s => ({
+        id: s.id,
+        device: this.describeDevice(s.user_agent),
+        userAgent: s.user_agent,
+        ip: s.ip,
+        lastSeenAt: s.last_seen_at,
+        createdAt: s.created_at,
+        expiresAt: s.expires_at,
+        current: s.id === currentSessionId
+      }));
+  }
+
+  /**
+   * Revoga uma sessão do usuário. Retorna false se ela não existir
+   */
+  async revoke(sessionId, userId) {
+    const session = await sessionQueries.findById(sessionId);
+    if (!session || session.user_id !== userId || session.revoked_at) return false;
+
+    await sessionQueries.revoke(sessionId);
+    this.notifyRevoked({ userId, sessionId });
+    return true;
+  }
+
+  async revokeAll(userId, exceptSessionId = null) {
+    await sessionQueries.revokeAllForUser(userId, exceptSessionId);
+    this.notifyRevoked({ userId, sessionId: null, exceptSessionId });
+  }
+
+  /**
+   * Resume o user agent em "Navegador em Sistema"
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Dispositivo desconhecido';
+
+    const browser = [
+      ['Edg/', 'Edge'],
+      ['OPR/', 'Opera'],
+      ['Chrome/', 'Chrome'],
+      ['Firefox/', 'Firefox'],
+      ['Safari/', 'Safari']
+    ].find(([token]) => userAgent.includes(token))?.[1];
+
+    const os = [
+      ['Android', 'Android'],
+      ['iPhone', 'iOS'],
+      ['iPad', 'iOS'],
+      ['Windows', 'Windows'],
+      ['Mac OS', 'macOS'],
+      ['Linux', 'Linux']
+    ].find(([token]) => userAgent.includes(token))?.[1];
+
+    if (!browser && !os) return userAgent.substring(0, 60);
+    return [browser || 'Navegador', os].filter(Boolean).join(' em ');
+  }
+}
+
+export default new SessionService();
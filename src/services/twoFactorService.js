@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { twoFactorQueries, organizationQueries } from '../db/database.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Oregon Analytics';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Aceita o código do intervalo anterior e do próximo (relógio do celular fora de sincronia)
+const TOTP_WINDOW = 1;
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Código HOTP (RFC 4226) para o contador informado
+ */
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Serviço de verificação em duas etapas (TOTP, RFC 6238) com códigos de recuperação
+ */
+class TwoFactorService {
+
+  hashRecoveryCode(code) {
+    const normalized = code.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Procura o intervalo em que o código é válido
+   * Retorna o intervalo ou null. Intervalos já usados são recusados (evita replay)
+   */
+  matchStep(secret, code, lastStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = this.currentStep();
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = current + offset;
+      if (lastStep !== null && step <= lastStep) continue;
+
+      const expected = hotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  async getStatus(userId) {
+    const state = await twoFactorQueries.findByUserId(userId);
+    const enabled = !!state?.totp_enabled_at;
+
+    return {
+      enabled,
+      enabledAt: state?.totp_enabled_at || null,
+      required: await organizationQueries.requiresTwoFactor(userId),
+      recoveryCodesRemaining: enabled ? await twoFactorQueries.countUnusedRecoveryCodes(userId) : 0
+    };
+  }
+
+  async isEnabled(userId) {
+    const state = await twoFactorQueries.findByUserId(userId);
+    return !!state?.totp_enabled_at;
+  }
+
+  /**
+   * Gera um novo segredo pendente e o QR Code para o app autenticador
+   */
+  async startEnrollment(userId) {
+    const state = await twoFactorQueries.findByUserId(userId);
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    await twoFactorQueries.savePendingSecret(userId, secret);
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${state.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+      `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+    const qrCode = await QRCode.toDataURL(otpauthUrl, { width: 240, margin: 2 });
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Confirma o segredo pendente com um código do app e gera os códigos de recuperação
+   * Retorna os códigos em texto puro ou null se o código for inválido
+   */
+  async confirmEnrollment(userId, code) {
+    const state = await twoFactorQueries.findByUserId(userId);
+    if (!state?.totp_secret || state.totp_enabled_at) return null;
+
+    const step = this.matchStep(state.totp_secret, code);
+    if (step === null) return null;
+
+    await twoFactorQueries.enable(userId, new Date().toISOString(), step);
+    return this.regenerateRecoveryCodes(userId);
+  }
+
+  /**
+   * Valida um código do app ou um código de recuperação (que é consumido)
+   * Código e intervalo são marcados como usados de forma atômica: pedidos simultâneos não reaproveitam o mesmo
+   */
+  async verify(userId, { code, recoveryCode } = {}) {
+    const state = await twoFactorQueries.findByUserId(userId);
+    if (!state?.totp_enabled_at) return false;
+
+    if (recoveryCode) {
+      if (typeof recoveryCode !== 'string') return false;
+
+      const row = await twoFactorQueries.findUnusedRecoveryCode(userId, this.hashRecoveryCode(recoveryCode));
+      if (!row) return false;
+
+      return twoFactorQueries.markRecoveryCodeUsed(row.id);
+    }
+
+    const lastStep = state.totp_last_step !== null && state.totp_last_step !== undefined
+      ? parseInt(state.totp_last_step)
+      : null;
+    const step = this.matchStep(state.totp_secret, code, lastStep);
+    if (step === null) return false;
+
+    return twoFactorQueries.updateLastStep(userId, step);
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+    });
+
+    await twoFactorQueries.replaceRecoveryCodes(userId, codes.map(c => this.hashRecoveryCode(c)));
+    return codes;
+  }
+
+  async disable(userId) {
+    await twoFactorQueries.disable(userId);
+  }
+}
+
+export default new TwoFactorService();
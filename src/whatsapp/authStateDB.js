@@ -1,16 +1,86 @@
 import { authStateQueries } from '../db/database.js';
 import { logger } from '../config/logger.js';
-import { initAuthCreds, BufferJSON } from '@whiskeysockets/baileys';
+import { initAuthCreds, BufferJSON, proto } from '@whiskeysockets/baileys';
+
+// Chaves usadas na sincronização de app state (agenda, arquivadas, etiquetas...)
+const APP_STATE_KEY_PREFIXES = ['app-state-sync-key-', 'app-state-sync-version-'];
+
+// Máximo de chaves em cache por sessão; ao passar do limite saem as usadas há mais tempo
+const CACHE_MAX_KEYS = parseInt(process.env.AUTH_STATE_CACHE_MAX_KEYS) || 1000;
+
+/**
+ * Cache LRU das chaves de uma sessão (write-through): data_key -> valor já desserializado (null = não existe)
+ */
+class KeyCache {
+  constructor(maxKeys) {
+    this.maxKeys = maxKeys;
+    this.entries = new Map(); // ordem de inserção = do uso mais antigo ao mais recente
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+}
+
+// Caches das sessões abertas neste processo (descartados quando a sessão é encerrada)
+const sessionCaches = new Map();
+
+// Gravações em andamento (o desligamento espera por elas antes de fechar o banco)
+const pendingWrites = new Set();
+
+function trackWrite(write) {
+  pendingWrites.add(write);
+  write.finally(() => pendingWrites.delete(write));
+  return write;
+}
+
+function getSessionCache(sessionId) {
+  if (!sessionCaches.has(sessionId)) {
+    sessionCaches.set(sessionId, new KeyCache(CACHE_MAX_KEYS));
+  }
+  return sessionCaches.get(sessionId);
+}
 
 /**
- * Usa o banco de dados PostgreSQL para armazenar o estado de autenticação do WhatsApp
+ * Usa o banco de dados para armazenar o estado de autenticação do WhatsApp
+ * As chaves do Signal são lidas e gravadas em lote (uma query/transação por chamada do Baileys)
+ * e mantidas num cache em memória por sessão, limitado às chaves usadas mais recentemente
  * @param {string} sessionId - ID da sessão
+ * @param {object} options - { syncAppState }: guarda as chaves de sincronização de app state
  */
-export async function useDatabaseAuthState(sessionId) {
+export async function useDatabaseAuthState(sessionId, { syncAppState = false } = {}) {
+  const cache = getSessionCache(sessionId);
 
   const shouldIgnoreKey = (key) => {
-    // Evita chaves que podem causar problemas de sync
-    return key.startsWith('app-state-sync-key-') || key.startsWith('app-state-sync-version-');
+    // Sem a sincronização de app state ativa, as chaves são descartadas
+    return !syncAppState && APP_STATE_KEY_PREFIXES.some(prefix => key.startsWith(prefix));
   };
 
   const writeData = async (key, data) => {
@@ -18,26 +88,78 @@ export async function useDatabaseAuthState(sessionId) {
       if (shouldIgnoreKey(key)) return;
       const value = JSON.stringify(data, BufferJSON.replacer);
       await authStateQueries.set(sessionId, key, value);
+      cache.set(key, data);
     } catch (error) {
       logger.error(`Erro ao salvar auth state [${key}]: ${error.message}`);
     }
   };
 
   const readData = async (key) => {
+    if (cache.has(key)) return cache.get(key);
+
     try {
       const row = await authStateQueries.get(sessionId, key);
-      return row ? JSON.parse(row.data_value, BufferJSON.reviver) : null;
+      const value = row ? JSON.parse(row.data_value, BufferJSON.reviver) : null;
+      cache.set(key, value);
+      return value;
     } catch (error) {
       logger.error(`Erro ao ler auth state [${key}]: ${error.message}`);
       return null;
     }
   };
 
-  const removeData = async (key) => {
+  // Lê do cache e busca o que faltar numa única ida ao banco
+  // (o resultado é montado à parte: um lote maior que o cache expulsaria as primeiras chaves antes de devolvê-las)
+  const readMany = async (keys) => {
+    const values = new Map();
+    const missing = [];
+    for (const key of keys) {
+      if (cache.has(key)) values.set(key, cache.get(key));
+      else missing.push(key);
+    }
+
+    if (missing.length > 0) {
+      const startedAt = Date.now();
+      try {
+        const rows = await authStateQueries.getMany(sessionId, missing);
+        const found = new Map(rows.map(row => [row.data_key, row.data_value]));
+
+        for (const key of missing) {
+          const raw = found.get(key);
+          const value = raw ? JSON.parse(raw, BufferJSON.reviver) : null;
+          cache.set(key, value);
+          values.set(key, value);
+        }
+        logger.debug(`Auth state [${sessionId}]: ${missing.length} chave(s) lida(s) em ${Date.now() - startedAt}ms`);
+      } catch (error) {
+        logger.error(`Erro ao ler auth state em lote (${missing.length} chaves): ${error.message}`);
+      }
+    }
+
+    return keys.map(key => values.get(key) ?? null);
+  };
+
+  // Grava/remove tudo numa transação; em caso de falha o cache é descartado para não divergir do banco
+  const writeMany = async (entries) => {
+    const accepted = entries.filter(({ key }) => !shouldIgnoreKey(key));
+    if (accepted.length === 0) return;
+
+    const startedAt = Date.now();
     try {
-      await authStateQueries.delete(sessionId, key);
+      await authStateQueries.setMany(sessionId, accepted.map(({ key, value }) => ({
+        key,
+        value: value ? JSON.stringify(value, BufferJSON.replacer) : null
+      })));
+
+      for (const { key, value } of accepted) {
+        cache.set(key, value || null);
+      }
+      logger.debug(`Auth state [${sessionId}]: ${accepted.length} chave(s) gravada(s) em ${Date.now() - startedAt}ms`);
     } catch (error) {
-      logger.error(`Erro ao remover auth state [${key}]: ${error.message}`);
+      for (const { key } of accepted) {
+        cache.delete(key);
+      }
+      logger.error(`Erro ao salvar auth state em lote (${accepted.length} chaves): ${error.message}`);
     }
   };
 
@@ -58,6 +180,7 @@ export async function useDatabaseAuthState(sessionId) {
     } catch (e) {
       // ignora
     }
+    cache.clear();
     creds = initAuthCreds();
     // Persiste imediatamente
     await writeData('creds', creds);
@@ -68,34 +191,90 @@ export async function useDatabaseAuthState(sessionId) {
       creds,
       keys: {
         get: async (type, ids) => {
+          const values = await readMany(ids.map(id => `${type}-${id}`));
+
           const data = {};
-          for (const id of ids) {
-            const key = `${type}-${id}`;
-            const value = await readData(key);
+          ids.forEach((id, index) => {
+            let value = values[index];
+            // O Baileys espera o proto, não o objeto desserializado do JSON
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
             data[id] = value;
-          }
+          });
           return data;
         },
         set: async (data) => {
+          // Última escrita de cada chave vence (evita a mesma chave duas vezes no lote)
+          const entries = new Map();
           for (const [category, categoryData] of Object.entries(data)) {
             for (const [id, value] of Object.entries(categoryData)) {
-              const key = `${category}-${id}`;
-              if (value) {
-                await writeData(key, value);
-              } else {
-                await removeData(key);
-              }
+              entries.set(`${category}-${id}`, value);
             }
           }
+          await trackWrite(writeMany([...entries].map(([key, value]) => ({ key, value }))));
         }
       }
     },
     saveCreds: async () => {
-      await writeData('creds', creds);
+      await trackWrite(writeData('creds', creds));
     }
   };
 }
 
+/**
+ * Indica se a sessão tem credenciais de um aparelho já pareado
+ * (credenciais recém-criadas por initAuthCreds ainda precisam de QR Code)
+ * @param {string} sessionId - ID da sessão
+ */
+export async function hasStoredCredentials(sessionId) {
+  try {
+    const row = await authStateQueries.get(sessionId, 'creds');
+    if (!row) return false;
+
+    const creds = JSON.parse(row.data_value, BufferJSON.reviver);
+    return !!(creds?.noiseKey?.private && creds?.me?.id);
+  } catch (error) {
+    logger.error(`Erro ao verificar credenciais de ${sessionId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Remove as chaves de sincronização de app state (ao desativar a sincronização)
+ * @param {string} sessionId - ID da sessão
+ */
+export async function clearAppStateKeys(sessionId) {
+  for (const prefix of APP_STATE_KEY_PREFIXES) {
+    await authStateQueries.deleteByPrefix(sessionId, prefix);
+  }
+
+  const cache = sessionCaches.get(sessionId);
+  if (cache) {
+    for (const key of [...cache.keys()]) {
+      if (APP_STATE_KEY_PREFIXES.some(prefix => key.startsWith(prefix))) cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Aguarda as gravações de credenciais e chaves em andamento
+ */
+export async function flushAuthStateWrites() {
+  while (pendingWrites.size > 0) {
+    await Promise.all([...pendingWrites]);
+  }
+}
+
+/**
+ * Descarta o cache em memória da sessão: ao encerrá-la neste processo
+ * ou quando outra réplica pode ter gravado chaves enquanto era a dona
+ * @param {string} sessionId - ID da sessão
+ */
+export function dropAuthStateCache(sessionId) {
+  sessionCaches.delete(sessionId);
+}
+
 /**
  * Limpa todos os dados de autenticação de uma sessão
  * @param {string} sessionId - ID da sessão
@@ -103,6 +282,7 @@ export async function useDatabaseAuthState(sessionId) {
 export async function clearAuthState(sessionId) {
   try {
     await authStateQueries.deleteAll(sessionId);
+    sessionCaches.delete(sessionId);
     logger.info(`Auth state limpo para sessão ${sessionId}`);
   } catch (error) {
     logger.error(`Erro ao limpar auth state: ${error.message}`);
@@ -110,4 +290,11 @@ export async function clearAuthState(sessionId) {
   }
 }
 
-export default { useDatabaseAuthState, clearAuthState };
+export default {
+  useDatabaseAuthState,
+  clearAuthState,
+  clearAppStateKeys,
+  hasStoredCredentials,
+  dropAuthStateCache,
+  flushAuthStateWrites
+};
@@ -0,0 +1,67 @@
+import { messageStoreQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+import { BufferJSON } from '@whiskeysockets/baileys';
+
+// Por quanto tempo o conteúdo bruto fica disponível para reenvios (retentativas acontecem em minutos/horas)
+export const MESSAGE_STORE_RETENTION_DAYS = parseInt(process.env.MESSAGE_STORE_RETENTION_DAYS) || 7;
+
+/**
+ * Guarda o conteúdo bruto (proto) de uma mensagem enviada ou recebida
+ * @param {string} sessionId - ID da sessão (instância)
+ * @param {object} msg - WAMessage do Baileys
+ */
+export async function storeMessage(sessionId, msg) {
+  const { remoteJid, id, fromMe } = msg?.key || {};
+  if (!remoteJid || !id || !msg.message) return;
+
+  try {
+    const data = JSON.stringify(msg.message, BufferJSON.replacer);
+    await messageStoreQueries.save(sessionId, remoteJid, id, fromMe ? 1 : 0, data);
+  } catch (error) {
+    logger.error(`Erro ao guardar mensagem ${id}: ${error.message}`);
+  }
+}
+
+/**
+ * Busca o conteúdo de uma mensagem pela chave (usado pelo getMessage do Baileys)
+ * Retorna undefined se ela não estiver guardada
+ * @param {string} sessionId - ID da sessão (instância)
+ * @param {object} key - WAMessageKey
+ */
+export async function loadMessage(sessionId, key) {
+  if (!key?.id) return undefined;
+
+  try {
+    const row = (key.remoteJid && await messageStoreQueries.find(sessionId, key.remoteJid, key.id)) ||
+      await messageStoreQueries.findByMessageId(sessionId, key.id);
+
+    return row ? JSON.parse(row.message_data, BufferJSON.reviver) : undefined;
+  } catch (error) {
+    logger.error(`Erro ao buscar mensagem ${key.id}: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Remove as mensagens guardadas de uma sessão
+ * @param {string} sessionId - ID da sessão (instância)
+ */
+export async function clearMessageStore(sessionId) {
+  await messageStoreQueries.deleteAll(sessionId);
+}
+
+/**
+ * Remove mensagens guardadas há mais de MESSAGE_STORE_RETENTION_DAYS dias
+ */
+export async function pruneMessageStore() {
+  const cutoff = new Date(Date.now() - MESSAGE_STORE_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString().replace('T', ' ').substring(0, 19);
+
+  try {
+    await messageStoreQueries.deleteOlderThan(cutoff);
+  } catch (error) {
+    logger.error(`Erro ao limpar mensagens guardadas: ${error.message}`);
+  }
+}
+
+export default { storeMessage, loadMessage, clearMessageStore, pruneMessageStore };
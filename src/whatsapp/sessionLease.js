@@ -0,0 +1,135 @@
+import os from 'os';
+import crypto from 'crypto';
+import { sessionLeaseQueries } from '../db/database.js';
+import { logger } from '../config/logger.js';
+
+// Identifica este processo entre as réplicas (SESSION_OWNER_ID fixa um nome, útil nos logs)
+export const LEASE_OWNER_ID = process.env.SESSION_OWNER_ID ||
+  `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Sem renovação dentro desse prazo, outra réplica pode assumir a sessão
+export const SESSION_LEASE_TTL_MS = parseInt(process.env.SESSION_LEASE_TTL_MS) || 30000;
+// Renova três vezes por prazo: uma renovação perdida não derruba a sessão
+export const SESSION_LEASE_RENEW_MS = Math.max(1000, Math.floor(SESSION_LEASE_TTL_MS / 3));
+
+// Código do erro lançado quando a sessão está aberta em outra réplica
+export const SESSION_OWNED_ELSEWHERE = 'SESSION_OWNED_ELSEWHERE';
+
+// Dono usado quando a sessão é tirada de outra réplica (desconectar/remover por um processo que não é o dono)
+const REVOKED_OWNER_ID = 'revoked';
+
+/**
+ * Tenta assumir a sessão para este processo
+ * Retorna { acquired, ownerId, takenOver } - takenOver indica que antes ela era de outro dono (ou de ninguém)
+ * @param {string} sessionId - ID da sessão (instância)
+ */
+export async function acquireLease(sessionId) {
+  const now = Date.now();
+  const previous = await sessionLeaseQueries.findBySessionId(sessionId);
+
+  await sessionLeaseQueries.acquire(sessionId, LEASE_OWNER_ID, now, now + SESSION_LEASE_TTL_MS);
+
+  const current = await sessionLeaseQueries.findBySessionId(sessionId);
+  return {
+    acquired: current?.owner_id === LEASE_OWNER_ID,
+    ownerId: current?.owner_id || null,
+    takenOver: previous?.owner_id !== LEASE_OWNER_ID
+  };
+}
+
+/**
+ * Renova as sessões deste processo e retorna as que continuam com ele
+ * @param {string[]} sessionIds - sessões abertas neste processo
+ */
+export async function renewLeases(sessionIds) {
+  await sessionLeaseQueries.renew(LEASE_OWNER_ID, sessionIds, Date.now() + SESSION_LEASE_TTL_MS);
+  return new Set(await sessionLeaseQueries.findSessionIdsByOwner(LEASE_OWNER_ID));
+}
+
+/**
+ * Libera a sessão se ela for deste processo. Falhas vão para o log (o prazo expira sozinho)
+ * @param {string} sessionId - ID da sessão (instância)
+ */
+export async function releaseLease(sessionId) {
+  try {
+    await sessionLeaseQueries.release(sessionId, LEASE_OWNER_ID);
+  } catch (error) {
+    logger.error(`Erro ao liberar sessão ${sessionId}: ${error.message}`);
+  }
+}
+
+/**
+ * Libera todas as sessões deste processo
+ */
+export async function releaseAllLeases() {
+  await sessionLeaseQueries.releaseAll(LEASE_OWNER_ID);
+}
+
+/**
+ * Tira a sessão da réplica que a mantém: ela encerra o socket na próxima renovação
+ * Ninguém assume antes de dois ciclos de renovação, para os dois sockets não ficarem abertos juntos
+ * @param {string} sessionId - ID da sessão (instância)
+ */
+export async function revokeLease(sessionId) {
+  await sessionLeaseQueries.revoke(sessionId, LEASE_OWNER_ID, REVOKED_OWNER_ID, Date.now() + SESSION_LEASE_RENEW_MS * 2);
+}
+
+/**
+ * Estado compartilhado da sessão: dono, validade e último QR Code
+ * Retorna null se nenhum processo assumiu a sessão
+ * @param {string} sessionId - ID da sessão (instância)
+ */
+export async function getLease(sessionId) {
+  const row = await sessionLeaseQueries.findBySessionId(sessionId);
+  return row ? toLease(row) : null;
+}
+
+export async function getLeases(sessionIds) {
+  const rows = await sessionLeaseQueries.findBySessionIds(sessionIds);
+  return rows.map(toLease);
+}
+
+function toLease(row) {
+  const expiresAt = parseInt(row.expires_at);
+  return {
+    sessionId: row.session_id,
+    ownerId: row.owner_id,
+    expiresAt,
+    isLocal: row.owner_id === LEASE_OWNER_ID,
+    isAlive: row.owner_id !== REVOKED_OWNER_ID && expiresAt >= Date.now(),
+    qr: row.qr || null,
+    qrUpdatedAt: row.qr_updated_at ? parseInt(row.qr_updated_at) : null
+  };
+}
+
+/**
+ * Publica o QR Code da sessão para as outras réplicas (null limpa)
+ * @param {string} sessionId - ID da sessão (instância)
+ * @param {string|null} qr - QR Code em data URL
+ */
+export async function publishQr(sessionId, qr) {
+  try {
+    await sessionLeaseQueries.saveQr(sessionId, LEASE_OWNER_ID, qr, qr ? Date.now() : null);
+  } catch (error) {
+    logger.error(`Erro ao publicar QR Code de ${sessionId}: ${error.message}`);
+  }
+}
+
+/**
+ * Instâncias conectadas (ou conectando) sem nenhuma réplica cuidando delas
+ */
+export async function findOrphanedInstances() {
+  return sessionLeaseQueries.findOrphanedInstances(Date.now());
+}
+
+export default {
+  acquireLease,
+  renewLeases,
+  releaseLease,
+  releaseAllLeases,
+  revokeLease,
+  getLease,
+  getLeases,
+  publishQr,
+  findOrphanedInstances
+};
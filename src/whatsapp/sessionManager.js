@@ -1,10 +1,78 @@
 import makeWASocket, {
   DisconnectReason,
-  fetchLatestBaileysVersion
+  fetchLatestBaileysVersion,
+  downloadMediaMessage,
+  normalizeMessageContent,
+  proto
 } from '@whiskeysockets/baileys';
 import { logger } from '../config/logger.js';
-import { useDatabaseAuthState, clearAuthState } from './authStateDB.js';
-import { messageQueries } from '../db/database.js';
+import {
+  useDatabaseAuthState,
+  clearAuthState,
+  hasStoredCredentials,
+  dropAuthStateCache,
+  flushAuthStateWrites
+} from './authStateDB.js';
+import { storeMessage, loadMessage, clearMessageStore } from './messageStore.js';
+import {
+  acquireLease,
+  renewLeases,
+  releaseLease,
+  releaseAllLeases,
+  revokeLease,
+  getLease,
+  SESSION_OWNED_ELSEWHERE,
+  SESSION_LEASE_TTL_MS,
+  SESSION_LEASE_RENEW_MS
+} from './sessionLease.js';
+import { instanceQueries } from '../db/database.js';
+import eventBus, { EVENTS } from '../services/eventBus.js';
+
+// Intervalo mínimo entre dois pedidos de código de pareamento para a mesma sessão
+const PAIRING_COOLDOWN_MS = 30 * 1000;
+// Tempo máximo para o socket ficar pronto para parear
+const PAIRING_READY_TIMEOUT_MS = 30 * 1000;
+
+// Política de reconexão padrão; cada instância pode sobrescrever qualquer campo (colunas reconnect_*)
+export const DEFAULT_RECONNECT_POLICY = {
+  maxAttempts: 10,
+  baseDelayMs: 5000,
+  maxDelayMs: 60000,
+  jitterPercent: 20
+};
+const RECONNECT_BACKOFF_FACTOR = 1.5;
+
+/**
+ * Política de reconexão de uma instância (linha de `instances`), com o padrão nos campos não definidos
+ */
+export function getReconnectPolicy(instance) {
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : parseInt(value));
+  return {
+    maxAttempts: pick(instance?.reconnect_max_attempts, DEFAULT_RECONNECT_POLICY.maxAttempts),
+    baseDelayMs: pick(instance?.reconnect_base_delay_ms, DEFAULT_RECONNECT_POLICY.baseDelayMs),
+    maxDelayMs: pick(instance?.reconnect_max_delay_ms, DEFAULT_RECONNECT_POLICY.maxDelayMs),
+    jitterPercent: pick(instance?.reconnect_jitter_percent, DEFAULT_RECONNECT_POLICY.jitterPercent)
+  };
+}
+
+/**
+ * Espera antes da tentativa `attempt` (1, 2, ...): backoff exponencial limitado a maxDelayMs,
+ * com variação aleatória de ±jitterPercent para instâncias que caíram juntas não voltarem juntas
+ */
+function reconnectDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(RECONNECT_BACKOFF_FACTOR, attempt - 1));
+  const jitter = delay * (policy.jitterPercent / 100) * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(delay + jitter));
+}
+
+// proto.WebMessageInfo.Status -> nome usado no evento message.ack
+const ACK_STATUS = ['error', 'pending', 'server', 'delivered', 'read', 'played'];
+
+function ownedElsewhereError() {
+  const error = new Error('Esta conexão está aberta em outro servidor. Tente novamente em alguns segundos.');
+  error.code = SESSION_OWNED_ELSEWHERE;
+  return error;
+}
 
 /**
  * Gerenciador de sessões WhatsApp para o RelatorioOregon
@@ -13,43 +81,73 @@ import { messageQueries } from '../db/database.js';
 class SessionManager {
   constructor() {
     this.sessions = new Map();
-    this.messageReceivedCallbacks = [];
-    this.connectionCallbacks = [];
     this.reconnectState = new Map();
     this.reconnectTimers = new Map();
     this.qrCodeState = new Map();
     // Quando estoura o limite de QR, pausamos reconexões automáticas até o usuário clicar "Conectar" de novo
     this.qrLoopPaused = new Set(); // sessionId
+    // Quem aguarda o resultado da conexão (restauração no boot, código de pareamento)
+    this.connectionWaiters = new Map(); // sessionId -> [resolve]
+    this.pairingRequests = new Map(); // sessionId -> timestamp do último pedido
+    this.restoring = new Set(); // sessionId
+    this.leaseTimer = null;
+    this.leaseRenewedAt = null;
+    // Trabalho disparado por eventos do socket (callbacks, gravações) que o desligamento precisa esperar
+    this.pendingTasks = new Set();
+    this.shuttingDown = false;
   }
 
   /**
-   * Registra callback para mensagens recebidas
+   * Acompanha uma promessa até ela terminar (o valor é devolvido sem alteração)
    */
-  onMessageReceived(callback) {
-    this.messageReceivedCallbacks.push(callback);
+  track(task) {
+    if (!task?.then) return task;
+
+    this.pendingTasks.add(task);
+    task.then(
+      () => this.pendingTasks.delete(task),
+      () => this.pendingTasks.delete(task)
+    );
+    return task;
   }
 
   /**
-   * Registra callback para mudanças de conexão
+   * Publica um evento no barramento interno (ver EVENTS em services/eventBus.js)
+   * O desligamento espera os assinantes terminarem
    */
-  onConnectionUpdate(callback) {
-    this.connectionCallbacks.push(callback);
+  publish(event, payload) {
+    return this.track(eventBus.emit(event, payload));
+  }
+
+  publishConnectionState(sessionId, state, data = {}) {
+    return this.publish(EVENTS.CONNECTION_STATE, { sessionId, state, ...data });
+  }
+
+  publishAppState(sessionId, type, payload) {
+    return this.publish(EVENTS.APP_STATE, { sessionId, type, payload });
   }
 
   /**
    * Cria uma nova sessão do WhatsApp
    */
   async createSession(sessionId, options = {}) {
-    const { forceNew = false } = options;
+    // reconnecting: tentativa agendada por scheduleReconnect (mantém a contagem de tentativas)
+    const { forceNew = false, reconnecting = false } = options;
 
     if (!sessionId) {
       throw new Error('sessionId é obrigatório');
     }
 
+    if (this.shuttingDown) {
+      throw new Error('Servidor em desligamento');
+    }
+
     // Se o usuário pediu para conectar de novo, "despausa" a sessão e reseta contadores/timers
     this.qrLoopPaused.delete(sessionId);
     this.qrCodeState.delete(sessionId);
-    this.reconnectState.delete(sessionId);
+    if (!reconnecting) {
+      this.reconnectState.delete(sessionId);
+    }
     const existingTimer = this.reconnectTimers.get(sessionId);
     if (existingTimer) {
       clearTimeout(existingTimer);
@@ -76,6 +174,15 @@ class SessionManager {
       this.sessions.delete(sessionId);
     }
 
+    // Só um processo pode manter a sessão aberta: duas conexões iguais derrubam o aparelho
+    const lease = await acquireLease(sessionId);
+    if (!lease.acquired) {
+      throw ownedElsewhereError();
+    }
+    if (lease.takenOver) {
+      dropAuthStateCache(sessionId);
+    }
+
     try {
       logger.info(`📱 Criando sessão: ${sessionId}`);
 
@@ -83,7 +190,11 @@ class SessionManager {
         await clearAuthState(sessionId);
       }
 
-      const { state, saveCreds } = await useDatabaseAuthState(sessionId);
+      // Sincronização de app state (agenda, arquivadas, etiquetas) é opcional por instância
+      const instance = await instanceQueries.findBySessionId(sessionId);
+      const syncAppState = !!instance?.app_state_sync;
+
+      const { state, saveCreds } = await useDatabaseAuthState(sessionId, { syncAppState });
       const { version } = await fetchLatestBaileysVersion();
 
       const sock = makeWASocket({
@@ -92,35 +203,13 @@ class SessionManager {
         printQRInTerminal: false,
         logger: logger.child({ session: sessionId }),
         browser: ['RelatorioOregon', 'Chrome', '10'],
+        // Reenvios e retentativas de decriptação precisam do conteúdo original da mensagem
         getMessage: async (key) => {
-          try {
-            logger.info(`[getMessage] Buscando mensagem: ${key.id} para ${key.remoteJid}`);
-
-            // Busca a mensagem no banco de dados usando o message_id
-            const messages = messageQueries.findByContactId.all(key.remoteJid?.replace('@s.whatsapp.net', '') || '');
-            logger.info(`[getMessage] Encontradas ${messages.length} mensagens para o contato`);
-
-            const message = messages.find(m => m.message_id === key.id);
-
-            if (message && message.body) {
-              logger.info(`[getMessage] Mensagem encontrada com conteúdo: "${message.body}"`);
-              return {
-                key: key,
-                message: {
-                  conversation: message.body,
-                  extendedTextMessage: message.body ? { text: message.body } : undefined
-                },
-                messageTimestamp: new Date(message.timestamp).getTime() / 1000,
-                status: 'SERVER_ACK'
-              };
-            }
-
-            logger.info(`[getMessage] Mensagem não encontrada ou sem conteúdo para ${key.id}`);
-            return undefined;
-          } catch (error) {
-            logger.error(`Erro ao buscar mensagem ${key.id}: ${error.message}`);
-            return undefined;
+          const message = await loadMessage(sessionId, key);
+          if (!message) {
+            logger.warn(`[getMessage] Mensagem ${key.id} não encontrada para ${key.remoteJid}`);
           }
+          return message;
         },
         syncFullHistory: false,
         shouldSyncHistoryMessage: () => false,
@@ -138,10 +227,24 @@ class SessionManager {
         logger.info(`Ignorando sincronização de histórico para ${sessionId}`);
       });
 
+      if (syncAppState) {
+        sock.ev.on('contacts.upsert', contacts => this.publishAppState(sessionId, 'contacts', contacts));
+        sock.ev.on('contacts.update', contacts => this.publishAppState(sessionId, 'contacts', contacts));
+        sock.ev.on('chats.upsert', chats => this.publishAppState(sessionId, 'chats', chats));
+        sock.ev.on('chats.update', chats => this.publishAppState(sessionId, 'chats', chats));
+        sock.ev.on('labels.edit', label => this.publishAppState(sessionId, 'label', label));
+        sock.ev.on('labels.association', update => this.publishAppState(sessionId, 'label-association', update));
+      }
+
       // Evento de mensagens recebidas (IMPORTANTE para analytics)
       sock.ev.on('messages.upsert', ({ messages, type }) => {
         logger.info(`📨 messages.upsert recebido: type=${type}, count=${messages?.length || 0}`);
 
+        // Guarda o conteúdo bruto de tudo que passa pelo socket (inclusive mensagens enviadas)
+        for (const msg of messages || []) {
+          this.track(storeMessage(sessionId, msg));
+        }
+
         if (type !== 'notify') {
           logger.info(`⏭️ Ignorando mensagens (type=${type}, não é 'notify')`);
           return;
@@ -150,16 +253,26 @@ class SessionManager {
         logger.info(`📨 Processando ${messages.length} mensagens do tipo 'notify':`);
 
         for (const msg of messages) {
+          // Em grupos, phone fica com o JID do grupo (...@g.us)
           const phone = msg.key.remoteJid?.replace('@s.whatsapp.net', '');
+          const isGroup = !!phone?.endsWith('@g.us');
 
           logger.info(`📩 Mensagem: de=${phone}, fromMe=${msg.key.fromMe}, id=${msg.key?.id}, type=${msg.key.remoteJid}`);
 
-          if (!phone || phone.includes('@g.us')) {
-            logger.info(`⏭️ Ignorando: ${!phone ? 'sem telefone' : 'é grupo'}`);
+          if (!phone) {
+            logger.info('⏭️ Ignorando: sem telefone');
             continue;
           }
 
           const contactName = msg.pushName || null;
+          // Quem escreveu no grupo (as mensagens enviadas por esta conta ficam sem participante)
+          const participantJid = isGroup && !msg.key.fromMe ? (msg.key.participant || msg.participant) : null;
+          const participant = participantJid ? participantJid.split('@')[0].split(':')[0] : null;
+
+          // Edição ou "apagar para todos": chega como mensagem de protocolo apontando para a original
+          if (this.publishProtocolMessage(sessionId, phone, participant, msg)) {
+            continue;
+          }
 
           // Extrai texto da mensagem
           const messageBody = this.extractMessageBody(msg.message);
@@ -172,23 +285,93 @@ class SessionManager {
 
           logger.info(`💬 Processando: ${phone} (${contactName || 'sem nome'}): "${messageBody?.substring(0, 50) || '[sem texto]'}"`);
 
-          // Notifica todos os callbacks
-          logger.info(`📤 Notificando ${this.messageReceivedCallbacks.length} callback(s)`);
-
-          this.messageReceivedCallbacks.forEach(cb => {
-            try {
-              cb(sessionId, phone, {
-                messageId: msg.key?.id,
-                fromMe: msg.key.fromMe,
-                body: messageBody,
-                timestamp: new Date(msg.messageTimestamp * 1000).toISOString(),
-                contactName,
-                mediaType: this.getMediaType(msg.message)
-              });
-              logger.info(`✅ Callback executado com sucesso`);
-            } catch (error) {
-              logger.error(`❌ Erro em callback de mensagem: ${error.message}`);
-            }
+          logger.info(`📤 Notificando ${eventBus.listenerCount(EVENTS.MESSAGE_RECEIVED)} assinante(s)`);
+
+          this.publish(EVENTS.MESSAGE_RECEIVED, {
+            sessionId,
+            phone,
+            conversationType: isGroup ? 'group' : 'direct',
+            message: {
+              messageId: msg.key?.id,
+              fromMe: msg.key.fromMe,
+              body: messageBody,
+              timestamp: new Date(msg.messageTimestamp * 1000).toISOString(),
+              contactName: isGroup ? null : contactName,
+              mediaType: this.getMediaType(msg.message),
+              participant,
+              participantName: participantJid ? contactName : null
+            },
+            raw: msg
+          });
+        }
+      });
+
+      // Status de entrega/leitura e demais alterações de mensagens
+      sock.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates || []) {
+          const { status, ...changes } = update || {};
+
+          if (status !== undefined && status !== null) {
+            this.publish(EVENTS.MESSAGE_ACK, {
+              sessionId,
+              messageId: key.id,
+              remoteJid: key.remoteJid,
+              fromMe: !!key.fromMe,
+              participant: key.participant || null,
+              status: ACK_STATUS[status] || String(status),
+              timestamp: new Date().toISOString()
+            });
+          }
+
+          if (Object.keys(changes).length > 0) {
+            this.publish(EVENTS.MESSAGE_UPDATED, { sessionId, key, update: changes });
+          }
+        }
+      });
+
+      // Em grupos, a confirmação vem por participante
+      sock.ev.on('message-receipt.update', (receipts) => {
+        for (const { key, receipt } of receipts || []) {
+          const readAt = receipt?.readTimestamp || receipt?.playedTimestamp;
+          const at = readAt || receipt?.receiptTimestamp;
+
+          this.publish(EVENTS.MESSAGE_ACK, {
+            sessionId,
+            messageId: key.id,
+            remoteJid: key.remoteJid,
+            fromMe: !!key.fromMe,
+            participant: receipt?.userJid || null,
+            status: receipt?.playedTimestamp ? 'played' : readAt ? 'read' : 'delivered',
+            timestamp: new Date(at ? Number(at) * 1000 : Date.now()).toISOString()
+          });
+        }
+      });
+
+      // Assunto ou participantes do grupo mudaram: o cache de metadados fica desatualizado
+      sock.ev.on('groups.update', (updates) => {
+        for (const update of updates || []) {
+          if (update.id) this.publish(EVENTS.GROUP_UPDATE, { sessionId, jid: update.id });
+        }
+      });
+
+      sock.ev.on('group-participants.update', ({ id }) => {
+        this.publish(EVENTS.GROUP_UPDATE, { sessionId, jid: id });
+      });
+
+      sock.ev.on('presence.update', ({ id, presences }) => {
+        this.publish(EVENTS.PRESENCE, { sessionId, jid: id, presences: presences || {} });
+      });
+
+      sock.ev.on('call', (calls) => {
+        for (const call of calls || []) {
+          this.publish(EVENTS.CALL, {
+            sessionId,
+            callId: call.id,
+            from: call.from,
+            isVideo: !!call.isVideo,
+            isGroup: !!call.isGroup,
+            status: call.status,
+            timestamp: new Date(call.date || Date.now()).toISOString()
           });
         }
       });
@@ -202,7 +385,7 @@ class SessionManager {
         }
 
         if (connection === 'close') {
-          await this.handleDisconnect(sessionId, lastDisconnect);
+          await this.handleDisconnect(sessionId, lastDisconnect, sock);
         } else if (connection === 'open') {
           this.handleConnect(sessionId, sock);
         }
@@ -211,16 +394,83 @@ class SessionManager {
       this.sessions.set(sessionId, {
         sock,
         isReady: false,
-        lastUsed: Date.now()
+        lastUsed: Date.now(),
+        reconnectPolicy: getReconnectPolicy(instance)
       });
 
       return sock;
     } catch (error) {
       logger.error(`Erro ao criar sessão ${sessionId}:`, error);
+      // Entre tentativas de reconexão a sessão continua deste processo
+      if (!reconnecting && !this.sessions.has(sessionId)) {
+        dropAuthStateCache(sessionId);
+        await releaseLease(sessionId);
+      }
       throw error;
     }
   }
 
+  /**
+   * Busca no WhatsApp o assunto e os participantes de um grupo
+   * @param {string} sessionId - ID da sessão (instância)
+   * @param {string} groupJid - JID do grupo (...@g.us)
+   */
+  async fetchGroupMetadata(sessionId, groupJid) {
+    const session = this.sessions.get(sessionId);
+    if (!session?.isReady || !session.sock) {
+      throw new Error('Sessão não está conectada');
+    }
+    return session.sock.groupMetadata(groupJid);
+  }
+
+  /**
+   * Baixa o arquivo de mídia de uma mensagem (pede reenvio ao celular se o link tiver expirado)
+   * @param {string} sessionId - ID da sessão (instância)
+   * @param {object} msg - WAMessage do Baileys
+   * @returns {Promise<Buffer>}
+   */
+  async downloadMedia(sessionId, msg) {
+    const session = this.sessions.get(sessionId);
+    if (!session?.sock) {
+      throw new Error('Sessão não está conectada');
+    }
+    return downloadMediaMessage(msg, 'buffer', {}, {
+      logger: logger.child({ session: sessionId }),
+      reuploadRequest: session.sock.updateMediaMessage
+    });
+  }
+
+  /**
+   * Publica edições e remoções de mensagens. Retorna true se a mensagem era uma delas
+   * Quem editou/apagou (fromMe e, em grupos, participant) vai junto para conferir com o autor da original
+   */
+  publishProtocolMessage(sessionId, phone, participant, msg) {
+    const protocol = normalizeMessageContent(msg.message)?.protocolMessage;
+    const messageId = protocol?.key?.id;
+    if (!messageId) return false;
+
+    const { REVOKE, MESSAGE_EDIT } = proto.Message.ProtocolMessage.Type;
+    const timestamp = new Date(protocol.timestampMs ? Number(protocol.timestampMs) : msg.messageTimestamp * 1000).toISOString();
+
+    if (protocol.type === MESSAGE_EDIT) {
+      const body = this.extractMessageBody(protocol.editedMessage);
+      if (!body) return true;
+
+      logger.info(`✏️ Mensagem ${messageId} editada em ${phone}`);
+      this.publish(EVENTS.MESSAGE_EDITED, { sessionId, phone, messageId, fromMe: !!msg.key.fromMe, participant, body, timestamp });
+      return true;
+    }
+
+    if (protocol.type === REVOKE) {
+      logger.info(`🗑️ Mensagem ${messageId} apagada em ${phone}`);
+      this.publish(EVENTS.MESSAGE_DELETED, { sessionId, phone, messageId, fromMe: !!msg.key.fromMe, participant, timestamp });
+      return true;
+    }
+
+    // Outros protocolos (histórico, chaves, efêmeras...) não têm conteúdo
+    return false;
+  }
+
   /**
    * Extrai o corpo da mensagem de diferentes tipos
    */
@@ -291,74 +541,134 @@ class SessionManager {
         this.reconnectTimers.delete(sessionId);
       }
 
-      this.connectionCallbacks.forEach(cb => {
-        try {
-          cb(sessionId, 'qr-loop', { message: 'Muitas tentativas de QR. Clique em Conectar novamente para gerar um novo QR.' });
-        } catch (e) { }
+      this.publishConnectionState(sessionId, 'qr-loop', {
+        message: 'Muitas tentativas de QR. Clique em Conectar novamente para gerar um novo QR.'
       });
 
       // Fecha a sessão atual para economizar recursos (mas NÃO limpa auth state)
       try { sock.end?.(new Error('QR Code loop')); } catch (e) { }
       try { sock.ws?.close?.(); } catch (e) { }
       this.sessions.delete(sessionId);
+      dropAuthStateCache(sessionId);
+      releaseLease(sessionId);
       return;
     }
 
+    // O QR Code indica que o socket está pronto para login (QR ou código de pareamento)
+    const session = this.sessions.get(sessionId);
+    if (session?.sock === sock) session.awaitingLogin = true;
+
+    this.notifyWaiters(sessionId, 'qr');
+
     logger.info(`📱 QR Code para ${sessionId} (${qrState.count}/${MAX_QR})`);
-    logger.info(`📞 Notificando ${this.connectionCallbacks.length} callback(s) de QR Code`);
 
-    this.connectionCallbacks.forEach(cb => {
-      try {
-        cb(sessionId, 'qr', { qr, attempt: qrState.count, maxAttempts: MAX_QR });
-      } catch (e) {
-        logger.error(`❌ Erro ao executar callback de QR Code: ${e.message}`);
+    this.publishConnectionState(sessionId, 'qr', { qr, attempt: qrState.count, maxAttempts: MAX_QR });
+  }
+
+  /**
+   * Pede um código de pareamento para conectar pelo número de telefone, sem escanear o QR Code
+   * Inicia a sessão se necessário e retorna o código no formato XXXX-XXXX
+   */
+  async requestPairingCode(sessionId, phoneNumber) {
+    const phone = String(phoneNumber || '').replace(/\D/g, '');
+    if (phone.length < 10 || phone.length > 15) {
+      throw new Error('Número inválido. Informe DDI, DDD e número (ex.: 5511999999999)');
+    }
+
+    const lastRequest = this.pairingRequests.get(sessionId);
+    if (lastRequest && Date.now() - lastRequest < PAIRING_COOLDOWN_MS) {
+      throw new Error('Aguarde alguns segundos antes de pedir um novo código');
+    }
+
+    let session = this.sessions.get(sessionId);
+    if (session?.isReady) {
+      throw new Error('Esta conexão já está ativa');
+    }
+
+    if (!session?.awaitingLogin) {
+      const outcome = this.waitForConnection(sessionId, PAIRING_READY_TIMEOUT_MS);
+      if (!session) {
+        await this.createSession(sessionId);
       }
-    });
+
+      if ((await outcome) !== 'qr') {
+        throw new Error('Não foi possível preparar a conexão. Tente novamente.');
+      }
+      session = this.sessions.get(sessionId);
+    }
+
+    if (!session?.sock || session.sock.authState?.creds?.registered) {
+      throw new Error('Esta conexão já está pareada');
+    }
+
+    this.pairingRequests.set(sessionId, Date.now());
+    // Reinicia a contagem de QR: o usuário precisa de tempo para digitar o código no celular
+    this.qrCodeState.delete(sessionId);
+
+    const rawCode = await session.sock.requestPairingCode(phone);
+    const code = rawCode.match(/.{1,4}/g).join('-');
+
+    logger.info(`🔢 Código de pareamento gerado para ${sessionId}`);
+
+    this.publishConnectionState(sessionId, 'pairing-code', { code });
+
+    return code;
   }
 
   /**
    * Gerencia desconexão
    */
-  async handleDisconnect(sessionId, lastDisconnect) {
+  async handleDisconnect(sessionId, lastDisconnect, sock) {
     const statusCode = lastDisconnect?.error?.output?.statusCode;
     const session = this.sessions.get(sessionId);
 
+    // Socket já descartado (closeSession, QR loop ou substituído por uma nova sessão): não reconecta
+    if (sock && session?.sock !== sock) {
+      logger.info(`Conexão antiga de ${sessionId} fechada (StatusCode: ${statusCode})`);
+      return;
+    }
+
     if (session) session.isReady = false;
 
+    // Desligando: a sessão volta na próxima inicialização (ou em outra réplica)
+    if (this.shuttingDown) {
+      logger.info(`Conexão de ${sessionId} fechada durante o desligamento (StatusCode: ${statusCode})`);
+      return;
+    }
+
     const noReconnectCodes = [DisconnectReason.loggedOut, 403, 401];
     // Se pausamos por QR loop, não reconecta automaticamente
     const pausedByQrLoop = this.qrLoopPaused.has(sessionId);
     const shouldReconnect = pausedByQrLoop ? false : !noReconnectCodes.includes(statusCode);
 
-    logger.info(`Conexão fechada para ${sessionId}. StatusCode: ${statusCode}, Reconectar: ${shouldReconnect}`);
+    const policy = session?.reconnectPolicy || DEFAULT_RECONNECT_POLICY;
+    const attempt = (this.reconnectState.get(sessionId)?.attempts || 0) + 1;
+    const exhausted = shouldReconnect && attempt > policy.maxAttempts;
 
-    this.connectionCallbacks.forEach(cb => {
-      try {
-        cb(sessionId, 'close', { shouldReconnect, statusCode });
-      } catch (e) { }
-    });
+    logger.info(`Conexão fechada para ${sessionId}. StatusCode: ${statusCode}, Reconectar: ${shouldReconnect && !exhausted}`);
 
-    if (shouldReconnect) {
-      const prev = this.reconnectState.get(sessionId) || { attempts: 0 };
-      prev.attempts++;
-      this.reconnectState.set(sessionId, prev);
-
-      if (prev.attempts <= 10) {
-        const delay = Math.min(60000, 5000 * Math.pow(1.5, prev.attempts - 1));
-        logger.info(`⏳ Reconectando ${sessionId} em ${Math.round(delay / 1000)}s...`);
+    if (!shouldReconnect) {
+      this.notifyWaiters(sessionId, 'logged-out');
+    }
 
-        const timer = setTimeout(async () => {
-          try {
-            await this.createSession(sessionId);
-          } catch (e) {
-            logger.error(`Erro ao reconectar: ${e.message}`);
-          }
-        }, delay);
+    this.publishConnectionState(sessionId, 'close', {
+      shouldReconnect: shouldReconnect && !exhausted,
+      statusCode,
+      failed: exhausted
+    });
 
-        this.reconnectTimers.set(sessionId, timer);
-      }
+    if (exhausted) {
+      await this.failSession(sessionId, {
+        attempts: policy.maxAttempts,
+        statusCode: statusCode || null,
+        error: lastDisconnect?.error?.message || null
+      });
+    } else if (shouldReconnect) {
+      this.scheduleReconnect(sessionId, policy);
     } else {
       this.sessions.delete(sessionId);
+      dropAuthStateCache(sessionId);
+      await releaseLease(sessionId);
       // Se foi pausa por QR loop, mantém credenciais para o usuário tentar de novo manualmente
       if (!pausedByQrLoop) {
         await clearAuthState(sessionId);
@@ -366,6 +676,60 @@ class SessionManager {
     }
   }
 
+  /**
+   * Agenda a próxima tentativa de reconexão conforme a política da instância
+   * Retorna false quando as tentativas se esgotaram
+   */
+  scheduleReconnect(sessionId, policy) {
+    const state = this.reconnectState.get(sessionId) || { attempts: 0 };
+    state.attempts++;
+    this.reconnectState.set(sessionId, state);
+
+    if (state.attempts > policy.maxAttempts) return false;
+
+    const delay = reconnectDelay(policy, state.attempts);
+    logger.info(`⏳ Reconectando ${sessionId} em ${Math.round(delay / 1000)}s (tentativa ${state.attempts}/${policy.maxAttempts})...`);
+
+    this.publishConnectionState(sessionId, 'reconnecting', {
+      attempt: state.attempts,
+      maxAttempts: policy.maxAttempts,
+      delayMs: delay
+    });
+
+    const timer = setTimeout(async () => {
+      this.reconnectTimers.delete(sessionId);
+      try {
+        await this.createSession(sessionId, { reconnecting: true });
+      } catch (e) {
+        logger.error(`Erro ao reconectar ${sessionId}: ${e.message}`);
+        // Outra réplica assumiu ou o servidor está desligando: não é uma falha desta sessão
+        if (e.code === SESSION_OWNED_ELSEWHERE || this.shuttingDown) return;
+
+        // Uma tentativa que nem chegou a abrir o socket também conta
+        if (!this.scheduleReconnect(sessionId, policy)) {
+          await this.failSession(sessionId, { attempts: policy.maxAttempts, error: e.message });
+        }
+      }
+    }, delay);
+
+    this.reconnectTimers.set(sessionId, timer);
+    return true;
+  }
+
+  /**
+   * Desiste de reconectar após esgotar as tentativas: fecha a sessão (mantendo as credenciais)
+   * e avisa com o último erro. Só volta com uma nova tentativa manual
+   */
+  async failSession(sessionId, { attempts, statusCode = null, error = null }) {
+    logger.warn(`❌ Reconexão de ${sessionId} desistiu após ${attempts} tentativa(s)${error ? `: ${error}` : ''}`);
+
+    await this.closeSession(sessionId);
+    this.reconnectState.delete(sessionId);
+    this.notifyWaiters(sessionId, 'failed');
+
+    this.publishConnectionState(sessionId, 'failed', { attempts, statusCode, error });
+  }
+
   /**
    * Gerencia conexão estabelecida
    */
@@ -375,6 +739,7 @@ class SessionManager {
     this.qrLoopPaused.delete(sessionId);
     this.reconnectState.delete(sessionId);
     this.qrCodeState.delete(sessionId);
+    this.pairingRequests.delete(sessionId);
 
     const timer = this.reconnectTimers.get(sessionId);
     if (timer) {
@@ -385,15 +750,11 @@ class SessionManager {
     const session = this.sessions.get(sessionId);
     if (session) session.isReady = true;
 
+    this.notifyWaiters(sessionId, 'open');
+
     const phone = sock.user?.id?.split(':')[0] || '';
 
-    this.connectionCallbacks.forEach(cb => {
-      try {
-        cb(sessionId, 'open', { phone, user: sock.user });
-      } catch (e) {
-        logger.error(`Erro em callback de conexão: ${e.message}`);
-      }
-    });
+    this.publishConnectionState(sessionId, 'open', { phone, user: sock.user });
   }
 
   /**
@@ -419,11 +780,20 @@ class SessionManager {
   }
 
   /**
-   * Envia uma mensagem de texto
+   * Envia uma mensagem de texto ou um arquivo (com `message` como legenda)
+   * @param {string} sessionId - ID da sessão (instância)
+   * @param {string} phone - telefone ou JID da conversa
+   * @param {string} message - texto ou legenda (pode ficar vazio com mídia)
+   * @param {object} [media] - { type: 'image'|'video'|'audio'|'document', buffer, mimetype, fileName }
+   * @returns {Promise<object>} { success, messageId, timestamp, body } - body como registrado para mensagens recebidas
    */
-  async sendMessage(sessionId, phone, message) {
+  async sendMessage(sessionId, phone, message, media = null) {
     const session = this.sessions.get(sessionId);
     if (!session?.isReady || !session.sock) {
+      const lease = session ? null : await getLease(sessionId);
+      if (lease?.isAlive && !lease.isLocal) {
+        throw ownedElsewhereError();
+      }
       throw new Error('Sessão não está conectada');
     }
 
@@ -431,16 +801,20 @@ class SessionManager {
       // Formata o número para o formato do WhatsApp
       const jid = phone.includes('@') ? phone : `${phone}@s.whatsapp.net`;
 
-      logger.info(`📤 Enviando mensagem para ${phone}: "${message.substring(0, 50)}..."`);
+      logger.info(media
+        ? `📤 Enviando ${media.type} (${media.buffer.length} bytes) para ${phone}`
+        : `📤 Enviando mensagem para ${phone}: "${message.substring(0, 50)}..."`);
 
-      const result = await session.sock.sendMessage(jid, { text: message });
+      const result = await session.sock.sendMessage(jid, media ? this.buildMediaContent(media, message) : { text: message });
+      await storeMessage(sessionId, result);
 
       logger.info(`✅ Mensagem enviada com sucesso para ${phone}`);
 
       return {
         success: true,
         messageId: result?.key?.id,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        body: this.extractMessageBody(result?.message) || message
       };
     } catch (error) {
       logger.error(`❌ Erro ao enviar mensagem: ${error.message}`);
@@ -449,9 +823,28 @@ class SessionManager {
   }
 
   /**
-   * Fecha uma sessão
+   * Conteúdo do Baileys para enviar um arquivo (áudio não tem legenda no WhatsApp)
    */
-  async closeSession(sessionId) {
+  buildMediaContent({ type, buffer, mimetype, fileName }, caption) {
+    switch (type) {
+      case 'image':
+        return { image: buffer, mimetype, caption: caption || undefined };
+      case 'video':
+        return { video: buffer, mimetype, caption: caption || undefined };
+      case 'audio':
+        return { audio: buffer, mimetype };
+      case 'document':
+        return { document: buffer, mimetype, fileName, caption: caption || undefined };
+      default:
+        throw new Error(`Tipo de mídia não suportado: ${type}`);
+    }
+  }
+
+  /**
+   * Fecha uma sessão e libera a posse dela
+   * Com `revoke`, também encerra a sessão se ela estiver aberta em outra réplica
+   */
+  async closeSession(sessionId, { revoke = false } = {}) {
     const session = this.sessions.get(sessionId);
     if (session) {
       try {
@@ -461,46 +854,258 @@ class SessionManager {
       this.sessions.delete(sessionId);
       logger.info(`Sessão ${sessionId} encerrada`);
     }
+    dropAuthStateCache(sessionId);
 
     const timer = this.reconnectTimers.get(sessionId);
     if (timer) {
       clearTimeout(timer);
       this.reconnectTimers.delete(sessionId);
     }
+
+    await releaseLease(sessionId);
+    if (revoke) {
+      await revokeLease(sessionId);
+    }
+  }
+
+  /**
+   * Recria o socket mantendo as credenciais (ex.: após mudar configurações da instância)
+   * Não faz nada se a sessão não estiver em andamento
+   */
+  async restartSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      // Aberta em outra réplica: ela encerra o socket e a sessão é reaberta quando a posse expirar
+      const lease = await getLease(sessionId);
+      if (!lease?.isAlive || lease.isLocal) return false;
+
+      await revokeLease(sessionId);
+      return true;
+    }
+
+    await this.closeSession(sessionId);
+    await this.createSession(sessionId);
+    return true;
   }
 
   /**
    * Remove uma sessão completamente
    */
   async removeSession(sessionId) {
-    await this.closeSession(sessionId);
+    await this.closeSession(sessionId, { revoke: true });
     await clearAuthState(sessionId);
+    await clearMessageStore(sessionId);
     logger.info(`Sessão ${sessionId} removida`);
   }
 
   /**
-   * Restaura sessões a partir do banco
+   * Aguarda o primeiro desfecho da conexão: 'open', 'qr', 'logged-out', 'failed' ou 'timeout'
    */
-  async restoreSessions(instances = []) {
-    const restored = [];
+  waitForConnection(sessionId, timeoutMs) {
+    return new Promise(resolve => {
+      const waiters = this.connectionWaiters.get(sessionId) || [];
 
-    for (const instance of instances) {
-      const sessionId = instance?.sessionId;
-      if (!sessionId) continue;
+      const timer = setTimeout(() => {
+        const pending = this.connectionWaiters.get(sessionId) || [];
+        this.connectionWaiters.set(sessionId, pending.filter(w => w !== waiter));
+        resolve('timeout');
+      }, timeoutMs);
 
-      try {
-        logger.info(`🔄 Restaurando sessão ${sessionId}...`);
-        await this.createSession(sessionId);
-        restored.push(sessionId);
+      const waiter = (outcome) => {
+        clearTimeout(timer);
+        resolve(outcome);
+      };
+
+      waiters.push(waiter);
+      this.connectionWaiters.set(sessionId, waiters);
+    });
+  }
+
+  notifyWaiters(sessionId, outcome) {
+    const waiters = this.connectionWaiters.get(sessionId);
+    if (!waiters?.length) return;
+
+    this.connectionWaiters.delete(sessionId);
+    waiters.forEach(waiter => waiter(outcome));
+  }
+
+  /**
+   * Indica se a sessão está aberta, reconectando ou sendo restaurada neste processo
+   */
+  isManaging(sessionId) {
+    return this.sessions.has(sessionId) || this.reconnectTimers.has(sessionId) || this.restoring.has(sessionId);
+  }
+
+  /**
+   * Restaura uma sessão com credenciais salvas
+   * Retorna { status: 'connected' | 'pending' | 'qr_required' | 'owned_elsewhere' | 'failed', error? }
+   */
+  async restoreSession(sessionId, { timeoutMs = 45000 } = {}) {
+    if (this.isManaging(sessionId)) {
+      return { status: 'pending' };
+    }
+
+    if (!(await hasStoredCredentials(sessionId))) {
+      return { status: 'qr_required' };
+    }
+
+    this.restoring.add(sessionId);
+    try {
+      const outcome = this.waitForConnection(sessionId, timeoutMs);
+      await this.createSession(sessionId);
+
+      const result = await outcome;
+      if (result === 'open') return { status: 'connected' };
+      // Segue tentando em segundo plano (reconexão automática)
+      if (result === 'timeout') return { status: 'pending' };
+      if (result === 'failed') return { status: 'failed', error: 'Tentativas de reconexão esgotadas' };
+
+      // As credenciais não valem mais: sem ninguém para escanear, não deixa o QR rodando
+      await this.closeSession(sessionId);
+      return { status: 'qr_required' };
+    } catch (error) {
+      this.connectionWaiters.delete(sessionId);
+      // Outra réplica assumiu primeiro
+      if (error.code === SESSION_OWNED_ELSEWHERE) return { status: 'owned_elsewhere' };
+      return { status: 'failed', error: error.message };
+    } finally {
+      this.restoring.delete(sessionId);
+    }
+  }
 
-        // Delay entre sessões
-        await new Promise(r => setTimeout(r, 3000));
-      } catch (error) {
-        logger.error(`Erro ao restaurar ${sessionId}: ${error.message}`);
+  /**
+   * Restaura sessões a partir do banco (linhas de `instances`)
+   * Abre no máximo `concurrency` conexões por vez, espaçando o início de cada uma em `staggerMs`
+   * Retorna o resultado por instância
+   */
+  async restoreSessions(instances = [], { concurrency = 3, staggerMs = 2000, timeoutMs = 45000 } = {}) {
+    const queue = instances.filter(instance => instance?.session_id);
+    const results = [];
+    let nextStartAt = Date.now();
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const instance = queue.shift();
+
+        const wait = nextStartAt - Date.now();
+        nextStartAt = Math.max(nextStartAt, Date.now()) + staggerMs;
+        if (wait > 0) {
+          await new Promise(r => setTimeout(r, wait));
+        }
+
+        logger.info(`🔄 Restaurando sessão ${instance.session_id} (${instance.name || instance.id})...`);
+        const result = await this.restoreSession(instance.session_id, { timeoutMs });
+        results.push({ instanceId: instance.id, sessionId: instance.session_id, name: instance.name, ...result });
       }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, queue.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return results;
+  }
+
+  /**
+   * Primeira etapa do desligamento: não abre novas sessões nem agenda reconexões
+   */
+  beginShutdown() {
+    this.shuttingDown = true;
+    this.stopLeaseHeartbeat();
+
+    for (const timer of this.reconnectTimers.values()) {
+      clearTimeout(timer);
     }
+    this.reconnectTimers.clear();
+  }
 
-    return restored;
+  /**
+   * Aguarda os callbacks e as gravações de mensagens e credenciais em andamento
+   */
+  async drain() {
+    while (this.pendingTasks.size > 0) {
+      await Promise.allSettled([...this.pendingTasks]);
+    }
+    await flushAuthStateWrites();
+  }
+
+  /**
+   * Fecha todos os sockets sem deslogar o aparelho (as credenciais continuam valendo na próxima inicialização)
+   * e libera a posse das sessões para outra réplica assumir sem esperar o prazo
+   * Retorna os sessionIds que estavam conectados
+   */
+  async closeAllSessions() {
+    const connected = [];
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.isReady) connected.push(sessionId);
+      try {
+        session.sock?.end?.();
+        session.sock?.ws?.close?.();
+      } catch (e) { }
+      dropAuthStateCache(sessionId);
+    }
+    this.sessions.clear();
+
+    try {
+      await releaseAllLeases();
+    } catch (error) {
+      logger.error(`Erro ao liberar a posse das sessões: ${error.message}`);
+    }
+
+    logger.info(`${connected.length} sessão(ões) do WhatsApp encerrada(s)`);
+    return connected;
+  }
+
+  /**
+   * Renova periodicamente a posse das sessões abertas neste processo
+   */
+  startLeaseHeartbeat() {
+    if (this.leaseTimer) return;
+
+    this.leaseRenewedAt = Date.now();
+    this.leaseTimer = setInterval(() => {
+      this.renewLeases().catch(error => {
+        logger.error(`Erro na renovação das sessões: ${error.message}`);
+      });
+    }, SESSION_LEASE_RENEW_MS);
+    this.leaseTimer.unref();
+  }
+
+  stopLeaseHeartbeat() {
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+  }
+
+  /**
+   * Renova a posse das sessões deste processo e fecha as que passaram para outra réplica
+   * (posse revogada, ou sem renovar por mais que o prazo e assumida por outro servidor)
+   */
+  async renewLeases() {
+    const sessionIds = [...new Set([...this.sessions.keys(), ...this.reconnectTimers.keys()])];
+    if (sessionIds.length === 0) {
+      this.leaseRenewedAt = Date.now();
+      return;
+    }
+
+    let held;
+    try {
+      held = await renewLeases(sessionIds);
+      this.leaseRenewedAt = Date.now();
+    } catch (error) {
+      logger.error(`Erro ao renovar a posse das sessões: ${error.message}`);
+      // Enquanto o prazo não vence, ninguém mais pode ter assumido
+      if (Date.now() - this.leaseRenewedAt < SESSION_LEASE_TTL_MS) return;
+      held = new Set();
+    }
+
+    for (const sessionId of sessionIds) {
+      // Fechada durante a renovação
+      if (held.has(sessionId) || !(this.sessions.has(sessionId) || this.reconnectTimers.has(sessionId))) continue;
+
+      logger.warn(`⚠️ Sessão ${sessionId} não pertence mais a este servidor. Encerrando a conexão local.`);
+      await this.closeSession(sessionId);
+    }
   }
 }
 
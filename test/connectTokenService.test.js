@@ -0,0 +1,70 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { uniqueId } from './helpers.js';
+import { initializeDatabase, closeDatabase, userQueries, organizationQueries, instanceQueries, connectTokenQueries } from '../src/db/database.js';
+import connectTokenService from '../src/services/connectTokenService.js';
+import { authenticateSocket } from '../src/middleware/socketAuth.js';
+
+let userId;
+let instanceId;
+
+before(async () => {
+  await initializeDatabase();
+  const user = await userQueries.create(`links-${uniqueId()}@example.com`, 'hash', 'Teste', null);
+  const organization = await organizationQueries.create('Agência de testes');
+  userId = user.id;
+  instanceId = `inst_${uniqueId()}`;
+  await instanceQueries.create(instanceId, userId, `session_${instanceId}`, 'Cliente', null, 'disconnected', organization.id);
+});
+
+after(async () => {
+  await closeDatabase();
+});
+
+// Handshake do Socket.IO da página pública de conexão
+function handshake(connectToken) {
+  const socket = { id: uniqueId(), handshake: { auth: { connectToken }, headers: {} }, data: {} };
+  return new Promise(resolve => authenticateSocket(socket, error => resolve(error ? null : socket)));
+}
+
+const useCount = async (token) => (await connectTokenQueries.findByHash(connectTokenService.hash(token))).use_count;
+
+test('abrir a página e reconectar o socket não consomem usos do link', async () => {
+  const { token } = await connectTokenService.create(instanceId, userId, { maxUses: 1 });
+
+  for (let i = 0; i < 5; i++) {
+    assert.ok(await connectTokenService.validate(token, instanceId));
+    const socket = await handshake(token);
+    assert.equal(socket?.data.connectInstanceId, instanceId);
+  }
+
+  assert.equal(await useCount(token), 0);
+});
+
+test('pareamentos simultâneos não passam do limite de usos', async () => {
+  const { id, token } = await connectTokenService.create(instanceId, userId, { maxUses: 2 });
+
+  const results = await Promise.all([1, 2, 3, 4].map(() => connectTokenService.recordUse(id)));
+
+  assert.equal(results.filter(Boolean).length, 2);
+  assert.equal(await useCount(token), 2);
+  assert.equal(await connectTokenService.validate(token, instanceId), null);
+  assert.equal(await handshake(token), null);
+});
+
+test('link revogado deixa de valer e não registra usos', async () => {
+  const { id, token } = await connectTokenService.create(instanceId, userId);
+  assert.equal(await connectTokenService.revoke(id, instanceId), true);
+
+  assert.equal(await connectTokenService.validate(token, instanceId), null);
+  assert.equal(await connectTokenService.recordUse(id), false);
+  assert.equal(await handshake(token), null);
+});
+
+test('token de outra instância ou que não é texto é recusado', async () => {
+  const { token } = await connectTokenService.create(instanceId, userId);
+
+  assert.equal(await connectTokenService.validate(token, 'inst_outra'), null);
+  assert.equal(await connectTokenService.validate({ token }, instanceId), null);
+});
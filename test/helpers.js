@@ -0,0 +1,51 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+// Importado antes do código da aplicação: cada arquivo de teste roda em um processo próprio,
+// com um banco SQLite vazio num diretório temporário (TEST_DATABASE_URL usa um PostgreSQL de testes)
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'oregon-test-')));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+} else {
+  delete process.env.DATABASE_URL;
+}
+
+/**
+ * Sufixo único por execução (no PostgreSQL os dados de execuções anteriores continuam no banco)
+ */
+export const uniqueId = () => `${Date.now()}${Math.random().toString(36).substr(2, 6)}`;
+
+/**
+ * Sobe o app Express numa porta livre e retorna { request, close }
+ * request(method, path, { body, headers }) resolve com { status, body }
+ */
+export async function startServer(app) {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const request = (method, urlPath, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: payload ? { 'Content-Type': 'application/json', ...headers } : headers
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { request, close };
+}
@@ -0,0 +1,90 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import bcrypt from 'bcryptjs';
+import { uniqueId, startServer } from './helpers.js';
+import { initializeDatabase, closeDatabase, userQueries, passwordResetQueries } from '../src/db/database.js';
+import mailService from '../src/services/mailService.js';
+import authRoutes from '../src/routes/auth.js';
+
+// As rotas de redefinição têm limite de 5 pedidos por IP: o arquivo inteiro cabe nesse limite
+const sentMails = [];
+let server;
+let email;
+
+before(async () => {
+  await initializeDatabase();
+
+  email = `reset-${uniqueId()}@example.com`;
+  await userQueries.create(email, await bcrypt.hash('senha-antiga', 10), 'Teste', null);
+
+  mailService.setTransport({ name: 'memory', send: async (mail) => { sentMails.push(mail); } });
+
+  const app = express();
+  app.use(cookieParser());
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+  await closeDatabase();
+});
+
+test('forgot-password sem APP_URL recusa o pedido em vez de usar o Host da requisição', async () => {
+  delete process.env.APP_URL;
+
+  const res = await server.request('POST', '/api/auth/forgot-password', {
+    body: { email },
+    headers: { Host: 'atacante.example' }
+  });
+
+  assert.equal(res.status, 503);
+  assert.equal(sentMails.length, 0);
+});
+
+test('forgot-password recusa email que não é texto', async () => {
+  process.env.APP_URL = 'https://app.example';
+
+  const res = await server.request('POST', '/api/auth/forgot-password', { body: { email: { $ne: '' } } });
+
+  assert.equal(res.status, 400);
+  assert.equal(sentMails.length, 0);
+});
+
+test('link de redefinição usa APP_URL e o token só vale uma vez', async () => {
+  process.env.APP_URL = 'https://app.example/';
+
+  const forgot = await server.request('POST', '/api/auth/forgot-password', {
+    body: { email },
+    headers: { Host: 'atacante.example' }
+  });
+  assert.equal(forgot.status, 200);
+  assert.equal(sentMails.length, 1);
+
+  const link = sentMails[0].text.split('\n').find(line => line.includes('reset_token='));
+  assert.ok(link.startsWith('https://app.example/?reset_token='), link);
+  const token = new URL(link).searchParams.get('reset_token');
+
+  const first = await server.request('POST', '/api/auth/reset-password', { body: { token, password: 'nova-senha-1' } });
+  const second = await server.request('POST', '/api/auth/reset-password', { body: { token, password: 'nova-senha-2' } });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 400);
+  const user = await userQueries.findByEmail(email);
+  assert.ok(await bcrypt.compare('nova-senha-1', user.password));
+});
+
+test('token de redefinição é marcado como usado uma única vez, mesmo com pedidos simultâneos', async () => {
+  const user = await userQueries.findByEmail(email);
+  const tokenHash = `hash-${uniqueId()}`;
+  await passwordResetQueries.create(user.id, tokenHash, new Date(Date.now() + 60000).toISOString(), '127.0.0.1');
+  const token = await passwordResetQueries.findByHash(tokenHash);
+
+  const results = await Promise.all([1, 2, 3].map(() => passwordResetQueries.markUsed(token.id)));
+
+  assert.equal(results.filter(Boolean).length, 1);
+});
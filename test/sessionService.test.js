@@ -0,0 +1,59 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { uniqueId } from './helpers.js';
+import { initializeDatabase, closeDatabase, query, userQueries, sessionQueries } from '../src/db/database.js';
+import sessionService from '../src/services/sessionService.js';
+
+const revoked = [];
+let userId;
+
+before(async () => {
+  await initializeDatabase();
+  const user = await userQueries.create(`sessions-${uniqueId()}@example.com`, 'hash', 'Teste', null);
+  userId = user.id;
+  sessionService.onRevoked(event => revoked.push(event));
+});
+
+after(async () => {
+  await closeDatabase();
+});
+
+// Simula um token trocado há mais tempo que a janela de tolerância de abas simultâneas
+async function expireReuseGrace(sessionId) {
+  await query(`UPDATE user_sessions SET rotated_at = $1 WHERE id = $2`, ['2000-01-01T00:00:00.000Z', sessionId]);
+}
+
+test('renovações simultâneas com o mesmo refresh token: só uma recebe um novo token', async () => {
+  const { refreshToken } = await sessionService.create(userId);
+
+  const results = await Promise.all([1, 2, 3].map(() => sessionService.rotate(refreshToken)));
+  const rotated = results.filter(Boolean);
+
+  assert.equal(rotated.length, 1);
+  assert.ok(await sessionService.rotate(rotated[0].refreshToken), 'o token vencedor continua válido');
+});
+
+test('token já trocado apresentado de novo encerra a sessão e avisa os assinantes', async () => {
+  const { sessionId, refreshToken } = await sessionService.create(userId);
+  const next = await sessionService.rotate(refreshToken);
+  await expireReuseGrace(sessionId);
+
+  assert.equal(await sessionService.rotate(refreshToken), null);
+
+  assert.ok((await sessionQueries.findById(sessionId)).revoked_at);
+  assert.equal(await sessionService.rotate(next.refreshToken), null);
+  assert.deepEqual(revoked.at(-1), { userId, sessionId });
+});
+
+test('revogar sessões avisa os assinantes (sockets abertos são derrubados)', async () => {
+  const current = await sessionService.create(userId);
+  const other = await sessionService.create(userId);
+
+  assert.equal(await sessionService.revoke(other.sessionId, userId), true);
+  assert.deepEqual(revoked.at(-1), { userId, sessionId: other.sessionId });
+
+  await sessionService.revokeAll(userId, current.sessionId);
+  assert.deepEqual(revoked.at(-1), { userId, sessionId: null, exceptSessionId: current.sessionId });
+  assert.equal(await sessionService.isActive(current.sessionId), true);
+});
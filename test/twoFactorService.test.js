@@ -0,0 +1,68 @@
+import './helpers.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { uniqueId } from './helpers.js';
+import { initializeDatabase, closeDatabase, userQueries } from '../src/db/database.js';
+import twoFactorService from '../src/services/twoFactorService.js';
+
+// Gerador TOTP independente do serviço (RFC 6238, SHA-1, 6 dígitos, 30 s), como o app autenticador
+function totp(secret, step) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of secret) bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+
+let userId;
+let secret;
+let recoveryCodes;
+
+before(async () => {
+  await initializeDatabase();
+  const user = await userQueries.create(`totp-${uniqueId()}@example.com`, 'hash', 'Teste', null);
+  userId = user.id;
+
+  ({ secret } = await twoFactorService.startEnrollment(userId));
+  // Confirma com o código do intervalo anterior para deixar o atual livre para os testes
+  recoveryCodes = await twoFactorService.confirmEnrollment(userId, totp(secret, twoFactorService.currentStep() - 1));
+  assert.ok(recoveryCodes, 'cadastro do 2FA confirmado');
+});
+
+after(async () => {
+  await closeDatabase();
+});
+
+test('código do app vale uma única vez, mesmo com verificações simultâneas', async () => {
+  const code = totp(secret, twoFactorService.currentStep());
+
+  const results = await Promise.all([1, 2, 3].map(() => twoFactorService.verify(userId, { code })));
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await twoFactorService.verify(userId, { code }), false);
+});
+
+test('código de um intervalo anterior ao último usado é recusado', async () => {
+  const code = totp(secret, twoFactorService.currentStep() - 1);
+  assert.equal(await twoFactorService.verify(userId, { code }), false);
+});
+
+test('código de recuperação é consumido uma única vez, mesmo com verificações simultâneas', async () => {
+  const recoveryCode = recoveryCodes[0];
+
+  const results = await Promise.all([1, 2, 3].map(() => twoFactorService.verify(userId, { recoveryCode })));
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(await twoFactorService.verify(userId, { recoveryCode }), false);
+});
+
+test('código de recuperação que não é texto é recusado', async () => {
+  assert.equal(await twoFactorService.verify(userId, { recoveryCode: [recoveryCodes[1]] }), false);
+  assert.equal(await twoFactorService.verify(userId, { recoveryCode: recoveryCodes[1] }), true);
+});